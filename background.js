@@ -0,0 +1,961 @@
+// Background service worker: keeps the history index in step with chrome.history,
+// the favorites in step with their bookmarks folder when enabled, and owns the
+// page and link context menus, the keyboard commands, the address bar keyword and
+// the "open all" tab groups launched from the popup, and times the page in front
+// when time-on-site tracking is enabled
+importScripts(
+    'constants.js',
+    'url-rules.js',
+    'history-index.js',
+    'storage.js',
+    'favorite-folders.js',
+    'bookmark-sync.js',
+    'dock-window.js',
+    'history-search.js'
+);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class HistoryIndexer {
+    constructor() {
+        const config = self.BrowserHistoryOrganizerConfig;
+        this.STORAGE_KEYS = config.storageKeys;
+        this.indexSettings = config.indexSettings;
+        this.rules = self.BrowserHistoryOrganizerRules;
+        this.index = self.BrowserHistoryOrganizerIndex;
+        this.storage = self.BrowserHistoryOrganizerStorage;
+
+        // Compiled group rules and privacy exclusions, loaded lazily because the worker is restarted often
+        this.categoriesPromise = null;
+
+        // Listeners must be registered synchronously when the worker starts
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        chrome.runtime.onInstalled.addListener(() => {
+            this.rebuildIndex();
+        });
+
+        chrome.runtime.onStartup.addListener(() => {
+            this.catchUp();
+        });
+
+        chrome.history.onVisited.addListener((historyItem) => {
+            this.indexVisit(historyItem);
+        });
+
+        chrome.history.onVisitRemoved.addListener((removed) => {
+            this.removeVisits(removed);
+        });
+
+        chrome.storage.onChanged.addListener((changes, namespace) => {
+            if (namespace !== 'sync') return;
+
+            const privacyChanged = changes[this.STORAGE_KEYS.hiddenSites] || changes[this.STORAGE_KEYS.privacySettings];
+            if (privacyChanged || changes[this.STORAGE_KEYS.websiteGroups]) {
+                this.categoriesPromise = null;
+                // Excluded pages were never indexed, so letting any back in takes a full rebuild
+                if (privacyChanged) {
+                    this.rebuildIndex();
+                } else {
+                    this.recategorizeAll();
+                }
+            }
+        });
+
+        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+            if (message.action === 'rebuildIndex') {
+                this.rebuildIndex().then(() => sendResponse({ success: true }));
+                return true; // Keep the channel open for the async response
+            }
+        });
+    }
+
+    loadCategories() {
+        if (!this.categoriesPromise) {
+            this.categoriesPromise = (async () => {
+                const [result, privacy] = await Promise.all([
+                    chrome.storage.sync.get([this.STORAGE_KEYS.websiteGroups]),
+                    this.storage.loadPrivacyExclusions()
+                ]);
+                const groups = result[this.STORAGE_KEYS.websiteGroups] || [];
+
+                // Same ordering and "Others" fallback as the popup's loadSettings()
+                const categoryPatterns = {};
+                groups
+                    .filter(group => group.enabled !== false)
+                    .sort((a, b) => a.order - b.order)
+                    .forEach(group => {
+                        categoryPatterns[group.name] = group.patterns;
+                    });
+
+                if (!categoryPatterns['Others']) {
+                    categoryPatterns['Others'] = [];
+                }
+
+                return {
+                    compiled: this.rules.compileCategories(categoryPatterns),
+                    signature: this.rules.getRulesSignature(categoryPatterns),
+                    hiddenRules: this.rules.compileRules(privacy.hiddenSites),
+                    excludedGroups: new Set(privacy.excludedGroups),
+                    groupIds: new Map(groups.map(group => [group.name, group.id]))
+                };
+            })();
+        }
+        return this.categoriesPromise;
+    }
+
+    toRecord(historyItem, compiled) {
+        return {
+            url: historyItem.url,
+            title: historyItem.title || '',
+            lastVisitTime: historyItem.lastVisitTime || Date.now(),
+            visitCount: historyItem.visitCount || 1,
+            typedCount: historyItem.typedCount || 0,
+            category: this.rules.categorizeUrl(historyItem.url, compiled) || 'Others'
+        };
+    }
+
+    // Records for the index; pages left out by the privacy settings are never stored
+    toRecords(historyItems, categories) {
+        return historyItems
+            .filter(item => item.url)
+            .map(item => this.toRecord(item, categories.compiled))
+            .filter(record => !this.isExcluded(record, categories));
+    }
+
+    isExcluded(record, { hiddenRules, excludedGroups }) {
+        return excludedGroups.has(record.category) ||
+            (hiddenRules.include.length > 0 && this.rules.matchesRules(record.url, hiddenRules));
+    }
+
+    searchHistory(startTime) {
+        return new Promise((resolve) => {
+            chrome.history.search({
+                text: '',
+                startTime,
+                maxResults: 0 // No limit
+            }, resolve);
+        });
+    }
+
+    async rebuildIndex() {
+        try {
+            const categories = await this.loadCategories();
+            const startTime = Date.now() - (this.indexSettings.retentionDays * DAY_MS);
+            const items = await this.searchHistory(startTime);
+
+            await this.index.clear();
+            await this.index.putVisits(this.toRecords(items, categories));
+            await this.index.setMeta('state', {
+                startTime,
+                lastIndexedAt: Date.now(),
+                rulesSignature: categories.signature
+            });
+
+            console.log(`History index rebuilt with ${items.length} entries`);
+        } catch (error) {
+            console.error('Error rebuilding history index:', error);
+        }
+    }
+
+    async catchUp() {
+        try {
+            const state = await this.index.getMeta('state');
+            if (!state) {
+                await this.rebuildIndex();
+                return;
+            }
+
+            const categories = await this.loadCategories();
+            const { signature } = categories;
+            if (state.rulesSignature !== signature) {
+                await this.recategorizeAll();
+            }
+
+            // Pick up visits made while the extension was not running
+            const items = await this.searchHistory(state.lastIndexedAt);
+            await this.index.putVisits(this.toRecords(items, categories));
+
+            // Drop entries that fell out of the retention window
+            const startTime = Date.now() - (this.indexSettings.retentionDays * DAY_MS);
+            await this.index.deleteVisitsBefore(startTime);
+
+            await this.index.setMeta('state', {
+                startTime,
+                lastIndexedAt: Date.now(),
+                rulesSignature: signature
+            });
+        } catch (error) {
+            console.error('Error catching up history index:', error);
+        }
+    }
+
+    async indexVisit(historyItem) {
+        if (!historyItem.url) return;
+
+        try {
+            const records = this.toRecords([historyItem], await this.loadCategories());
+            if (records.length === 0) return;
+            await this.index.putVisits(records);
+
+            const state = await this.index.getMeta('state');
+            if (state) {
+                await this.index.setMeta('state', { ...state, lastIndexedAt: Date.now() });
+            }
+        } catch (error) {
+            console.error('Error indexing visit:', error);
+        }
+    }
+
+    async removeVisits(removed) {
+        try {
+            if (removed.allHistory) {
+                await this.rebuildIndex();
+            } else if (removed.urls && removed.urls.length > 0) {
+                await this.index.deleteUrls(removed.urls);
+            }
+        } catch (error) {
+            console.error('Error removing visits from index:', error);
+        }
+    }
+
+    async recategorizeAll() {
+        try {
+            const { compiled, signature, excludedGroups } = await this.loadCategories();
+
+            // Pages may move into or out of an excluded group; only a rebuild gets both right
+            if (excludedGroups.size > 0) {
+                await this.rebuildIndex();
+                return;
+            }
+
+            await this.index.updateAll(record => {
+                const category = this.rules.categorizeUrl(record.url, compiled) || 'Others';
+                return category === record.category ? record : { ...record, category };
+            });
+
+            const state = await this.index.getMeta('state');
+            if (state) {
+                await this.index.setMeta('state', { ...state, rulesSignature: signature });
+            }
+        } catch (error) {
+            console.error('Error recategorizing history index:', error);
+        }
+    }
+}
+
+class BookmarkSyncScheduler {
+    constructor() {
+        const config = self.BrowserHistoryOrganizerConfig;
+        this.STORAGE_KEYS = config.storageKeys;
+        this.bookmarkSync = self.BrowserHistoryOrganizerBookmarkSync;
+
+        this.SYNC_DELAY_MS = 1000; // Coalesce bursts of bookmark and favorites events
+        this.timer = null;
+        this.running = false;
+        this.pending = false;
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        chrome.runtime.onStartup.addListener(() => this.schedule());
+
+        ['onCreated', 'onRemoved', 'onChanged', 'onMoved'].forEach(event => {
+            chrome.bookmarks[event].addListener(() => this.schedule());
+        });
+
+        chrome.storage.onChanged.addListener((changes, namespace) => {
+            if (namespace === 'local' && changes[this.STORAGE_KEYS.favoritesUpdatedAt]) {
+                this.schedule();
+            }
+            if (namespace === 'sync' && changes[this.STORAGE_KEYS.syncSettings]) {
+                this.handleSettingsChange(changes[this.STORAGE_KEYS.syncSettings]);
+            }
+        });
+
+        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+            if (message.action === 'syncBookmarks') {
+                this.run().then(state => sendResponse({ success: true, state }));
+                return true; // Keep the channel open for the async response
+            }
+        });
+    }
+
+    async handleSettingsChange({ oldValue = {}, newValue = {} }) {
+        if (newValue.bookmarks && !oldValue.bookmarks) {
+            this.schedule();
+        } else if (!newValue.bookmarks && oldValue.bookmarks) {
+            // Bookmarks are left in place; the next time sync is enabled it starts with a fresh merge
+            await this.bookmarkSync.reset();
+        } else if (newValue.bookmarkConflicts !== oldValue.bookmarkConflicts) {
+            this.schedule();
+        }
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.run(), this.SYNC_DELAY_MS);
+    }
+
+    // Runs never overlap; changes made during a run (including its own writes) trigger one more pass
+    async run() {
+        if (this.running) {
+            this.pending = true;
+            return null;
+        }
+
+        this.running = true;
+        let state = null;
+        try {
+            state = await this.bookmarkSync.sync();
+        } catch (error) {
+            console.error('Error syncing favorites with bookmarks:', error);
+        } finally {
+            this.running = false;
+        }
+
+        if (this.pending) {
+            this.pending = false;
+            this.schedule();
+        }
+        return state;
+    }
+}
+
+class ContextMenuManager {
+    constructor() {
+        const config = self.BrowserHistoryOrganizerConfig;
+        this.config = config;
+        this.STORAGE_KEYS = config.storageKeys;
+        this.rules = self.BrowserHistoryOrganizerRules;
+        this.storage = self.BrowserHistoryOrganizerStorage;
+
+        this.MAX_TAG_ITEMS = 15; // Most used tags offered in the "with tag" submenu
+        this.CONTEXTS = ['page', 'link'];
+        this.URL_PATTERNS = ['http://*/*', 'https://*/*'];
+        this.rebuildPromise = Promise.resolve();
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        chrome.runtime.onInstalled.addListener(() => this.scheduleRebuild());
+        chrome.runtime.onStartup.addListener(() => this.scheduleRebuild());
+
+        // Group and tag submenus mirror what the popup and settings page edit
+        chrome.storage.onChanged.addListener((changes, namespace) => {
+            if (namespace === 'sync' && changes[this.STORAGE_KEYS.websiteGroups]) {
+                this.scheduleRebuild();
+            }
+            if (namespace === 'local' && changes[this.STORAGE_KEYS.favoritesUpdatedAt]) {
+                this.scheduleRebuild();
+            }
+        });
+
+        chrome.contextMenus.onClicked.addListener((info, tab) => {
+            this.handleClick(info, tab).catch(error => {
+                console.error('Error handling context menu action:', error);
+                this.flashBadge(tab, '!', '#dc3545');
+            });
+        });
+    }
+
+    // removeAll() and create() are async; chain rebuilds so two never interleave
+    scheduleRebuild() {
+        this.rebuildPromise = this.rebuildPromise
+            .then(() => this.rebuild())
+            .catch(error => console.error('Error building context menus:', error));
+        return this.rebuildPromise;
+    }
+
+    async rebuild() {
+        const [groups, favoriteData] = await Promise.all([this.loadGroups(), this.storage.loadFavorites()]);
+
+        await chrome.contextMenus.removeAll();
+
+        const base = { contexts: this.CONTEXTS, documentUrlPatterns: this.URL_PATTERNS, targetUrlPatterns: this.URL_PATTERNS };
+        chrome.contextMenus.create({ ...base, id: 'addFavorite', title: '⭐ Add to favorites' });
+
+        chrome.contextMenus.create({ ...base, id: 'addFavoriteWithTag', title: '🏷️ Add to favorites with tag' });
+        this.getTopTags(favoriteData.favoriteTags).forEach(tag => {
+            chrome.contextMenus.create({ ...base, id: `tag:${tag}`, parentId: 'addFavoriteWithTag', title: tag });
+        });
+        chrome.contextMenus.create({ ...base, id: 'newTag', parentId: 'addFavoriteWithTag', title: '➕ New tag…' });
+
+        chrome.contextMenus.create({ ...base, id: 'assignGroup', title: '📂 Assign this site to group' });
+        this.getEnabledGroups(groups).forEach(group => {
+            chrome.contextMenus.create({ ...base, id: `group:${group.id}`, parentId: 'assignGroup', title: `${group.icon} ${group.name}` });
+        });
+
+        chrome.contextMenus.create({ ...base, id: 'hideSite', title: '🙈 Hide this site from history organizer' });
+    }
+
+    async loadGroups() {
+        const result = await chrome.storage.sync.get([this.STORAGE_KEYS.websiteGroups]);
+        const groups = result[this.STORAGE_KEYS.websiteGroups];
+        // Same fallback as the settings page before anything has been saved
+        return groups && groups.length > 0 ? groups : this.config.getDefaultGroups().map(group => ({ ...group, patterns: [...group.patterns] }));
+    }
+
+    getEnabledGroups(groups) {
+        return groups
+            .filter(group => group.enabled !== false)
+            .sort((a, b) => a.order - b.order);
+    }
+
+    getTopTags(favoriteTags) {
+        const counts = new Map();
+        Object.values(favoriteTags).forEach(tags => {
+            tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+        return Array.from(counts)
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .slice(0, this.MAX_TAG_ITEMS)
+            .map(([tag]) => tag);
+    }
+
+    async handleClick(info, tab) {
+        const target = await this.getTarget(info, tab);
+        const id = String(info.menuItemId);
+        if (!target) return;
+
+        if (id === 'addFavorite') {
+            await this.addFavorite(target, []);
+        } else if (id.startsWith('tag:')) {
+            await this.addFavorite(target, [id.slice('tag:'.length)]);
+        } else if (id === 'newTag') {
+            await this.openQuickTag(target);
+            return;
+        } else if (id.startsWith('group:')) {
+            await this.assignSiteToGroup(target.url, id.slice('group:'.length));
+        } else if (id === 'hideSite') {
+            await this.storage.addHiddenSite(this.getSiteHost(target.url));
+        } else {
+            return;
+        }
+
+        this.flashBadge(tab, '✓', '#28a745');
+    }
+
+    // Links act on the link target, everything else on the page itself
+    async getTarget(info, tab) {
+        if (info.linkUrl) {
+            return { url: info.linkUrl, title: await this.getHistoryTitle(info.linkUrl), favIconUrl: '' };
+        }
+        const url = info.pageUrl || (tab && tab.url);
+        if (!url) return null;
+        return { url, title: (tab && tab.title) || '', favIconUrl: (tab && tab.favIconUrl) || '' };
+    }
+
+    // Title of the link target if it was ever visited; the selected text says nothing about the link
+    async getHistoryTitle(url) {
+        try {
+            const items = await chrome.history.search({ text: url, startTime: 0, maxResults: 10 });
+            const visited = items.find(item => item.url === url);
+            return (visited && visited.title) || '';
+        } catch {
+            return '';
+        }
+    }
+
+    // "www." is dropped so the host rule covers the bare domain and all of its subdomains
+    getSiteHost(url) {
+        return new URL(url).hostname.replace(/^www\./, '');
+    }
+
+    async addFavorite(target, tags) {
+        const groups = this.getEnabledGroups(await this.loadGroups());
+        const categoryPatterns = Object.fromEntries(groups.map(group => [group.name, group.patterns]));
+        const group = this.rules.categorizeUrl(target.url, this.rules.compileCategories(categoryPatterns)) || 'Others';
+
+        await this.storage.addFavorite(target.url, { ...target, group, tags });
+    }
+
+    openQuickTag(target) {
+        const params = new URLSearchParams({ url: target.url, title: target.title });
+        return chrome.windows.create({
+            url: chrome.runtime.getURL(`quick-tag.html?${params}`),
+            type: 'popup',
+            width: 420,
+            height: 320
+        });
+    }
+
+    // Adds the site's host to the group's patterns. Groups earlier in the order that would still
+    // claim the URL get a matching `!host` exclusion so the chosen group actually wins.
+    async assignSiteToGroup(url, groupId) {
+        const groups = await this.loadGroups();
+        const group = groups.find(candidate => candidate.id === groupId);
+        if (!group) return;
+
+        const host = this.getSiteHost(url);
+        const exclusion = `!${host}`;
+
+        // The fallback group's patterns are never matched; it gets the site once every other group lets go of it
+        const isFallback = group.name === this.rules.FALLBACK_CATEGORY;
+        group.patterns = group.patterns.filter(pattern => pattern !== exclusion);
+        if (!isFallback && !group.patterns.includes(host)) {
+            group.patterns.push(host);
+        }
+
+        this.getEnabledGroups(groups)
+            .filter(other => other.id !== group.id && (isFallback || other.order < group.order) && other.name !== this.rules.FALLBACK_CATEGORY)
+            .filter(other => this.rules.matchesRules(url, this.rules.compileRules(other.patterns)))
+            .forEach(other => other.patterns.push(exclusion));
+
+        await chrome.storage.sync.set({ [this.STORAGE_KEYS.websiteGroups]: groups });
+    }
+
+    flashBadge(tab, text, color) {
+        if (!tab || tab.id === undefined) return;
+        chrome.action.setBadgeBackgroundColor({ color, tabId: tab.id });
+        chrome.action.setBadgeText({ text, tabId: tab.id });
+        setTimeout(() => chrome.action.setBadgeText({ text: '', tabId: tab.id }), 1500);
+    }
+}
+
+class KeyboardCommands {
+    constructor() {
+        const config = self.BrowserHistoryOrganizerConfig;
+        this.STORAGE_KEYS = config.storageKeys;
+        this.defaultDockSettings = config.dockSettings;
+        this.dock = self.BrowserHistoryOrganizerDock;
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        // `_execute_action` (open the popup) is handled by Chrome itself
+        chrome.commands.onCommand.addListener((command) => {
+            this.handleCommand(command).catch(error => {
+                console.error(`Error running command ${command}:`, error);
+            });
+        });
+    }
+
+    async handleCommand(command) {
+        if (command === 'focus-search') {
+            await this.focusSearch();
+        } else if (command === 'open-docked-window') {
+            await this.openDockedWindow();
+        }
+    }
+
+    // An open docked window is reused; otherwise the popup opens and picks up the request on load
+    async focusSearch() {
+        const windowId = await this.dock.findDockedWindowId();
+        if (windowId !== null) {
+            await chrome.windows.update(windowId, { focused: true });
+            await chrome.runtime.sendMessage({ action: 'focusSearch' });
+            return;
+        }
+
+        await chrome.storage.session.set({ [this.STORAGE_KEYS.popupLaunchAction]: 'focusSearch' });
+        await chrome.action.openPopup();
+    }
+
+    async openDockedWindow() {
+        const windowId = await this.dock.findDockedWindowId();
+        if (windowId !== null) {
+            await chrome.windows.update(windowId, { focused: true });
+            return;
+        }
+
+        const result = await chrome.storage.sync.get([this.STORAGE_KEYS.dockSettings]);
+        const dockSettings = { ...this.defaultDockSettings, ...(result[this.STORAGE_KEYS.dockSettings] || {}) };
+        if (!dockSettings.enabled) {
+            console.warn('Docking is disabled in settings');
+            return;
+        }
+
+        await this.dock.openDockedWindow(dockSettings);
+    }
+}
+
+class OmniboxSearch {
+    constructor(indexer) {
+        const config = self.BrowserHistoryOrganizerConfig;
+        this.config = config;
+        this.STORAGE_KEYS = config.storageKeys;
+        this.frequencyThresholds = config.frequencyThresholds;
+        this.indexSettings = config.indexSettings;
+        this.rules = self.BrowserHistoryOrganizerRules;
+        this.index = self.BrowserHistoryOrganizerIndex;
+        this.storage = self.BrowserHistoryOrganizerStorage;
+        this.search = self.BrowserHistoryOrganizerSearch;
+        this.indexer = indexer;
+
+        this.MAX_SUGGESTIONS = 8;
+        this.entriesPromise = null; // Loaded once per keyword session, reused on every keystroke
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        chrome.omnibox.onInputStarted.addListener(() => {
+            this.entriesPromise = null;
+        });
+
+        chrome.omnibox.onInputChanged.addListener((text, suggest) => {
+            chrome.omnibox.setDefaultSuggestion({
+                description: `Search organized history for <match>${this.escapeXml(text)}</match>`
+            });
+            this.getSuggestions(text)
+                .then(suggest)
+                .catch(error => console.error('Error building address bar suggestions:', error));
+        });
+
+        chrome.omnibox.onInputEntered.addListener((text, disposition) => {
+            this.openResult(text, disposition)
+                .catch(error => console.error('Error opening address bar result:', error));
+        });
+    }
+
+    loadEntries() {
+        if (!this.entriesPromise) {
+            this.entriesPromise = this.buildEntries().catch(error => {
+                this.entriesPromise = null;
+                throw error;
+            });
+        }
+        return this.entriesPromise;
+    }
+
+    // Indexed history (already categorised by HistoryIndexer) plus favorites that fell out of it,
+    // with the popup's visit counts, custom names and tags; privacy exclusions are left out
+    async buildEntries() {
+        const [groupsResult, favoriteData, { visitFrequency }, privacy, records] = await Promise.all([
+            chrome.storage.sync.get([this.STORAGE_KEYS.websiteGroups]),
+            this.storage.loadFavorites(),
+            this.storage.loadVisitFrequency(),
+            this.storage.loadPrivacyExclusions(),
+            this.loadRecords()
+        ]);
+
+        const groups = groupsResult[this.STORAGE_KEYS.websiteGroups] || this.config.getDefaultGroups();
+        const icons = Object.fromEntries(groups.map(group => [group.name, group.icon]));
+        const hiddenRules = this.rules.compileRules(privacy.hiddenSites);
+        const excludedGroups = new Set(privacy.excludedGroups);
+        const favorites = new Set(favoriteData.favorites);
+
+        const entries = new Map();
+        const addEntry = (url, title, group, visitCount, lastVisitTime) => {
+            if (excludedGroups.has(group || 'Others')) return;
+            if (hiddenRules.include.length > 0 && this.rules.matchesRules(url, hiddenRules)) return;
+            entries.set(url, {
+                url,
+                title: title || '',
+                group: group || 'Others',
+                icon: icons[group] || '🔗',
+                frequency: visitFrequency[url] || visitCount || 0,
+                lastVisitTime: lastVisitTime || 0,
+                favorite: favorites.has(url),
+                name: favoriteData.favoriteNames[url] || '',
+                tags: favoriteData.favoriteTags[url] || []
+            });
+        };
+
+        records.forEach(record => {
+            addEntry(record.url, record.title, record.category, record.visitCount, record.lastVisitTime);
+        });
+        favoriteData.favorites
+            .filter(url => !entries.has(url))
+            .forEach(url => {
+                const meta = favoriteData.favoriteMeta[url] || {};
+                addEntry(url, meta.title, meta.group, 0, meta.lastVisitTime);
+            });
+
+        return Array.from(entries.values());
+    }
+
+    // Falls back to categorising chrome.history directly until the index has been built
+    async loadRecords() {
+        const state = await this.index.getMeta('state');
+        if (state) {
+            return this.index.getVisitsBetween(state.startTime, Date.now());
+        }
+
+        const categories = await this.indexer.loadCategories();
+        const startTime = Date.now() - (this.indexSettings.retentionDays * DAY_MS);
+        const items = await this.indexer.searchHistory(startTime);
+        return this.indexer.toRecords(items, categories);
+    }
+
+    async getSuggestions(text) {
+        const terms = text.toLowerCase().split(/\s+/).filter(term => term.length > 0);
+        if (terms.length === 0) return [];
+
+        const now = Date.now();
+        const entries = await this.loadEntries();
+
+        return entries
+            .map(entry => {
+                const textScore = this.search.getTextScore(entry, terms);
+                return {
+                    entry,
+                    score: textScore > 0 ? this.search.getSearchScore(textScore, entry.frequency, entry.lastVisitTime, now) : 0
+                };
+            })
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.MAX_SUGGESTIONS)
+            .map(({ entry }) => ({ content: entry.url, description: this.describe(entry, terms) }));
+    }
+
+    // e.g. "💻 <match>Payments</match> dashboard · Development · 🔥 42 visits · ⭐ · <url>github.com/…</url>"
+    describe(entry, terms) {
+        const parts = [entry.group, this.formatFrequency(entry.frequency)];
+        if (entry.favorite) parts.push('⭐');
+        if (entry.tags.length > 0) parts.push(entry.tags.map(tag => `#${tag}`).join(' '));
+
+        const title = entry.name || entry.title || entry.url;
+        const meta = parts.filter(Boolean).map(part => this.escapeXml(part)).join(' · ');
+
+        return `${this.escapeXml(entry.icon)} ${this.highlight(title, terms)} <dim>· ${meta}</dim> · <url>${this.highlight(entry.url, terms)}</url>`;
+    }
+
+    // Same levels as the popup's frequency badges
+    formatFrequency(count) {
+        if (!count) return '';
+        const label = `${count} visit${count !== 1 ? 's' : ''}`;
+        if (count >= this.frequencyThresholds.high) return `🔥 ${label}`;
+        if (count >= this.frequencyThresholds.medium) return `⚡ ${label}`;
+        if (count >= this.frequencyThresholds.low) return `📈 ${label}`;
+        return label;
+    }
+
+    highlight(text, terms) {
+        const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const pattern = new RegExp(`(${escaped.join('|')})`, 'gi');
+        return text.split(pattern)
+            .map((part, index) => index % 2 === 1 ? `<match>${this.escapeXml(part)}</match>` : this.escapeXml(part))
+            .join('');
+    }
+
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    // A picked suggestion arrives as its URL; pressing Enter on the typed text opens the best match
+    async openResult(text, disposition) {
+        let url = /^https?:\/\//i.test(text) ? text : null;
+        if (!url) {
+            const [best] = await this.getSuggestions(text);
+            if (!best) return;
+            url = best.content;
+        }
+
+        if (disposition === 'currentTab') {
+            await chrome.tabs.update({ url });
+        } else {
+            await chrome.tabs.create({ url, active: disposition !== 'newBackgroundTab' });
+        }
+    }
+}
+
+class TabGroupLauncher {
+    constructor() {
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+            if (message.action === 'openTabGroup') {
+                this.open(message)
+                    .then(groupId => sendResponse({ success: true, groupId }))
+                    .catch(error => {
+                        console.error('Error opening tab group:', error);
+                        sendResponse({ success: false, error: error.message });
+                    });
+                return true; // Keep the channel open for the async response
+            }
+        });
+    }
+
+    // Tabs go to the last focused normal window (the docked window cannot hold tabs), or a new one
+    async open({ urls, title, color }) {
+        const targetWindow = await chrome.windows.getLastFocused({ windowTypes: ['normal'] }).catch(() => null);
+
+        let tabIds;
+        let windowId;
+        if (targetWindow) {
+            windowId = targetWindow.id;
+            tabIds = [];
+            for (const url of urls) {
+                const tab = await chrome.tabs.create({ windowId, url, active: false });
+                tabIds.push(tab.id);
+            }
+        } else {
+            const created = await chrome.windows.create({ url: urls, focused: true });
+            windowId = created.id;
+            tabIds = created.tabs.map(tab => tab.id);
+        }
+
+        const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+        await chrome.tabGroups.update(groupId, { title, color, collapsed: false });
+        await chrome.tabs.update(tabIds[0], { active: true });
+        await chrome.windows.update(windowId, { focused: true });
+        return groupId;
+    }
+}
+
+// Opt-in: credits the page in the focused tab of the focused window with the time until
+// the tab, window or page changes or the user goes idle, and once a minute while it stays
+// in front. The span being timed lives in chrome.storage.session so it survives the worker
+// being stopped between events.
+class ActiveTimeTracker {
+    constructor(historyIndexer) {
+        const config = self.BrowserHistoryOrganizerConfig;
+        this.STORAGE_KEYS = config.storageKeys;
+        this.storage = self.BrowserHistoryOrganizerStorage;
+        this.historyIndexer = historyIndexer;
+
+        this.MIN_IDLE_SECONDS = 15; // Smallest interval chrome.idle accepts
+        this.TICK_ALARM = 'activeTimeTick';
+        this.TICK_MINUTES = 1;
+        // Spans are credited and restarted every tick, so a longer one means the worker missed how it ended (e.g. sleep)
+        this.MAX_SPAN_MS = 2 * this.TICK_MINUTES * 60 * 1000;
+
+        this.settingsPromise = null;
+        this.queue = Promise.resolve(); // Events are handled one at a time, in order
+
+        this.bindEvents();
+        this.enqueue(() => this.applySettings());
+    }
+
+    bindEvents() {
+        chrome.runtime.onStartup.addListener(() => this.enqueue(() => this.update()));
+
+        chrome.tabs.onActivated.addListener(() => this.enqueue(() => this.update()));
+
+        chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+            if (changeInfo.url && tab.active) this.enqueue(() => this.update());
+        });
+
+        chrome.windows.onFocusChanged.addListener(() => this.enqueue(() => this.update()));
+
+        chrome.idle.onStateChanged.addListener((state) => this.enqueue(() => this.update(state)));
+
+        chrome.alarms.onAlarm.addListener((alarm) => {
+            if (alarm.name === this.TICK_ALARM) this.enqueue(() => this.update());
+        });
+
+        // Pages removed from Chrome's history lose their recorded time too
+        chrome.history.onVisitRemoved.addListener((removed) => {
+            this.enqueue(() => removed.allHistory ?
+                this.storage.clearTimeOnSite() :
+                this.storage.removeTimeOnSite(removed.urls || []));
+        });
+
+        chrome.storage.onChanged.addListener((changes, namespace) => {
+            if (namespace !== 'sync') return;
+
+            if (changes[this.STORAGE_KEYS.timeTrackingSettings]) {
+                this.settingsPromise = null;
+                this.enqueue(() => this.applySettings());
+            }
+            if (changes[this.STORAGE_KEYS.hiddenSites] || changes[this.STORAGE_KEYS.privacySettings]) {
+                this.enqueue(() => this.removeExcludedTime());
+            }
+        });
+    }
+
+    enqueue(task) {
+        this.queue = this.queue
+            .then(task)
+            .catch(error => console.error('Error tracking active time:', error));
+        return this.queue;
+    }
+
+    loadSettings() {
+        if (!this.settingsPromise) {
+            this.settingsPromise = this.storage.getTimeTrackingSettings();
+        }
+        return this.settingsPromise;
+    }
+
+    async applySettings() {
+        const settings = await this.loadSettings();
+        chrome.idle.setDetectionInterval(Math.max(this.MIN_IDLE_SECONDS, settings.idleSeconds));
+
+        if (!settings.enabled) {
+            await chrome.alarms.clear(this.TICK_ALARM);
+        } else if (!await chrome.alarms.get(this.TICK_ALARM)) {
+            await chrome.alarms.create(this.TICK_ALARM, { periodInMinutes: this.TICK_MINUTES });
+        }
+        await this.update();
+    }
+
+    // Credits the span being timed, then starts one for the page now in front, if any
+    async update(idleState = null) {
+        const settings = await this.loadSettings();
+        const idleSeconds = Math.max(this.MIN_IDLE_SECONDS, settings.idleSeconds);
+        const now = Date.now();
+
+        const result = await chrome.storage.session.get([this.STORAGE_KEYS.activeTimeSpan]);
+        const span = result[this.STORAGE_KEYS.activeTimeSpan];
+        if (span) {
+            // Idleness is reported idleSeconds after the last input; that time was not spent on the page
+            const end = idleState && idleState !== 'active' ? Math.max(span.since, now - idleSeconds * 1000) : now;
+            await this.credit(span.url, Math.min(end - span.since, this.MAX_SPAN_MS), end);
+        }
+
+        const state = idleState || await chrome.idle.queryState(idleSeconds);
+        const url = settings.enabled && state === 'active' ? await this.getFocusedPageUrl() : null;
+        if (url) {
+            await chrome.storage.session.set({ [this.STORAGE_KEYS.activeTimeSpan]: { url, since: now } });
+        } else if (span) {
+            await chrome.storage.session.remove(this.STORAGE_KEYS.activeTimeSpan);
+        }
+    }
+
+    // Pages left out by the privacy settings are not recorded
+    async credit(url, ms, activeAt) {
+        if (ms < 1000) return;
+
+        const categories = await this.historyIndexer.loadCategories();
+        const [record] = this.historyIndexer.toRecords([{ url }], categories);
+        if (!record) return;
+
+        const groupId = categories.groupIds.get(record.category) || 'others';
+        await this.storage.addTimeOnSite(url, groupId, ms, activeAt);
+    }
+
+    // Time recorded before a site or group was excluded is dropped, so excluded pages are never kept
+    async removeExcludedTime() {
+        const [categories, privacySettings, timeOnSite] = await Promise.all([
+            this.historyIndexer.loadCategories(),
+            this.storage.getPrivacySettings(),
+            this.storage.loadTimeOnSite()
+        ]);
+        const excludedUrls = Object.keys(timeOnSite.urls)
+            .filter(url => this.historyIndexer.toRecords([{ url }], categories).length === 0);
+
+        await this.storage.removeTimeOnSite(excludedUrls, privacySettings.excludedGroups);
+    }
+
+    // Web page in the active tab of the focused normal window; null while Chrome or the docked window has focus
+    async getFocusedPageUrl() {
+        const focusedWindow = await chrome.windows.getLastFocused({ windowTypes: ['normal'] }).catch(() => null);
+        if (!focusedWindow || !focusedWindow.focused || focusedWindow.incognito) return null;
+
+        const [tab] = await chrome.tabs.query({ active: true, windowId: focusedWindow.id });
+        return tab && tab.url && /^https?:/.test(tab.url) ? tab.url : null;
+    }
+}
+
+const historyIndexer = new HistoryIndexer();
+new BookmarkSyncScheduler();
+new ContextMenuManager();
+new KeyboardCommands();
+new OmniboxSearch(historyIndexer);
+new TabGroupLauncher();
+new ActiveTimeTracker(historyIndexer);
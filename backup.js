@@ -0,0 +1,421 @@
+/**
+ * Browser History Organizer - Backup
+ *
+ * A backup file holds every stored setting and piece of data, keyed by its
+ * STORAGE_KEYS name rather than the prefixed storage key:
+ *
+ *   { format: 'browser-history-organizer-backup', version: 2, exportedAt, data: { websiteGroups: [...], favorites: [...], ... } }
+ *
+ * The keys are grouped into the sections the restore dialog offers. Each
+ * section is either merged into what is stored (what this device has wins,
+ * the backup fills in the rest) or replaced by the backup. Files written by
+ * earlier versions are upgraded by BACKUP_MIGRATIONS before anything is read.
+ */
+
+const BACKUP_FORMAT = 'browser-history-organizer-backup';
+const BACKUP_VERSION = 2;
+
+// Storage area of each backed-up key, by restore section
+const BACKUP_SECTIONS = [
+    { id: 'groups', label: '📂 Website groups', keys: { websiteGroups: 'sync' } },
+    {
+        id: 'favorites',
+        label: '⭐ Favorites, names, tags and folders',
+        keys: { favorites: 'local', favoriteNames: 'local', favoriteTags: 'local', favoriteMeta: 'local', favoriteFolders: 'local' }
+    },
+    { id: 'sessions', label: '🗂️ Sessions', keys: { sessions: 'local' } },
+    { id: 'visitStats', label: '🔥 Visit statistics', keys: { visitFrequency: 'local', topVisitedUrls: 'local' } },
+    { id: 'timeOnSite', label: '⏱️ Time on site', keys: { timeOnSite: 'local' } },
+    { id: 'privacy', label: '🔒 Privacy', keys: { hiddenSites: 'sync', privacySettings: 'sync' } },
+    {
+        id: 'preferences',
+        label: '⚙️ Preferences (dock, history, sync, time tracking)',
+        keys: { dockSettings: 'sync', historySettings: 'sync', syncSettings: 'sync', timeTrackingSettings: 'sync' }
+    }
+];
+
+// STORAGE_KEYS entries that are never backed up, and why
+const BACKUP_SKIPPED_KEYS = {
+    favoritesUpdatedAt: 'set when favorites are restored',
+    favoritesSync: 'the synced copy is merged with the restored favorites',
+    favoritesSyncBase: 'the synced copy as this device last merged it',
+    bookmarkSyncState: 'the bookmark mirror reconciles itself after favorites change',
+    popupLaunchAction: 'chrome.storage.session, read once by the next popup',
+    activeTimeSpan: 'chrome.storage.session, the page being timed right now'
+};
+
+// Upgrades a file of the given version to the next one
+const BACKUP_MIGRATIONS = {
+    // 1.0 was the settings export: { version: '1.0', timestamp, groups, sessions? }
+    1: file => ({
+        format: BACKUP_FORMAT,
+        version: 2,
+        exportedAt: file.timestamp || null,
+        data: {
+            websiteGroups: file.groups,
+            ...(file.sessions ? { sessions: file.sessions } : {})
+        }
+    })
+};
+
+// =============================================================================
+// 📤 BACKUP
+// =============================================================================
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Everything the sections cover, as stored now: { [STORAGE_KEYS name]: value }
+async function readBackupData() {
+    const config = globalThis.BrowserHistoryOrganizerConfig;
+    const storage = globalThis.BrowserHistoryOrganizerStorage;
+    const keysByArea = { local: [], sync: [] };
+
+    BACKUP_SECTIONS.forEach(section => {
+        Object.entries(section.keys).forEach(([name, area]) => keysByArea[area].push(config.storageKeys[name]));
+    });
+
+    const [local, sync, favorites] = await Promise.all([
+        chrome.storage.local.get(keysByArea.local),
+        chrome.storage.sync.get(keysByArea.sync),
+        storage.loadFavorites() // Picks up a newer synced copy of the favorites
+    ]);
+
+    const data = {};
+    BACKUP_SECTIONS.forEach(section => {
+        Object.entries(section.keys).forEach(([name, area]) => {
+            const value = (area === 'local' ? local : sync)[config.storageKeys[name]];
+            if (value !== undefined) data[name] = value;
+        });
+    });
+
+    ['favorites', 'favoriteNames', 'favoriteTags', 'favoriteMeta', 'favoriteFolders'].forEach(name => {
+        if (favorites[name] !== null) data[name] = favorites[name];
+    });
+
+    return data;
+}
+
+async function createBackup() {
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        data: await readBackupData()
+    };
+}
+
+// =============================================================================
+// 🚚 MIGRATION
+// =============================================================================
+
+// Version of a parsed file, or null when it is not a backup at all
+function getBackupVersion(file) {
+    if (!isPlainObject(file)) return null;
+    if (file.format === BACKUP_FORMAT) return Number(file.version) || null;
+    if (Array.isArray(file.groups)) return 1; // Settings export from before the backup format
+    return null;
+}
+
+// Upgrades the file to BACKUP_VERSION and drops values that do not have the expected shape:
+// { backup, fromVersion }
+function migrateBackup(file) {
+    const fromVersion = getBackupVersion(file);
+    if (fromVersion === null) {
+        throw new Error('This is not a Browser History Organizer backup file');
+    }
+    if (fromVersion > BACKUP_VERSION) {
+        throw new Error('This backup was made by a newer version of the extension');
+    }
+
+    let backup = file;
+    for (let version = fromVersion; version < BACKUP_VERSION; version++) {
+        backup = BACKUP_MIGRATIONS[version](backup);
+    }
+
+    return { backup: { ...backup, data: sanitizeBackupData(backup.data) }, fromVersion };
+}
+
+function isValidGroup(group) {
+    return isPlainObject(group) && group.id && group.name && group.icon &&
+        Array.isArray(group.patterns) && group.patterns.length > 0;
+}
+
+function isValidSession(session) {
+    return isPlainObject(session) && session.id && session.name && Array.isArray(session.tabs) &&
+        session.tabs.every(tab => tab && typeof tab.url === 'string');
+}
+
+function sanitizeBackupData(data) {
+    if (!isPlainObject(data)) return {};
+
+    const clean = {};
+    const keep = (name, value) => {
+        if (value !== undefined) clean[name] = value;
+    };
+
+    if (Array.isArray(data.websiteGroups)) {
+        const groups = data.websiteGroups.filter(isValidGroup).map((group, index) => ({
+            ...group,
+            order: index,
+            enabled: group.enabled !== false
+        }));
+        if (groups.length > 0) keep('websiteGroups', groups);
+    }
+
+    if (Array.isArray(data.favorites)) keep('favorites', data.favorites.filter(url => typeof url === 'string'));
+    if (Array.isArray(data.sessions)) keep('sessions', data.sessions.filter(isValidSession));
+    if (Array.isArray(data.topVisitedUrls)) keep('topVisitedUrls', data.topVisitedUrls.filter(url => typeof url === 'string'));
+    if (Array.isArray(data.hiddenSites)) keep('hiddenSites', data.hiddenSites.filter(pattern => typeof pattern === 'string'));
+
+    ['favoriteNames', 'favoriteTags', 'favoriteMeta', 'visitFrequency', 'privacySettings',
+        'dockSettings', 'historySettings', 'syncSettings', 'timeTrackingSettings'].forEach(name => {
+        if (isPlainObject(data[name])) keep(name, data[name]);
+    });
+
+    if (isPlainObject(data.favoriteFolders) && Array.isArray(data.favoriteFolders.folders)) {
+        keep('favoriteFolders', data.favoriteFolders);
+    }
+    if (isPlainObject(data.timeOnSite) && isPlainObject(data.timeOnSite.urls)) {
+        keep('timeOnSite', { urls: data.timeOnSite.urls, groups: isPlainObject(data.timeOnSite.groups) ? data.timeOnSite.groups : {} });
+    }
+
+    return clean;
+}
+
+// =============================================================================
+// 🔍 PREVIEW
+// =============================================================================
+
+// The comparable units of a section (a group, a favorite, a setting...) keyed for the diff
+function getSectionEntries(sectionId, data) {
+    const entries = new Map();
+
+    switch (sectionId) {
+    case 'groups':
+        (data.websiteGroups || []).forEach(group => entries.set(group.id, group));
+        break;
+    case 'favorites': {
+        const names = data.favoriteNames || {};
+        const tags = data.favoriteTags || {};
+        (data.favorites || []).forEach(url => {
+            entries.set(url, { name: names[url] || '', tags: Array.isArray(tags[url]) ? [...tags[url]].sort() : [] });
+        });
+        break;
+    }
+    case 'sessions':
+        (data.sessions || []).forEach(session => entries.set(session.id, session));
+        break;
+    case 'visitStats':
+        Object.entries(data.visitFrequency || {}).forEach(([url, count]) => entries.set(url, count));
+        break;
+    case 'timeOnSite':
+        Object.entries((data.timeOnSite || {}).urls || {}).forEach(([url, entry]) => entries.set(url, entry.ms));
+        break;
+    case 'privacy':
+        (data.hiddenSites || []).forEach(pattern => entries.set(`site:${pattern}`, true));
+        ((data.privacySettings || {}).excludedGroups || []).forEach(id => entries.set(`group:${id}`, true));
+        if (data.privacySettings) entries.set('blurTitles', Boolean(data.privacySettings.blurTitles));
+        break;
+    case 'preferences':
+        ['dockSettings', 'historySettings', 'syncSettings', 'timeTrackingSettings'].forEach(name => {
+            Object.entries(data[name] || {}).forEach(([field, value]) => entries.set(`${name}.${field}`, value));
+        });
+        break;
+    }
+
+    return entries;
+}
+
+// Per section: { id, label, inBackup, added, changed, onlyHere }
+// (added: only in the backup, changed: in both but different, onlyHere: removed by Replace)
+function diffBackup(current, backup) {
+    return BACKUP_SECTIONS.map(section => {
+        const inBackup = Object.keys(section.keys).some(name => backup.data[name] !== undefined);
+        const ours = getSectionEntries(section.id, current);
+        const theirs = getSectionEntries(section.id, backup.data);
+
+        let added = 0;
+        let changed = 0;
+        theirs.forEach((value, key) => {
+            if (!ours.has(key)) {
+                added++;
+            } else if (JSON.stringify(ours.get(key)) !== JSON.stringify(value)) {
+                changed++;
+            }
+        });
+        const onlyHere = Array.from(ours.keys()).filter(key => !theirs.has(key)).length;
+
+        return { id: section.id, label: section.label, inBackup, added, changed, onlyHere };
+    });
+}
+
+// =============================================================================
+// 📥 RESTORE
+// =============================================================================
+
+// Values the section's keys get when merging: what is stored wins, the backup adds what is missing
+function mergeSection(sectionId, current, incoming) {
+    const folders = globalThis.BrowserHistoryOrganizerFolders;
+
+    switch (sectionId) {
+    case 'groups': {
+        const groups = current.websiteGroups || [];
+        const ids = new Set(groups.map(group => group.id));
+        const added = (incoming.websiteGroups || []).filter(group => !ids.has(group.id));
+
+        // Groups from the backup go before the fallback group, which stays last
+        const isFallback = group => group.name === globalThis.BrowserHistoryOrganizerRules.FALLBACK_CATEGORY;
+        const merged = [...groups, ...added];
+        return {
+            websiteGroups: [...merged.filter(group => !isFallback(group)), ...merged.filter(isFallback)]
+                .map((group, index) => ({ ...group, order: index }))
+        };
+    }
+    case 'favorites': {
+        const favorites = current.favorites || [];
+        const existing = new Set(favorites);
+        const added = (incoming.favorites || []).filter(url => !existing.has(url));
+
+        const favoriteTags = { ...(current.favoriteTags || {}) };
+        Object.entries(incoming.favoriteTags || {}).forEach(([url, tags]) => {
+            favoriteTags[url] = Array.from(new Set([...(favoriteTags[url] || []), ...tags]));
+        });
+
+        // New favorites go into the same folders they had in the backup
+        const allFavorites = new Set([...favorites, ...added]);
+        const tree = folders.normalizeFolderTree(current.favoriteFolders, new Set(favorites));
+        const incomingTree = folders.normalizeFolderTree(incoming.favoriteFolders, new Set(incoming.favorites || []));
+        const addedSet = new Set(added);
+        folders.flattenFolderTree(incomingTree)
+            .filter(({ url }) => addedSet.has(url))
+            .forEach(({ url, path }) => folders.ensureFolderSegments(tree, path).items.push(url));
+
+        return {
+            favorites: Array.from(allFavorites),
+            favoriteNames: { ...(incoming.favoriteNames || {}), ...(current.favoriteNames || {}) },
+            favoriteTags,
+            favoriteMeta: { ...(incoming.favoriteMeta || {}), ...(current.favoriteMeta || {}) },
+            favoriteFolders: folders.normalizeFolderTree(tree, allFavorites)
+        };
+    }
+    case 'sessions': {
+        const sessions = current.sessions || [];
+        const ids = new Set(sessions.map(session => session.id));
+        const added = (incoming.sessions || []).filter(session => !ids.has(session.id));
+        return { sessions: [...sessions, ...added].sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0)) };
+    }
+    case 'visitStats': {
+        const visitFrequency = { ...(current.visitFrequency || {}) };
+        Object.entries(incoming.visitFrequency || {}).forEach(([url, count]) => {
+            visitFrequency[url] = Math.max(visitFrequency[url] || 0, count);
+        });
+        return {
+            visitFrequency,
+            topVisitedUrls: Array.from(new Set([...(current.topVisitedUrls || []), ...(incoming.topVisitedUrls || [])]))
+        };
+    }
+    case 'timeOnSite': {
+        // Totals are not added up: the backup may well contain time already counted here
+        const ours = current.timeOnSite || { urls: {}, groups: {} };
+        const theirs = incoming.timeOnSite || { urls: {}, groups: {} };
+        const urls = { ...ours.urls };
+        Object.entries(theirs.urls).forEach(([url, entry]) => {
+            if (!urls[url] || urls[url].ms < entry.ms) urls[url] = entry;
+        });
+        const groups = { ...ours.groups };
+        Object.entries(theirs.groups).forEach(([id, ms]) => {
+            groups[id] = Math.max(groups[id] || 0, ms);
+        });
+        return { timeOnSite: { urls, groups } };
+    }
+    case 'privacy': {
+        const privacySettings = current.privacySettings || {};
+        const incomingSettings = incoming.privacySettings || {};
+        return {
+            hiddenSites: Array.from(new Set([...(current.hiddenSites || []), ...(incoming.hiddenSites || [])])),
+            privacySettings: {
+                ...incomingSettings,
+                ...privacySettings,
+                excludedGroups: Array.from(new Set([...(privacySettings.excludedGroups || []), ...(incomingSettings.excludedGroups || [])]))
+            }
+        };
+    }
+    case 'preferences': {
+        const merged = {};
+        ['dockSettings', 'historySettings', 'syncSettings', 'timeTrackingSettings'].forEach(name => {
+            if (incoming[name] || current[name]) merged[name] = { ...(incoming[name] || {}), ...(current[name] || {}) };
+        });
+        return merged;
+    }
+    }
+    return {};
+}
+
+// choices: { [sectionId]: 'merge' | 'replace' } for the sections to restore; returns the restored section labels
+async function restoreBackup(backup, choices) {
+    const config = globalThis.BrowserHistoryOrganizerConfig;
+    const storage = globalThis.BrowserHistoryOrganizerStorage;
+    const folders = globalThis.BrowserHistoryOrganizerFolders;
+    const current = await readBackupData();
+    const restored = [];
+
+    // Preferences first, so the favorites below are synced (or not) by the restored sync settings
+    const sections = [...BACKUP_SECTIONS].sort((a, b) => (b.id === 'preferences') - (a.id === 'preferences'));
+
+    for (const section of sections) {
+        const mode = choices[section.id];
+        if (!mode) continue;
+
+        const values = {};
+        if (mode === 'merge') {
+            Object.assign(values, mergeSection(section.id, current, backup.data));
+        } else {
+            Object.keys(section.keys).forEach(name => {
+                if (backup.data[name] !== undefined) values[name] = backup.data[name];
+            });
+        }
+
+        if (section.id === 'favorites') {
+            const favorites = values.favorites || current.favorites || [];
+            await storage.saveFavorites({
+                favorites,
+                favoriteNames: values.favoriteNames || {},
+                favoriteTags: values.favoriteTags || {},
+                favoriteMeta: values.favoriteMeta || {},
+                favoriteFolders: folders.normalizeFolderTree(values.favoriteFolders, new Set(favorites))
+            });
+        } else {
+            const writes = { local: {}, sync: {} };
+            Object.entries(values).forEach(([name, value]) => {
+                if (name === 'syncSettings') return;
+                writes[section.keys[name]][config.storageKeys[name]] = value;
+            });
+            if (Object.keys(writes.local).length > 0) await chrome.storage.local.set(writes.local);
+            if (Object.keys(writes.sync).length > 0) await chrome.storage.sync.set(writes.sync);
+
+            // Turning favorites sync on or off also publishes or removes the synced copy
+            if (values.syncSettings) {
+                await storage.setSyncSettings({ ...config.syncSettings, ...values.syncSettings });
+            }
+        }
+
+        restored.push(section.label);
+    }
+
+    return restored;
+}
+
+// =============================================================================
+// 🌟 GLOBAL EXPORT
+// =============================================================================
+
+globalThis.BrowserHistoryOrganizerBackup = {
+    BACKUP_VERSION,
+    createBackup,
+    readBackupData,
+    migrateBackup,
+    diffBackup,
+    restoreBackup
+};
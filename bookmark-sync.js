@@ -0,0 +1,396 @@
+/**
+ * Browser History Organizer - Bookmark Sync
+ *
+ * Opt-in two-way mirror between the favorites and a dedicated Chrome bookmarks
+ * folder. Each run compares three snapshots per URL - the favorites, the
+ * bookmarks and the state both had after the previous run - so an edit on one
+ * side is copied to the other and an edit on both sides is a conflict, settled
+ * by the `bookmarkConflicts` sync setting.
+ *
+ * Favorite names (custom name, else the saved page title) map to bookmark
+ * titles and favorite folders map to bookmark sub-folders. Tags, manual order
+ * and visit data stay in extension storage.
+ */
+
+// Folder paths are arrays of folder names (a name may contain "/"); this is how they are compared and looked up
+function toPathKey(path) {
+    return JSON.stringify(path);
+}
+
+class BookmarkSync {
+    constructor() {
+        const config = globalThis.BrowserHistoryOrganizerConfig;
+        this.STORAGE_KEYS = config.storageKeys;
+        this.folderTitle = config.bookmarkFolderTitle;
+        this.storage = globalThis.BrowserHistoryOrganizerStorage;
+        this.folders = globalThis.BrowserHistoryOrganizerFolders;
+    }
+
+    isAvailable() {
+        return typeof chrome !== 'undefined' && chrome.bookmarks && this.storage.isAvailable();
+    }
+
+    // =========================================================================
+    // 💾 STATE
+    // =========================================================================
+
+    // { folderId, base: { url: { title, path: [name] } }, folders: [[name]], lastSyncedAt, conflicts: [...], conflictsAt }
+    async getState() {
+        const result = await chrome.storage.local.get([this.STORAGE_KEYS.bookmarkSyncState]);
+        return {
+            folderId: null,
+            base: {},
+            folders: [],
+            lastSyncedAt: 0,
+            conflicts: [],
+            conflictsAt: 0,
+            ...(result[this.STORAGE_KEYS.bookmarkSyncState] || {})
+        };
+    }
+
+    setState(state) {
+        return chrome.storage.local.set({ [this.STORAGE_KEYS.bookmarkSyncState]: state });
+    }
+
+    // Forget the last snapshot so re-enabling starts with a merge that never deletes anything
+    async reset() {
+        const state = await this.getState();
+        await this.setState({ folderId: state.folderId, base: {}, folders: [], lastSyncedAt: 0, conflicts: [], conflictsAt: 0 });
+    }
+
+    // =========================================================================
+    // 🔄 SYNC
+    // =========================================================================
+
+    async sync() {
+        if (!this.isAvailable()) return null;
+        const syncSettings = await this.storage.getSyncSettings();
+        if (!syncSettings.bookmarks) return null;
+
+        const state = await this.getState();
+        const rootId = await this.ensureRootFolder(state.folderId);
+        const data = await this.storage.loadFavorites();
+        data.favoriteFolders = this.folders.normalizeFolderTree(data.favoriteFolders, new Set(data.favorites));
+
+        const local = this.readFavorites(data);
+        const remote = await this.readBookmarks(rootId);
+        const result = this.reconcile(state, local, remote, syncSettings.bookmarkConflicts);
+
+        if (result.favoritesChanged) {
+            // Applied to a fresh copy, so stars, names, tags and moves saved while the bookmarks were read are kept
+            const fresh = await this.storage.loadFavorites();
+            fresh.favoriteFolders = this.folders.normalizeFolderTree(fresh.favoriteFolders, new Set(fresh.favorites));
+            this.applyToFavorites(fresh, result);
+            await this.storage.saveFavorites(fresh);
+        }
+        await this.applyToBookmarks(rootId, remote, result);
+
+        // Conflicts of the last run that had any stay visible in settings
+        const hasConflicts = result.conflicts.length > 0;
+        const newState = {
+            folderId: rootId,
+            base: result.base,
+            folders: result.folders,
+            lastSyncedAt: Date.now(),
+            conflicts: hasConflicts ? result.conflicts : state.conflicts,
+            conflictsAt: hasConflicts ? Date.now() : state.conflictsAt
+        };
+        await this.setState(newState);
+        return newState;
+    }
+
+    async ensureRootFolder(folderId) {
+        if (folderId) {
+            try {
+                const [folder] = await chrome.bookmarks.get(folderId);
+                if (folder && !folder.url) return folder.id;
+            } catch {
+                // Folder was deleted; create a new one below
+            }
+        }
+
+        // "Other bookmarks" is the second child of the bookmarks root
+        const [tree] = await chrome.bookmarks.getTree();
+        const parent = tree.children[1] || tree.children[0];
+        const existing = (parent.children || []).find(node => !node.url && node.title === this.folderTitle);
+        if (existing) return existing.id;
+
+        const created = await chrome.bookmarks.create({ parentId: parent.id, title: this.folderTitle });
+        return created.id;
+    }
+
+    readFavorites({ favoriteNames, favoriteMeta, favoriteFolders }) {
+        const entries = {};
+        this.folders.flattenFolderTree(favoriteFolders).forEach(({ url, path }) => {
+            const meta = favoriteMeta[url] || {};
+            entries[url] = {
+                title: favoriteNames[url] || meta.title || url,
+                path
+            };
+        });
+        return { entries, folders: this.folders.getFolderPaths(favoriteFolders) };
+    }
+
+    async readBookmarks(rootId) {
+        const [root] = await chrome.bookmarks.getSubTree(rootId);
+        const entries = {};
+        const folderIds = { [toPathKey([])]: rootId };
+        const folders = [];
+
+        const visit = (node, path) => {
+            (node.children || []).forEach(child => {
+                if (child.url) {
+                    // A URL bookmarked twice is mirrored once; the first copy is the one kept in step
+                    if (entries[child.url]) return;
+                    entries[child.url] = { id: child.id, title: child.title || child.url, path };
+                } else {
+                    const childPath = [...path, child.title];
+                    folderIds[toPathKey(childPath)] = child.id;
+                    folders.push(childPath);
+                    visit(child, childPath);
+                }
+            });
+        };
+        visit(root, []);
+
+        return { entries, folderIds, folders };
+    }
+
+    // Three-way merge of one field; returns [value, conflicted]
+    mergeField(baseValue, localValue, remoteValue, preferBookmarks) {
+        if (localValue === remoteValue) return [localValue, false];
+        const localChanged = baseValue === undefined || localValue !== baseValue;
+        const remoteChanged = baseValue === undefined || remoteValue !== baseValue;
+        if (localChanged && !remoteChanged) return [localValue, false];
+        if (remoteChanged && !localChanged) return [remoteValue, false];
+        return [preferBookmarks ? remoteValue : localValue, true];
+    }
+
+    reconcile(state, local, remote, conflictPolicy) {
+        const preferBookmarks = conflictPolicy === 'bookmarks';
+        const kept = preferBookmarks ? 'bookmarks' : 'favorites';
+        const result = {
+            base: {},
+            conflicts: [],
+            favoritesChanged: false,
+            favorites: { add: [], update: [], remove: [] },
+            bookmarks: { create: [], update: [], remove: [] }
+        };
+        const changed = (entry, baseEntry) => !baseEntry || entry.title !== baseEntry.title ||
+            toPathKey(entry.path) !== toPathKey(baseEntry.path);
+
+        const urls = new Set([...Object.keys(state.base), ...Object.keys(local.entries), ...Object.keys(remote.entries)]);
+        urls.forEach(url => {
+            const baseEntry = state.base[url];
+            const localEntry = local.entries[url];
+            const remoteEntry = remote.entries[url];
+
+            if (localEntry && remoteEntry) {
+                const [title, titleConflict] = this.mergeField(baseEntry && baseEntry.title, localEntry.title, remoteEntry.title, preferBookmarks);
+                const [pathKey, pathConflict] = this.mergeField(
+                    baseEntry && toPathKey(baseEntry.path), toPathKey(localEntry.path), toPathKey(remoteEntry.path), preferBookmarks);
+                const merged = { title, path: JSON.parse(pathKey) };
+
+                if (titleConflict || pathConflict) {
+                    result.conflicts.push({ url, title, kept, reason: 'Edited in both places' });
+                }
+                if (changed(merged, localEntry)) result.favorites.update.push({ url, ...merged });
+                if (changed(merged, remoteEntry)) result.bookmarks.update.push({ url, id: remoteEntry.id, ...merged });
+                result.base[url] = merged;
+            } else if (localEntry) {
+                if (!baseEntry) {
+                    result.bookmarks.create.push({ url, ...localEntry });
+                    result.base[url] = localEntry;
+                } else if (changed(localEntry, baseEntry) && !preferBookmarks) {
+                    // Bookmark deleted while the favorite was edited: keep the favorite and restore the bookmark
+                    result.conflicts.push({ url, title: localEntry.title, kept, reason: 'Bookmark deleted, favorite edited' });
+                    result.bookmarks.create.push({ url, ...localEntry });
+                    result.base[url] = localEntry;
+                } else {
+                    if (changed(localEntry, baseEntry)) {
+                        result.conflicts.push({ url, title: localEntry.title, kept, reason: 'Bookmark deleted, favorite edited' });
+                    }
+                    result.favorites.remove.push(url);
+                }
+            } else if (remoteEntry) {
+                if (!baseEntry) {
+                    result.favorites.add.push({ url, title: remoteEntry.title, path: remoteEntry.path });
+                    result.base[url] = { title: remoteEntry.title, path: remoteEntry.path };
+                } else if (changed(remoteEntry, baseEntry) && preferBookmarks) {
+                    result.conflicts.push({ url, title: remoteEntry.title, kept, reason: 'Favorite removed, bookmark edited' });
+                    result.favorites.add.push({ url, title: remoteEntry.title, path: remoteEntry.path });
+                    result.base[url] = { title: remoteEntry.title, path: remoteEntry.path };
+                } else {
+                    if (changed(remoteEntry, baseEntry)) {
+                        result.conflicts.push({ url, title: remoteEntry.title, kept, reason: 'Favorite removed, bookmark edited' });
+                    }
+                    result.bookmarks.remove.push(remoteEntry.id);
+                }
+            }
+        });
+
+        result.folders = this.reconcileFolders(state.folders, local.folders, remote.folders, result);
+        result.favoritesChanged = result.favorites.add.length > 0 ||
+            result.favorites.update.length > 0 ||
+            result.favorites.remove.length > 0 ||
+            result.folderChanges.local.create.length > 0 ||
+            result.folderChanges.local.remove.length > 0;
+
+        return result;
+    }
+
+    // Folders created on one side are created on the other; folders deleted on one side are deleted on the other once empty
+    reconcileFolders(baseFolders, localFolders, remoteFolders, result) {
+        const base = new Set(baseFolders.map(toPathKey));
+        const local = new Set(localFolders.map(toPathKey));
+        const remote = new Set(remoteFolders.map(toPathKey));
+        const folders = new Set();
+        result.folderChanges = { local: { create: [], remove: [] }, remote: { create: [], remove: [] } };
+
+        // Paths used by the merged favorites always exist on both sides
+        Object.values(result.base).forEach(({ path }) => {
+            path.forEach((_, i) => folders.add(toPathKey(path.slice(0, i + 1))));
+        });
+
+        new Set([...base, ...local, ...remote]).forEach(key => {
+            const inLocal = local.has(key);
+            const inRemote = remote.has(key);
+            const deleted = base.has(key) && (!inLocal || !inRemote);
+
+            if (deleted && !folders.has(key)) {
+                if (inLocal) result.folderChanges.local.remove.push(JSON.parse(key));
+                if (inRemote) result.folderChanges.remote.remove.push(JSON.parse(key));
+                return;
+            }
+            folders.add(key);
+        });
+
+        folders.forEach(key => {
+            if (!local.has(key)) result.folderChanges.local.create.push(JSON.parse(key));
+            if (!remote.has(key)) result.folderChanges.remote.create.push(JSON.parse(key));
+        });
+
+        return Array.from(folders, key => JSON.parse(key));
+    }
+
+    // =========================================================================
+    // ✍️ APPLY
+    // =========================================================================
+
+    applyToFavorites(data, result) {
+        const favorites = new Set(data.favorites);
+        const tree = data.favoriteFolders;
+
+        const setTitle = (url, title) => {
+            const meta = data.favoriteMeta[url] || {};
+            if (title === (meta.title || url)) {
+                delete data.favoriteNames[url];
+            } else {
+                data.favoriteNames[url] = title;
+            }
+        };
+        const place = (url, path) => {
+            const folder = this.folders.ensureFolderSegments(tree, path);
+            this.folders.moveFavorite(tree, url, folder.id);
+        };
+
+        result.folderChanges.local.create.forEach(path => {
+            this.folders.ensureFolderSegments(tree, path);
+        });
+
+        result.favorites.add.forEach(({ url, title, path }) => {
+            favorites.add(url);
+            data.favoriteMeta[url] = {
+                title,
+                favIconUrl: this.getFaviconUrl(url),
+                group: null,
+                addedAt: Date.now(),
+                lastVisitTime: null
+            };
+            place(url, path);
+        });
+
+        result.favorites.update.forEach(({ url, title, path }) => {
+            if (!favorites.has(url)) return; // Unstarred since the run started; the next run removes the bookmark
+            setTitle(url, title);
+            const current = this.folders.getFolderPath(tree, this.folders.findFolderOfUrl(tree, url).id);
+            if (toPathKey(current) !== toPathKey(path)) place(url, path);
+        });
+
+        result.favorites.remove.forEach(url => {
+            favorites.delete(url);
+            delete data.favoriteNames[url];
+            delete data.favoriteTags[url];
+            delete data.favoriteMeta[url];
+        });
+
+        // Deepest first, so a parent is only removed after its children
+        result.folderChanges.local.remove
+            .sort((a, b) => b.length - a.length)
+            .forEach(path => {
+                const folder = this.folders.findFolderBySegments(tree, path);
+                if (folder && this.folders.countFavorites(folder) === 0 && folder.folders.length === 0) {
+                    this.folders.removeFolder(tree, folder.id);
+                }
+            });
+
+        data.favorites = Array.from(favorites);
+        data.favoriteFolders = this.folders.normalizeFolderTree(tree, favorites);
+    }
+
+    async applyToBookmarks(rootId, remote, result) {
+        const folderIds = { ...remote.folderIds };
+
+        const ensureFolder = async (path) => {
+            const key = toPathKey(path);
+            if (folderIds[key]) return folderIds[key];
+            const parentId = await ensureFolder(path.slice(0, -1));
+            const created = await chrome.bookmarks.create({ parentId, title: path[path.length - 1] });
+            folderIds[key] = created.id;
+            return created.id;
+        };
+
+        for (const path of result.folderChanges.remote.create) {
+            await ensureFolder(path);
+        }
+
+        for (const { url, title, path } of result.bookmarks.create) {
+            await chrome.bookmarks.create({ parentId: await ensureFolder(path), title, url });
+        }
+
+        for (const { url, id, title, path } of result.bookmarks.update) {
+            const current = remote.entries[url];
+            if (current.title !== title) {
+                await chrome.bookmarks.update(id, { title });
+            }
+            if (toPathKey(current.path) !== toPathKey(path)) {
+                await chrome.bookmarks.move(id, { parentId: await ensureFolder(path) });
+            }
+        }
+
+        for (const id of result.bookmarks.remove) {
+            await chrome.bookmarks.remove(id);
+        }
+
+        // Deepest first; folders that still hold something the user added are left alone
+        const removals = result.folderChanges.remote.remove
+            .sort((a, b) => b.length - a.length);
+        for (const path of removals) {
+            const folderId = folderIds[toPathKey(path)];
+            const children = await chrome.bookmarks.getChildren(folderId);
+            if (children.length === 0) {
+                await chrome.bookmarks.remove(folderId);
+            }
+        }
+    }
+
+    getFaviconUrl(url) {
+        try {
+            return `https://www.google.com/s2/favicons?domain=${new URL(url).hostname}&sz=16`;
+        } catch {
+            return '';
+        }
+    }
+}
+
+globalThis.BrowserHistoryOrganizerBookmarkSync = new BookmarkSync();
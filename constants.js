@@ -137,6 +137,64 @@ const DEFAULT_DOCK_SETTINGS = {
     width: 1000              // Default width 1000px
 };
 
+// Default history window settings
+const DEFAULT_HISTORY_SETTINGS = {
+    defaultRange: '30d',     // Range the popup opens with
+    maxResults: 2000,        // Maximum history items loaded into the popup
+    openAllLimit: 20         // Pages opened by a group's or folder's "open all"
+};
+
+// Allowed bounds for the max items setting
+const HISTORY_MAX_RESULTS_LIMITS = {
+    min: 100,
+    max: 50000
+};
+
+// Allowed bounds for "open all"; larger launches ask for confirmation first
+const OPEN_ALL_LIMITS = {
+    min: 1,
+    max: 50,
+    confirmAbove: 10
+};
+
+// Colours Chrome allows for tab groups; a website group always gets the same one
+const TAB_GROUP_COLORS = ['blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange', 'grey'];
+
+// Selectable history ranges ('today' starts at local midnight)
+const HISTORY_RANGE_OPTIONS = [
+    { id: 'today', label: 'Today', days: 0 },
+    { id: '7d', label: 'Last 7 days', days: 7 },
+    { id: '30d', label: 'Last 30 days', days: 30 },
+    { id: '90d', label: 'Last 90 days', days: 90 }
+];
+
+// Default sync settings (group definitions always sync; everything else stays local)
+const DEFAULT_SYNC_SETTINGS = {
+    favorites: true,         // Mirror favorites and their custom names across devices
+    bookmarks: false,        // Two-way mirror of favorites into a Chrome bookmarks folder
+    bookmarkConflicts: 'favorites' // Side that wins when a favorite and its bookmark were both edited
+};
+
+// Chrome bookmarks folder that mirrors the favorites (created under "Other bookmarks")
+const BOOKMARK_FOLDER_TITLE = 'Browser History Organizer';
+
+// Default privacy settings; the excluded sites and URL rules live under STORAGE_KEYS.hiddenSites
+const DEFAULT_PRIVACY_SETTINGS = {
+    excludedGroups: [],      // Ids of website groups whose pages are never shown, counted or stored
+    blurTitles: false        // Blur page titles and URLs in the popup, e.g. while screen sharing
+};
+
+// Default time-on-site settings (opt-in; the background worker does the tracking)
+const DEFAULT_TIME_TRACKING_SETTINGS = {
+    enabled: false,          // Track active time per page while its tab and window are focused
+    idleSeconds: 60          // No keyboard or mouse input for this long counts as away
+};
+
+// Default history index settings (maintained by the background service worker)
+const DEFAULT_INDEX_SETTINGS = {
+    retentionDays: 90        // Keep indexed visits from the last 90 days
+};
+
 // =============================================================================
 // 📊 CONSTANTS & UTILITIES
 // =============================================================================
@@ -146,10 +204,25 @@ const STORAGE_KEYS = {
     websiteGroups: 'browserHistoryOrganizer_websiteGroups',
     favorites: 'browserHistoryOrganizer_favorites',
     favoriteTags: 'browserHistoryOrganizer_favoriteTags',
+    favoriteNames: 'browserHistoryOrganizer_favoriteNames',
+    favoriteMeta: 'browserHistoryOrganizer_favoriteMeta',
+    favoriteFolders: 'browserHistoryOrganizer_favoriteFolders',
     visitFrequency: 'browserHistoryOrganizer_visitFrequency',
     topVisitedUrls: 'browserHistoryOrganizer_topVisitedUrls',
-    recentVisitDates: 'browserHistoryOrganizer_recentVisitDates',
-    dockSettings: 'browserHistoryOrganizer_dockSettings'
+    dockSettings: 'browserHistoryOrganizer_dockSettings',
+    historySettings: 'browserHistoryOrganizer_historySettings',
+    favoritesUpdatedAt: 'browserHistoryOrganizer_favoritesUpdatedAt',
+    favoritesSync: 'browserHistoryOrganizer_favoritesSync',
+    favoritesSyncBase: 'browserHistoryOrganizer_favoritesSyncBase',
+    syncSettings: 'browserHistoryOrganizer_syncSettings',
+    bookmarkSyncState: 'browserHistoryOrganizer_bookmarkSyncState',
+    hiddenSites: 'browserHistoryOrganizer_hiddenSites',
+    privacySettings: 'browserHistoryOrganizer_privacySettings',
+    sessions: 'browserHistoryOrganizer_sessions',
+    timeTrackingSettings: 'browserHistoryOrganizer_timeTrackingSettings',
+    timeOnSite: 'browserHistoryOrganizer_timeOnSite',
+    activeTimeSpan: 'browserHistoryOrganizer_activeTimeSpan', // chrome.storage.session, page being timed right now
+    popupLaunchAction: 'browserHistoryOrganizer_popupLaunchAction' // chrome.storage.session, read once by the next popup
 };
 
 // Icon options for groups
@@ -164,6 +237,16 @@ const CONFIG = {
     groups: DEFAULT_GROUPS,
     frequencyThresholds: DEFAULT_FREQUENCY_THRESHOLDS,
     dockSettings: DEFAULT_DOCK_SETTINGS,
+    historySettings: DEFAULT_HISTORY_SETTINGS,
+    historyMaxResultsLimits: HISTORY_MAX_RESULTS_LIMITS,
+    historyRangeOptions: HISTORY_RANGE_OPTIONS,
+    openAllLimits: OPEN_ALL_LIMITS,
+    tabGroupColors: TAB_GROUP_COLORS,
+    indexSettings: DEFAULT_INDEX_SETTINGS,
+    syncSettings: DEFAULT_SYNC_SETTINGS,
+    privacySettings: DEFAULT_PRIVACY_SETTINGS,
+    timeTrackingSettings: DEFAULT_TIME_TRACKING_SETTINGS,
+    bookmarkFolderTitle: BOOKMARK_FOLDER_TITLE,
     iconOptions: ICON_OPTIONS,
     storageKeys: STORAGE_KEYS
 };
@@ -172,8 +255,8 @@ const CONFIG = {
 // 🌟 GLOBAL EXPORT
 // =============================================================================
 
-// Make configuration available globally for the extension
-window.BrowserHistoryOrganizerConfig = {
+// Make configuration available globally for the extension (pages and the service worker)
+globalThis.BrowserHistoryOrganizerConfig = {
     ...CONFIG,
     // Utility functions
     getDefaultGroups: () => DEFAULT_GROUPS,
@@ -0,0 +1,320 @@
+// Browsing analytics for Browser History Organizer, drawn as plain SVG and HTML
+class Dashboard {
+    constructor() {
+        const config = window.BrowserHistoryOrganizerConfig;
+        this.STORAGE_KEYS = config.storageKeys;
+        this.historySettings = { ...config.historySettings };
+        this.historyRangeOptions = config.historyRangeOptions;
+        this.stats = window.BrowserHistoryOrganizerStats;
+
+        // Series colours; groups keep theirs in group order, sites in rank order
+        this.CHART_COLORS = [
+            '#667eea', '#f56565', '#48bb78', '#ed8936', '#9f7aea',
+            '#38b2ac', '#ecc94b', '#ed64a6', '#4299e1', '#a0aec0'
+        ];
+        this.CHART_WIDTH = 720;
+        this.CHART_HEIGHT = 220;
+        this.CHART_PADDING = { top: 10, right: 10, bottom: 28, left: 48 };
+        this.WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+        this.loadRequestId = 0; // Discards results of superseded loads
+
+        this.init();
+    }
+
+    async init() {
+        const result = await chrome.storage.sync.get([this.STORAGE_KEYS.historySettings]);
+        this.historySettings = { ...this.historySettings, ...(result[this.STORAGE_KEYS.historySettings] || {}) };
+
+        const select = document.getElementById('dashboardRange');
+        this.historyRangeOptions.forEach(option => {
+            const optionElement = document.createElement('option');
+            optionElement.value = option.id;
+            optionElement.textContent = option.label;
+            select.appendChild(optionElement);
+        });
+        select.value = this.historyRangeOptions.some(o => o.id === this.historySettings.defaultRange) ?
+            this.historySettings.defaultRange : '30d';
+        select.addEventListener('change', () => this.load());
+
+        await this.load();
+    }
+
+    getRange() {
+        const option = this.historyRangeOptions.find(o => o.id === document.getElementById('dashboardRange').value) ||
+            this.historyRangeOptions.find(o => o.id === '30d');
+        const now = Date.now();
+
+        // Same window as the popup's getHistoryWindow()
+        if (option.days === 0) {
+            const midnight = new Date();
+            midnight.setHours(0, 0, 0, 0);
+            return { startTime: midnight.getTime(), endTime: now };
+        }
+        return { startTime: now - (option.days * 24 * 60 * 60 * 1000), endTime: now };
+    }
+
+    async load() {
+        const requestId = ++this.loadRequestId;
+        const status = document.getElementById('dashboardStatus');
+        const { startTime, endTime } = this.getRange();
+
+        status.textContent = 'Loading visits...';
+        try {
+            const categorizer = await this.stats.loadCategorizer();
+            const { visits, firstVisits } = await this.stats.collectVisits(
+                { startTime, endTime, maxUrls: this.historySettings.maxResults },
+                categorizer,
+                (done, total) => {
+                    if (requestId === this.loadRequestId) status.textContent = `Loading visits... ${done}/${total} pages`;
+                }
+            );
+            if (requestId !== this.loadRequestId) return;
+
+            status.textContent = `${visits.length} visits to up to ${this.historySettings.maxResults} pages (the "Max items" history setting)`;
+            this.render({ visits, firstVisits, startTime, endTime, categorizer });
+        } catch (error) {
+            console.error('Error loading dashboard:', error);
+            if (requestId === this.loadRequestId) status.textContent = 'Could not load history. Please check permissions.';
+        }
+    }
+
+    render({ visits, firstVisits, startTime, endTime, categorizer }) {
+        const durations = this.stats.estimateDurations(visits);
+        this.renderSummary(visits, durations);
+
+        if (visits.length === 0) {
+            ['timeChart', 'hourHeatmap', 'domainChart', 'newSitesChart'].forEach(id => {
+                document.getElementById(id).innerHTML = '<p class="tags-empty">No visits in this range.</p>';
+            });
+            ['timeLegend', 'domainLegend', 'newSitesLegend'].forEach(id => {
+                document.getElementById(id).innerHTML = '';
+            });
+            return;
+        }
+
+        this.renderTimeChart(visits, startTime, endTime, categorizer);
+        this.renderHourHeatmap(visits);
+        this.renderDomainChart(visits, startTime, endTime);
+        this.renderNewSitesChart(visits, firstVisits, startTime, endTime);
+    }
+
+    renderSummary(visits, durations) {
+        const totalTime = durations.reduce((sum, duration) => sum + duration, 0);
+        const sites = new Set(visits.map(visit => visit.host)).size;
+        const groups = new Set(visits.map(visit => visit.group)).size;
+
+        document.getElementById('dashboardSummary').innerHTML = [
+            ['Visits', visits.length.toLocaleString()],
+            ['Estimated time', this.stats.formatDuration(totalTime)],
+            ['Sites', sites.toLocaleString()],
+            ['Groups', groups.toLocaleString()]
+        ].map(([label, value]) => `
+            <div class="summary-card">
+                <div class="summary-value">${value}</div>
+                <div class="summary-label">${label}</div>
+            </div>
+        `).join('');
+    }
+
+    // =========================================================================
+    // ⏱️ TIME PER GROUP
+    // =========================================================================
+
+    renderTimeChart(visits, startTime, endTime, categorizer) {
+        const days = this.stats.listDays(startTime, endTime);
+        const byDay = this.stats.getTimeByGroupAndDay(visits);
+        const groups = categorizer.order.filter(group => visits.some(visit => visit.group === group));
+        const colors = new Map(groups.map((group, index) => [group, this.getColor(index)]));
+
+        const series = days.map(day => {
+            const groupTimes = byDay.get(day) || new Map();
+            return { label: this.formatDay(day), parts: groups
+                .filter(group => groupTimes.has(group))
+                .map(group => ({
+                    value: groupTimes.get(group),
+                    color: colors.get(group),
+                    title: `${this.formatDay(day)} · ${categorizer.icons[group] || '🔗'} ${group}: ${this.stats.formatDuration(groupTimes.get(group))}`
+                })) };
+        });
+
+        document.getElementById('timeChart').innerHTML = this.createStackedBarChart(series, value => this.stats.formatDuration(value));
+        document.getElementById('timeLegend').innerHTML = this.createLegend(
+            groups.map(group => ({ label: `${categorizer.icons[group] || '🔗'} ${group}`, color: colors.get(group) }))
+        );
+    }
+
+    // =========================================================================
+    // 🕐 HOUR HEATMAP
+    // =========================================================================
+
+    renderHourHeatmap(visits) {
+        const grid = this.stats.getVisitsByHour(visits);
+        const max = Math.max(1, ...grid.flat());
+
+        const hours = Array.from({ length: 24 }, (_, hour) => `<th>${hour % 3 === 0 ? hour : ''}</th>`).join('');
+        const rows = grid.map((counts, dayIndex) => `
+            <tr>
+                <th>${this.WEEKDAYS[dayIndex]}</th>
+                ${counts.map((count, hour) => `
+                    <td style="background: rgba(102, 126, 234, ${count === 0 ? 0.04 : (0.15 + 0.85 * count / max).toFixed(2)})"
+                        title="${this.WEEKDAYS[dayIndex]} ${String(hour).padStart(2, '0')}:00 - ${count} visit${count !== 1 ? 's' : ''}"></td>
+                `).join('')}
+            </tr>
+        `).join('');
+
+        document.getElementById('hourHeatmap').innerHTML = `
+            <table class="heatmap">
+                <thead><tr><th></th>${hours}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    // =========================================================================
+    // 📈 TOP SITES TREND
+    // =========================================================================
+
+    renderDomainChart(visits, startTime, endTime) {
+        const { weeks, domains } = this.stats.getTopDomainTrend(visits, startTime, endTime);
+        const { top, right, bottom, left } = this.CHART_PADDING;
+        const width = this.CHART_WIDTH - left - right;
+        const height = this.CHART_HEIGHT - top - bottom;
+        const max = Math.max(1, ...domains.flatMap(domain => domain.counts));
+
+        const x = index => left + (weeks.length === 1 ? width / 2 : index * width / (weeks.length - 1));
+        const y = value => top + height - value / max * height;
+
+        const lines = domains.map((domain, rank) => {
+            const color = this.getColor(rank);
+            const points = domain.counts.map((count, index) => `${x(index).toFixed(1)},${y(count).toFixed(1)}`).join(' ');
+            const dots = domain.counts.map((count, index) => `
+                <circle cx="${x(index).toFixed(1)}" cy="${y(count).toFixed(1)}" r="3" fill="${color}">
+                    <title>${this.stats.escapeHtml(domain.host)} · week of ${this.formatWeek(weeks[index])}: ${count} visit${count !== 1 ? 's' : ''}</title>
+                </circle>
+            `).join('');
+            return `<polyline points="${points}" fill="none" stroke="${color}" stroke-width="2"></polyline>${dots}`;
+        }).join('');
+
+        const labels = weeks.map((week, index) => `
+            <text x="${x(index).toFixed(1)}" y="${this.CHART_HEIGHT - 8}" text-anchor="middle" class="axis-label">${this.formatWeek(week)}</text>
+        `).join('');
+
+        document.getElementById('domainChart').innerHTML = `
+            <svg viewBox="0 0 ${this.CHART_WIDTH} ${this.CHART_HEIGHT}" class="chart-svg" role="img" aria-label="Visits per week to the top sites">
+                ${this.createYAxis(max, value => String(Math.round(value)))}
+                ${lines}
+                ${labels}
+            </svg>
+        `;
+        document.getElementById('domainLegend').innerHTML = this.createLegend(
+            domains.map((domain, rank) => ({ label: `${domain.host} (${domain.total})`, color: this.getColor(rank) }))
+        );
+    }
+
+    // =========================================================================
+    // 🌱 NEW VS RETURNING
+    // =========================================================================
+
+    renderNewSitesChart(visits, firstVisits, startTime, endTime) {
+        const weeks = this.stats.getNewVsReturning(visits, firstVisits, startTime, endTime);
+        const newColor = '#48bb78';
+        const returningColor = '#667eea';
+
+        const series = weeks.map(({ week, newSites, returningSites }) => ({
+            label: this.formatWeek(week),
+            parts: [
+                { value: returningSites.length, color: returningColor, title: `Week of ${this.formatWeek(week)}: ${returningSites.length} returning site${returningSites.length !== 1 ? 's' : ''}` },
+                { value: newSites.length, color: newColor, title: `Week of ${this.formatWeek(week)}: ${newSites.length} new site${newSites.length !== 1 ? 's' : ''}${newSites.length > 0 ? ` (${newSites.slice(0, 5).join(', ')}${newSites.length > 5 ? ', ...' : ''})` : ''}` }
+            ]
+        }));
+
+        document.getElementById('newSitesChart').innerHTML = this.createStackedBarChart(series, value => String(Math.round(value)));
+        document.getElementById('newSitesLegend').innerHTML = this.createLegend([
+            { label: 'Returning sites', color: returningColor },
+            { label: 'New sites', color: newColor }
+        ]);
+    }
+
+    // =========================================================================
+    // 🖌️ SVG HELPERS
+    // =========================================================================
+
+    // series: [{ label, parts: [{ value, color, title }] }], stacked bottom-up in order
+    createStackedBarChart(series, formatValue) {
+        const { top, right, bottom, left } = this.CHART_PADDING;
+        const width = this.CHART_WIDTH - left - right;
+        const height = this.CHART_HEIGHT - top - bottom;
+        const max = Math.max(1, ...series.map(bar => bar.parts.reduce((sum, part) => sum + part.value, 0)));
+        const slot = width / series.length;
+        const barWidth = Math.max(2, slot * 0.7);
+        const labelEvery = Math.ceil(series.length / 12); // Keep axis labels from overlapping
+
+        const bars = series.map((bar, index) => {
+            const x = left + index * slot + (slot - barWidth) / 2;
+            let y = top + height;
+            const rects = bar.parts.filter(part => part.value > 0).map(part => {
+                const partHeight = part.value / max * height;
+                y -= partHeight;
+                return `
+                    <rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${partHeight.toFixed(1)}" fill="${part.color}">
+                        <title>${this.stats.escapeHtml(part.title)}</title>
+                    </rect>
+                `;
+            }).join('');
+            const label = index % labelEvery === 0 ?
+                `<text x="${(x + barWidth / 2).toFixed(1)}" y="${this.CHART_HEIGHT - 8}" text-anchor="middle" class="axis-label">${this.stats.escapeHtml(bar.label)}</text>` : '';
+            return rects + label;
+        }).join('');
+
+        return `
+            <svg viewBox="0 0 ${this.CHART_WIDTH} ${this.CHART_HEIGHT}" class="chart-svg" role="img">
+                ${this.createYAxis(max, formatValue)}
+                ${bars}
+            </svg>
+        `;
+    }
+
+    // Gridlines at 0, half and the maximum
+    createYAxis(max, formatValue) {
+        const { top, right, bottom, left } = this.CHART_PADDING;
+        const height = this.CHART_HEIGHT - top - bottom;
+
+        return [0, 0.5, 1].map(fraction => {
+            const y = (top + height - fraction * height).toFixed(1);
+            return `
+                <line x1="${left}" y1="${y}" x2="${this.CHART_WIDTH - right}" y2="${y}" class="grid-line"></line>
+                <text x="${left - 6}" y="${y}" text-anchor="end" dominant-baseline="middle" class="axis-label">${this.stats.escapeHtml(formatValue(max * fraction))}</text>
+            `;
+        }).join('');
+    }
+
+    createLegend(entries) {
+        return entries.map(({ label, color }) => `
+            <span class="legend-item"><span class="legend-swatch" style="background: ${color}"></span>${this.stats.escapeHtml(label)}</span>
+        `).join('');
+    }
+
+    getColor(index) {
+        return this.CHART_COLORS[index % this.CHART_COLORS.length];
+    }
+
+    // =========================================================================
+    // 🔤 FORMATTING
+    // =========================================================================
+
+    // "2024-03-18" -> "18 Mar"
+    formatDay(dayKey) {
+        const [year, month, day] = dayKey.split('-').map(Number);
+        return new Date(year, month - 1, day).toLocaleDateString([], { day: 'numeric', month: 'short' });
+    }
+
+    formatWeek(weekStart) {
+        return new Date(weekStart).toLocaleDateString([], { day: 'numeric', month: 'short' });
+    }
+}
+
+// Initialize dashboard when page loads
+document.addEventListener('DOMContentLoaded', () => {
+    new Dashboard();
+});
@@ -0,0 +1,162 @@
+/**
+ * Browser History Organizer - Data Export
+ *
+ * Builds the files offered by the settings page's export wizard: the grouped
+ * history as CSV or JSON, and the favorites as a Netscape bookmark file that
+ * Chrome, Edge, Firefox and Safari can import. Pages are categorised with the
+ * same groups and privacy exclusions as the popup (see history-stats.js).
+ */
+
+const BOOKMARK_EXPORT_FOLDER = 'Browser History Organizer';
+
+// =============================================================================
+// 📥 COLLECTING
+// =============================================================================
+
+// Every page last visited between startTime and endTime in one of `groups` (names; null for all), in group order:
+// [{ group, icon, title, url, visitCount, lastVisitTime }]
+async function collectHistoryForExport({ startTime, endTime, groups = null }, categorizer) {
+    const items = await chrome.history.search({ text: '', startTime, endTime, maxResults: 0 }); // No limit
+    const order = new Map(categorizer.order.map((name, index) => [name, index]));
+
+    return items
+        .filter(item => item.url)
+        .map(item => {
+            const group = categorizer.categorize(item.url);
+            return {
+                group,
+                icon: categorizer.icons[group] || '🔗',
+                title: item.title || '',
+                url: item.url,
+                visitCount: item.visitCount || 0,
+                lastVisitTime: item.lastVisitTime || 0
+            };
+        })
+        .filter(row => row.group && (!groups || groups.has(row.group)))
+        .sort((a, b) => (order.get(a.group) - order.get(b.group)) || (b.lastVisitTime - a.lastVisitTime));
+}
+
+// Favorites in one of `groups` (names; null for all), still arranged in their folder tree:
+// { tree, entries: Map(url -> { title, tags, addedAt, group }) }
+async function collectFavoritesForExport({ groups = null }, categorizer) {
+    const storage = globalThis.BrowserHistoryOrganizerStorage;
+    const folders = globalThis.BrowserHistoryOrganizerFolders;
+
+    const { favorites, favoriteNames, favoriteTags, favoriteMeta, favoriteFolders } = await storage.loadFavorites();
+    const tree = folders.normalizeFolderTree(favoriteFolders, new Set(favorites));
+    const entries = new Map();
+
+    favorites.forEach(url => {
+        const group = categorizer.categorize(url);
+        if (!group || (groups && !groups.has(group))) return;
+
+        const meta = favoriteMeta[url] || {};
+        entries.set(url, {
+            title: favoriteNames[url] || meta.title || url,
+            tags: Array.isArray(favoriteTags[url]) ? favoriteTags[url] : [],
+            addedAt: meta.addedAt || 0,
+            group
+        });
+    });
+
+    return { tree, entries };
+}
+
+// =============================================================================
+// 🔤 FORMATTING
+// =============================================================================
+
+function toExportDate(time) {
+    return time ? new Date(time).toISOString() : '';
+}
+
+function formatHistoryCsv(rows) {
+    const stats = globalThis.BrowserHistoryOrganizerStats;
+    const lines = [['Group', 'Title', 'URL', 'Visit Count', 'Last Visit']];
+    rows.forEach(row => {
+        lines.push([row.group, row.title, row.url, row.visitCount, toExportDate(row.lastVisitTime)]);
+    });
+    return lines.map(line => line.map(stats.toCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Rows nested under their group, with the range they were taken from
+function formatHistoryJson(rows, { startTime, endTime }) {
+    const groups = [];
+    rows.forEach(row => {
+        let group = groups[groups.length - 1];
+        if (!group || group.name !== row.group) {
+            group = { name: row.group, icon: row.icon, items: [] };
+            groups.push(group);
+        }
+        group.items.push({
+            title: row.title,
+            url: row.url,
+            visitCount: row.visitCount,
+            lastVisit: toExportDate(row.lastVisitTime)
+        });
+    });
+
+    return JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        range: { start: toExportDate(startTime), end: toExportDate(endTime) },
+        groups
+    }, null, 2);
+}
+
+// Netscape bookmark file: the favorites inside one top-level folder, sub-folders kept, empty folders left out.
+// Browsers that understand TAGS (Firefox) import the favorite tags too.
+function formatFavoritesBookmarks({ tree, entries }) {
+    const stats = globalThis.BrowserHistoryOrganizerStats;
+    const now = Math.floor(Date.now() / 1000);
+
+    const renderFolder = (folder, depth) => {
+        const indent = '    '.repeat(depth);
+        const lines = [];
+
+        folder.folders.forEach(child => {
+            const inner = renderFolder(child, depth + 1);
+            if (inner.length === 0) return;
+            lines.push(`${indent}<DT><H3 ADD_DATE="${now}">${stats.escapeHtml(child.name)}</H3>`);
+            lines.push(`${indent}<DL><p>`, ...inner, `${indent}</DL><p>`);
+        });
+
+        folder.items.forEach(url => {
+            const entry = entries.get(url);
+            if (!entry) return;
+            const addDate = entry.addedAt ? ` ADD_DATE="${Math.floor(entry.addedAt / 1000)}"` : '';
+            const tags = entry.tags.length > 0 ? ` TAGS="${stats.escapeHtml(entry.tags.join(','))}"` : '';
+            lines.push(`${indent}<DT><A HREF="${stats.escapeHtml(url)}"${addDate}${tags}>${stats.escapeHtml(entry.title)}</A>`);
+        });
+
+        return lines;
+    };
+
+    return [
+        '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+        '<!-- This is an automatically generated file.',
+        '     It will be read and overwritten.',
+        '     DO NOT EDIT! -->',
+        '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+        '<TITLE>Bookmarks</TITLE>',
+        '<H1>Bookmarks</H1>',
+        '<DL><p>',
+        `    <DT><H3 ADD_DATE="${now}">${BOOKMARK_EXPORT_FOLDER}</H3>`,
+        '    <DL><p>',
+        ...renderFolder(tree, 2),
+        '    </DL><p>',
+        '</DL><p>',
+        ''
+    ].join('\n');
+}
+
+// =============================================================================
+// 🌟 GLOBAL EXPORT
+// =============================================================================
+
+globalThis.BrowserHistoryOrganizerExport = {
+    collectHistoryForExport,
+    collectFavoritesForExport,
+    formatHistoryCsv,
+    formatHistoryJson,
+    formatFavoritesBookmarks
+};
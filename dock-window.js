@@ -0,0 +1,67 @@
+/**
+ * Browser History Organizer - Docked Window
+ *
+ * The popup can be "docked" into a standalone popup window pinned to one side
+ * of the screen. Both the popup (dock button) and the background worker
+ * (keyboard command) open it through these helpers so it lands in the same place.
+ */
+
+const DOCKED_POPUP_PATH = 'popup.html?docked=true';
+
+function getDisplays() {
+    return new Promise((resolve) => {
+        if (chrome.system && chrome.system.display) {
+            chrome.system.display.getInfo(resolve);
+        } else {
+            resolve([{ bounds: { width: 1920, height: 1080 } }]);
+        }
+    });
+}
+
+// Window bounds for the dock side and width from the dock settings, on the primary display
+async function getDockedWindowBounds(dockSettings) {
+    const displays = await getDisplays();
+    const primaryDisplay = displays[0];
+    const screenWidth = primaryDisplay.bounds.width;
+    const screenHeight = primaryDisplay.bounds.height;
+
+    const width = dockSettings.width || 400;
+    const height = Math.min(800, screenHeight - 100);
+    const left = dockSettings.side === 'right' ? screenWidth - width - 20 : 20;
+    const top = Math.max(50, (screenHeight - height) / 2);
+
+    return { width, height, left: Math.round(left), top: Math.round(top) };
+}
+
+async function openDockedWindow(dockSettings) {
+    const bounds = await getDockedWindowBounds(dockSettings);
+    return new Promise((resolve) => {
+        chrome.windows.create({
+            url: chrome.runtime.getURL(DOCKED_POPUP_PATH),
+            type: 'popup',
+            ...bounds,
+            focused: true
+        }, resolve);
+    });
+}
+
+// Id of an already open docked window, or null
+async function findDockedWindowId() {
+    if (!chrome.runtime.getContexts) return null;
+    const contexts = await chrome.runtime.getContexts({
+        contextTypes: ['TAB'],
+        documentUrls: [chrome.runtime.getURL(DOCKED_POPUP_PATH)]
+    });
+    return contexts.length > 0 ? contexts[0].windowId : null;
+}
+
+// =============================================================================
+// 🌟 GLOBAL EXPORT
+// =============================================================================
+
+globalThis.BrowserHistoryOrganizerDock = {
+    DOCKED_POPUP_PATH,
+    getDockedWindowBounds,
+    openDockedWindow,
+    findDockedWindowId
+};
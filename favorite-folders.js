@@ -0,0 +1,285 @@
+/**
+ * Browser History Organizer - Favorite Folders
+ *
+ * Favorites can be arranged into nested folders with a manual order. The tree
+ * is stored as plain JSON next to the favorites:
+ *
+ *   { id: 'root', name: '', folders: [folder, ...], items: [url, ...] }
+ *
+ * Every folder has the same shape. Within a folder, sub-folders are listed
+ * before favorites, each in their own manual order. The tree only arranges
+ * favorites; the favorites Set stays the source of truth for what is starred,
+ * so normalizeFolderTree() is run against it before rendering or saving.
+ */
+
+const ROOT_FOLDER_ID = 'root';
+
+// =============================================================================
+// 🌳 TREE
+// =============================================================================
+
+function createFolder(id, name) {
+    return { id, name, folders: [], items: [] };
+}
+
+function createFolderTree() {
+    return createFolder(ROOT_FOLDER_ID, '');
+}
+
+function generateFolderId() {
+    return 'folder_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6);
+}
+
+// Visit every folder depth-first; stops early when `callback` returns true
+function walkFolders(folder, callback, parent = null) {
+    if (callback(folder, parent)) return true;
+    return folder.folders.some(child => walkFolders(child, callback, folder));
+}
+
+// Drop URLs that are no longer favorites or appear twice, then append unplaced favorites to the root
+function normalizeFolderTree(tree, favorites) {
+    const root = tree && Array.isArray(tree.folders) && Array.isArray(tree.items) ?
+        tree : createFolderTree();
+    const placed = new Set();
+
+    walkFolders(root, folder => {
+        folder.items = folder.items.filter(url => {
+            if (!favorites.has(url) || placed.has(url)) return false;
+            placed.add(url);
+            return true;
+        });
+    });
+
+    favorites.forEach(url => {
+        if (!placed.has(url)) root.items.push(url);
+    });
+
+    return root;
+}
+
+function findFolder(tree, folderId) {
+    let found = null;
+    walkFolders(tree, folder => {
+        if (folder.id === folderId) found = folder;
+        return found !== null;
+    });
+    return found;
+}
+
+// Sibling names are unique regardless of case
+function findChildFolder(parent, name) {
+    return parent.folders.find(child => child.name.toLowerCase() === name.toLowerCase()) || null;
+}
+
+function findParentFolder(tree, folderId) {
+    let found = null;
+    walkFolders(tree, (folder, parent) => {
+        if (folder.id === folderId) found = parent;
+        return folder.id === folderId;
+    });
+    return found;
+}
+
+function findFolderOfUrl(tree, url) {
+    let found = null;
+    walkFolders(tree, folder => {
+        if (folder.items.includes(url)) found = folder;
+        return found !== null;
+    });
+    return found;
+}
+
+// Folder names from the top level down, e.g. ['Runbooks', 'Payments']
+function getFolderPath(tree, folderId) {
+    const path = [];
+    let folder = findFolder(tree, folderId);
+    while (folder && folder.id !== ROOT_FOLDER_ID) {
+        path.unshift(folder.name);
+        folder = findParentFolder(tree, folder.id);
+    }
+    return path;
+}
+
+// Resolve a "Runbooks / Payments" path to an existing folder; '' is the root
+function findFolderByPath(tree, path) {
+    return findFolderBySegments(tree, splitFolderPath(path));
+}
+
+// Same for folder names that are already split, so a name may contain "/"; [] is the root
+function findFolderBySegments(tree, names) {
+    let folder = tree;
+    for (const name of names) {
+        folder = findChildFolder(folder, name);
+        if (!folder) return null;
+    }
+    return folder;
+}
+
+// Every folder path below the root as its folder names, parents before children
+function getFolderPaths(tree) {
+    const paths = [];
+    const visit = (folder, path) => {
+        folder.folders.forEach(child => {
+            const childPath = [...path, child.name];
+            paths.push(childPath);
+            visit(child, childPath);
+        });
+    };
+    visit(tree, []);
+    return paths;
+}
+
+function countFavorites(folder) {
+    return folder.items.length + folder.folders.reduce((sum, child) => sum + countFavorites(child), 0);
+}
+
+// Favorites in display order with the folder path of each
+function flattenFolderTree(tree) {
+    const entries = [];
+    const visit = (folder, path) => {
+        folder.folders.forEach(child => visit(child, [...path, child.name]));
+        folder.items.forEach(url => entries.push({ url, path }));
+    };
+    visit(tree, []);
+    return entries;
+}
+
+// =============================================================================
+// ✏️ EDITING
+// =============================================================================
+
+function splitFolderPath(path) {
+    return String(path || '').split('/').map(part => part.trim()).filter(part => part.length > 0);
+}
+
+// Create (or reuse) every folder of a "Runbooks / Payments" path below `parentId`; returns the deepest
+function ensureFolderPath(tree, path, parentId = ROOT_FOLDER_ID) {
+    return ensureFolderSegments(tree, splitFolderPath(path), parentId);
+}
+
+// Same for folder names that are already split, so a name may contain "/"
+function ensureFolderSegments(tree, names, parentId = ROOT_FOLDER_ID) {
+    let parent = findFolder(tree, parentId);
+    if (!parent) return null;
+
+    names.forEach(name => {
+        let child = findChildFolder(parent, name);
+        if (!child) {
+            child = createFolder(generateFolderId(), name);
+            parent.folders.push(child);
+        }
+        parent = child;
+    });
+
+    return parent;
+}
+
+// Refuses a name another folder next to it already has
+function renameFolder(tree, folderId, name) {
+    const folder = findFolder(tree, folderId);
+    const parent = findParentFolder(tree, folderId);
+    if (!folder || !parent || !name.trim()) return false;
+
+    const sibling = findChildFolder(parent, name.trim());
+    if (sibling && sibling !== folder) return false;
+
+    folder.name = name.trim();
+    return true;
+}
+
+// Moves the favorites and sub-folders of `source` into `target`, merging sub-folders that share a name
+function mergeFolderInto(target, source) {
+    target.items.push(...source.items);
+    source.folders.forEach(child => {
+        const existing = findChildFolder(target, child.name);
+        if (existing) {
+            mergeFolderInto(existing, child);
+        } else {
+            target.folders.push(child);
+        }
+    });
+}
+
+// Removes the folder itself; its sub-folders and favorites move up to the parent in its place,
+// sub-folders named like one already there are merged into it
+function removeFolder(tree, folderId) {
+    const parent = findParentFolder(tree, folderId);
+    if (!parent) return false;
+
+    const index = parent.folders.findIndex(folder => folder.id === folderId);
+    const [removed] = parent.folders.splice(index, 1);
+    const lifted = removed.folders.filter(child => {
+        const existing = findChildFolder(parent, child.name);
+        if (existing) mergeFolderInto(existing, child);
+        return !existing;
+    });
+    parent.folders.splice(index, 0, ...lifted);
+    parent.items.push(...removed.items);
+    return true;
+}
+
+// Move a favorite into `folderId`, before `beforeUrl` when given, otherwise to the end
+function moveFavorite(tree, url, folderId, beforeUrl = null) {
+    const target = findFolder(tree, folderId);
+    if (!target || url === beforeUrl) return false;
+
+    const source = findFolderOfUrl(tree, url);
+    if (source) {
+        source.items.splice(source.items.indexOf(url), 1);
+    }
+
+    const index = beforeUrl ? target.items.indexOf(beforeUrl) : -1;
+    target.items.splice(index === -1 ? target.items.length : index, 0, url);
+    return true;
+}
+
+// Move a folder below `parentId`, before `beforeFolderId` when given; refuses to nest a folder inside itself
+function moveFolder(tree, folderId, parentId, beforeFolderId = null) {
+    const folder = findFolder(tree, folderId);
+    const source = findParentFolder(tree, folderId);
+    if (!folder || !source || folderId === beforeFolderId) return false;
+    if (findFolder(folder, parentId)) return false;
+
+    const target = findFolder(tree, parentId);
+    if (!target) return false;
+
+    source.folders.splice(source.folders.indexOf(folder), 1);
+
+    // A folder of the same name already there takes in the moved one's contents
+    const existing = findChildFolder(target, folder.name);
+    if (existing) {
+        mergeFolderInto(existing, folder);
+        return true;
+    }
+
+    const index = beforeFolderId ? target.folders.findIndex(child => child.id === beforeFolderId) : -1;
+    target.folders.splice(index === -1 ? target.folders.length : index, 0, folder);
+    return true;
+}
+
+// =============================================================================
+// 🌟 GLOBAL EXPORT
+// =============================================================================
+
+globalThis.BrowserHistoryOrganizerFolders = {
+    ROOT_FOLDER_ID,
+    createFolderTree,
+    normalizeFolderTree,
+    walkFolders,
+    findFolder,
+    findParentFolder,
+    findFolderOfUrl,
+    getFolderPath,
+    findFolderByPath,
+    findFolderBySegments,
+    getFolderPaths,
+    countFavorites,
+    flattenFolderTree,
+    splitFolderPath,
+    ensureFolderPath,
+    ensureFolderSegments,
+    renameFolder,
+    removeFolder,
+    moveFavorite,
+    moveFolder
+};
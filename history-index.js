@@ -0,0 +1,140 @@
+/**
+ * Browser History Organizer - History Index
+ *
+ * IndexedDB store of categorised history entries. The background service worker
+ * keeps it up to date as visits happen; the popup reads it instead of querying
+ * and categorising chrome.history on every open.
+ */
+
+const INDEX_DB_NAME = 'browserHistoryOrganizer';
+const INDEX_DB_VERSION = 1;
+const VISITS_STORE = 'visits';
+const META_STORE = 'meta';
+
+class HistoryIndex {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(INDEX_DB_NAME, INDEX_DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(VISITS_STORE)) {
+                    const visits = db.createObjectStore(VISITS_STORE, { keyPath: 'url' });
+                    visits.createIndex('lastVisitTime', 'lastVisitTime');
+                    visits.createIndex('category', 'category');
+                }
+                if (!db.objectStoreNames.contains(META_STORE)) {
+                    db.createObjectStore(META_STORE);
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    // Run `callback(stores)` inside one transaction and resolve with its return value once committed
+    async transaction(storeNames, mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const stores = Object.fromEntries(storeNames.map(name => [name, tx.objectStore(name)]));
+            let result;
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+
+            result = callback(stores);
+        });
+    }
+
+    putVisits(records) {
+        return this.transaction([VISITS_STORE], 'readwrite', ({ visits }) => {
+            records.forEach(record => visits.put(record));
+        });
+    }
+
+    deleteUrls(urls) {
+        return this.transaction([VISITS_STORE], 'readwrite', ({ visits }) => {
+            urls.forEach(url => visits.delete(url));
+        });
+    }
+
+    clear() {
+        return this.transaction([VISITS_STORE, META_STORE], 'readwrite', ({ visits, meta }) => {
+            visits.clear();
+            meta.clear();
+        });
+    }
+
+    async getVisitsBetween(startTime, endTime) {
+        const holder = {};
+        await this.transaction([VISITS_STORE], 'readonly', ({ visits }) => {
+            const request = visits.index('lastVisitTime').getAll(IDBKeyRange.bound(startTime, endTime));
+            request.onsuccess = () => {
+                holder.records = request.result;
+            };
+        });
+        return holder.records || [];
+    }
+
+    deleteVisitsBefore(time) {
+        return this.transaction([VISITS_STORE], 'readwrite', ({ visits }) => {
+            const request = visits.index('lastVisitTime').openCursor(IDBKeyRange.upperBound(time, true));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                cursor.delete();
+                cursor.continue();
+            };
+        });
+    }
+
+    // Rewrite every record through `update(record)`; records it returns unchanged are skipped
+    updateAll(update) {
+        return this.transaction([VISITS_STORE], 'readwrite', ({ visits }) => {
+            const request = visits.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                const updated = update(cursor.value);
+                if (updated !== cursor.value) {
+                    cursor.update(updated);
+                }
+                cursor.continue();
+            };
+        });
+    }
+
+    async getMeta(key) {
+        const holder = {};
+        await this.transaction([META_STORE], 'readonly', ({ meta }) => {
+            const request = meta.get(key);
+            request.onsuccess = () => {
+                holder.value = request.result;
+            };
+        });
+        return holder.value;
+    }
+
+    setMeta(key, value) {
+        return this.transaction([META_STORE], 'readwrite', ({ meta }) => {
+            meta.put(value, key);
+        });
+    }
+}
+
+globalThis.BrowserHistoryOrganizerIndex = new HistoryIndex();
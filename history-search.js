@@ -0,0 +1,52 @@
+/**
+ * Browser History Organizer - Search Ranking
+ *
+ * Scoring shared by the popup's search across all groups and the address bar
+ * keyword in the background worker, so both rank the same page the same way.
+ */
+
+// Relevance of an entry for the plain words of a query; 0 when any word matches nowhere
+function getTextScore({ url = '', title = '', name = '', tags = [] }, terms) {
+    const lowerTitle = (title || '').toLowerCase();
+    const lowerName = (name || '').toLowerCase();
+    const lowerUrl = (url || '').toLowerCase();
+    let hostname = '';
+    try {
+        hostname = new URL(url).hostname.toLowerCase();
+    } catch {
+        // Keep hostname empty for unparsable URLs
+    }
+
+    let score = 0;
+    for (const term of terms) {
+        let termScore = 0;
+        if (lowerName.includes(term)) termScore = Math.max(termScore, lowerName.startsWith(term) ? 4 : 3);
+        if (tags.some(tag => tag.startsWith(term))) termScore = Math.max(termScore, 3);
+        if (lowerTitle.includes(term)) termScore = Math.max(termScore, lowerTitle.split(/\W+/).some(word => word.startsWith(term)) ? 3 : 2);
+        if (hostname.includes(term)) termScore = Math.max(termScore, 2);
+        if (lowerUrl.includes(term)) termScore = Math.max(termScore, 1);
+
+        // Every term has to match somewhere
+        if (termScore === 0) return 0;
+        score += termScore;
+    }
+    return score;
+}
+
+// Blend text relevance with how often and how recently the page was visited
+function getSearchScore(textScore, frequency, lastVisitTime, now = Date.now()) {
+    const ageDays = Math.max(0, now - (lastVisitTime || 0)) / (24 * 60 * 60 * 1000);
+    const frequencyScore = Math.log2(1 + frequency);
+    const recencyScore = 1 / (1 + ageDays);
+
+    return (textScore * 10) + (frequencyScore * 2) + (recencyScore * 5);
+}
+
+// =============================================================================
+// 🌟 GLOBAL EXPORT
+// =============================================================================
+
+globalThis.BrowserHistoryOrganizerSearch = {
+    getTextScore,
+    getSearchScore
+};
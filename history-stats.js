@@ -0,0 +1,290 @@
+/**
+ * Browser History Organizer - History Stats
+ *
+ * Turns individual visits (chrome.history.getVisits) into the numbers shown on
+ * the dashboard. Pages are categorised the same way as the popup's
+ * organizeHistory(): enabled groups in their order, unmatched pages in "Others",
+ * and anything left out by the privacy settings dropped before it is counted.
+ *
+ * Chrome does not record how long a page was open, so time spent is estimated:
+ * every visit is credited with the time until the next visit, capped at
+ * VISIT_GAP_CAP_MS so a tab left alone over lunch does not count as browsing.
+ *
+ * The duration, HTML and CSV formatting helpers at the bottom are shared with
+ * the weekly digest and the export wizard.
+ */
+
+const VISIT_GAP_CAP_MS = 5 * 60 * 1000;
+const VISIT_BATCH_SIZE = 50; // getVisits calls in flight at once
+
+// =============================================================================
+// 🗂️ CATEGORIES
+// =============================================================================
+
+// Group order, icons and a categorize(url) that returns the group name, or null for excluded pages
+async function loadCategorizer() {
+    const config = globalThis.BrowserHistoryOrganizerConfig;
+    const rules = globalThis.BrowserHistoryOrganizerRules;
+    const storage = globalThis.BrowserHistoryOrganizerStorage;
+
+    const [result, privacy] = await Promise.all([
+        chrome.storage.sync.get([config.storageKeys.websiteGroups]),
+        storage.loadPrivacyExclusions()
+    ]);
+    const storedGroups = result[config.storageKeys.websiteGroups];
+    const groups = (storedGroups && storedGroups.length > 0 ? storedGroups : config.groups)
+        .filter(group => group.enabled !== false)
+        .sort((a, b) => a.order - b.order);
+
+    const categoryPatterns = {};
+    const icons = {};
+    groups.forEach(group => {
+        categoryPatterns[group.name] = group.patterns;
+        icons[group.name] = group.icon;
+    });
+    if (!categoryPatterns['Others']) {
+        categoryPatterns['Others'] = [];
+        icons['Others'] = '🔗';
+    }
+
+    const compiled = rules.compileCategories(categoryPatterns);
+    const hiddenRules = rules.compileRules(privacy.hiddenSites);
+    const excludedGroups = new Set(privacy.excludedGroups);
+
+    return {
+        order: Object.keys(categoryPatterns).filter(name => !excludedGroups.has(name)),
+        icons,
+        categorize(url) {
+            if (hiddenRules.include.length > 0 && rules.matchesRules(url, hiddenRules)) return null;
+            const category = rules.categorizeUrl(url, compiled) || 'Others';
+            return excludedGroups.has(category) ? null : category;
+        }
+    };
+}
+
+function getHost(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+        return '';
+    }
+}
+
+// =============================================================================
+// 📥 VISITS
+// =============================================================================
+
+// Every visit between startTime and endTime to the `maxUrls` most recently visited pages, oldest first:
+// { visits: [{ url, title, group, host, time }], firstVisits: Map(url -> earliest visit Chrome still has) }
+async function collectVisits({ startTime, endTime, maxUrls }, categorizer, onProgress = null) {
+    const items = (await chrome.history.search({ text: '', startTime, endTime, maxResults: maxUrls }))
+        .filter(item => item.url);
+    const visits = [];
+    const firstVisits = new Map();
+
+    for (let start = 0; start < items.length; start += VISIT_BATCH_SIZE) {
+        const batch = items.slice(start, start + VISIT_BATCH_SIZE);
+        const visitLists = await Promise.all(batch.map(item => chrome.history.getVisits({ url: item.url })));
+
+        batch.forEach((item, index) => {
+            const group = categorizer.categorize(item.url);
+            if (!group) return;
+
+            const host = getHost(item.url);
+            visitLists[index].forEach(visit => {
+                const first = firstVisits.get(item.url);
+                if (first === undefined || visit.visitTime < first) {
+                    firstVisits.set(item.url, visit.visitTime);
+                }
+                if (visit.visitTime >= startTime && visit.visitTime <= endTime) {
+                    visits.push({ url: item.url, title: item.title || '', group, host, time: visit.visitTime });
+                }
+            });
+        });
+
+        if (onProgress) onProgress(Math.min(start + VISIT_BATCH_SIZE, items.length), items.length);
+    }
+
+    visits.sort((a, b) => a.time - b.time);
+    return { visits, firstVisits };
+}
+
+// =============================================================================
+// 📅 CALENDAR
+// =============================================================================
+
+// Local calendar day, e.g. "2024-03-18"
+function getDayKey(time) {
+    const date = new Date(time);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Local midnight of the Monday starting the week of `time`
+function getWeekStart(time) {
+    const date = new Date(time);
+    date.setHours(0, 0, 0, 0);
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    return date.getTime();
+}
+
+function listDays(startTime, endTime) {
+    const days = [];
+    const date = new Date(startTime);
+    date.setHours(0, 0, 0, 0);
+    while (date.getTime() <= endTime) {
+        days.push(getDayKey(date.getTime()));
+        date.setDate(date.getDate() + 1);
+    }
+    return days;
+}
+
+function listWeeks(startTime, endTime) {
+    const weeks = [];
+    const date = new Date(getWeekStart(startTime));
+    while (date.getTime() <= endTime) {
+        weeks.push(date.getTime());
+        date.setDate(date.getDate() + 7);
+    }
+    return weeks;
+}
+
+// =============================================================================
+// 📊 AGGREGATES
+// =============================================================================
+
+// Estimated milliseconds per visit (see the header), in the same order as `visits`
+function estimateDurations(visits, gapCapMs = VISIT_GAP_CAP_MS) {
+    return visits.map((visit, index) => {
+        const next = visits[index + 1];
+        return next ? Math.min(next.time - visit.time, gapCapMs) : gapCapMs;
+    });
+}
+
+// Map(dayKey -> Map(group -> estimated ms))
+function getTimeByGroupAndDay(visits) {
+    const durations = estimateDurations(visits);
+    const byDay = new Map();
+    visits.forEach((visit, index) => {
+        const day = getDayKey(visit.time);
+        if (!byDay.has(day)) byDay.set(day, new Map());
+        const groups = byDay.get(day);
+        groups.set(visit.group, (groups.get(visit.group) || 0) + durations[index]);
+    });
+    return byDay;
+}
+
+// 7 x 24 visit counts, rows Monday..Sunday, columns by local hour
+function getVisitsByHour(visits) {
+    const grid = Array.from({ length: 7 }, () => new Array(24).fill(0));
+    visits.forEach(visit => {
+        const date = new Date(visit.time);
+        grid[(date.getDay() + 6) % 7][date.getHours()]++;
+    });
+    return grid;
+}
+
+// The `limit` most visited hosts with their visits per week: { weeks: [weekStart], domains: [{ host, total, counts }] }
+function getTopDomainTrend(visits, startTime, endTime, limit = 8) {
+    const weeks = listWeeks(startTime, endTime);
+    const weekIndex = new Map(weeks.map((week, index) => [week, index]));
+    const domains = new Map();
+
+    visits.forEach(visit => {
+        if (!visit.host) return;
+        if (!domains.has(visit.host)) {
+            domains.set(visit.host, { host: visit.host, total: 0, counts: new Array(weeks.length).fill(0) });
+        }
+        const domain = domains.get(visit.host);
+        domain.total++;
+        domain.counts[weekIndex.get(getWeekStart(visit.time))]++;
+    });
+
+    return {
+        weeks,
+        domains: Array.from(domains.values()).sort((a, b) => b.total - a.total).slice(0, limit)
+    };
+}
+
+// Sites (hosts) visited each week, split by whether the week holds their first visit Chrome knows of:
+// [{ week, newSites: [host], returningSites: [host] }]
+function getNewVsReturning(visits, firstVisits, startTime, endTime) {
+    const firstByHost = new Map();
+    visits.forEach(visit => {
+        const first = firstVisits.get(visit.url);
+        const known = firstByHost.get(visit.host);
+        if (known === undefined || first < known) firstByHost.set(visit.host, first);
+    });
+
+    const weeks = listWeeks(startTime, endTime).map(week => ({ week, newSites: new Set(), returningSites: new Set() }));
+    const byWeek = new Map(weeks.map(entry => [entry.week, entry]));
+
+    visits.forEach(visit => {
+        if (!visit.host) return;
+        const week = getWeekStart(visit.time);
+        const entry = byWeek.get(week);
+        if (getWeekStart(firstByHost.get(visit.host)) === week) {
+            entry.newSites.add(visit.host);
+        } else {
+            entry.returningSites.add(visit.host);
+        }
+    });
+
+    return weeks.map(({ week, newSites, returningSites }) => ({
+        week,
+        newSites: Array.from(newSites),
+        returningSites: Array.from(returningSites)
+    }));
+}
+
+// =============================================================================
+// 🔤 FORMATTING
+// =============================================================================
+
+// "2h 5m", "12m"
+function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    return minutes % 60 === 0 ? `${hours}h` : `${hours}h ${minutes % 60}m`;
+}
+
+// Safe in text and in double-quoted attributes
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Text that a spreadsheet would read as a formula (=, +, -, @) gets a leading ' so it stays text
+function toCsvField(value) {
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// =============================================================================
+// 🌟 GLOBAL EXPORT
+// =============================================================================
+
+globalThis.BrowserHistoryOrganizerStats = {
+    VISIT_GAP_CAP_MS,
+    loadCategorizer,
+    getHost,
+    collectVisits,
+    getDayKey,
+    getWeekStart,
+    listDays,
+    listWeeks,
+    estimateDurations,
+    getTimeByGroupAndDay,
+    getVisitsByHour,
+    getTopDomainTrend,
+    getNewVsReturning,
+    formatDuration,
+    escapeHtml,
+    toCsvField
+};
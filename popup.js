@@ -10,44 +10,92 @@ class HistoryOrganizer {
         this.categoryPatterns = {};
         this.categoryIcons = {};
         this.categoryOrder = [];
+        this.hiddenRules = { include: [], exclude: [], invalid: [] }; // Compiled hidden site rules
+        this.excludedGroups = new Set(); // Names of groups excluded in the privacy settings
         
         // Favorites functionality
         this.favorites = new Set(); // Store favorite URLs
-        this.favoriteTags = new Map(); // Store custom names/tags for favorites
-        this.currentView = 'recent'; // 'recent' or 'favorites'
+        this.favoriteNames = new Map(); // URL -> custom display name
+        this.favoriteTags = new Map(); // URL -> Set of tags
+        this.favoriteMeta = new Map(); // URL -> { title, favIconUrl, group, addedAt, lastVisitTime } captured when starred
+        this.FAVORITES_GROUP_KEY = '__favorites__'; // Left-panel entry listing favorites of every group
+        this.SESSIONS_GROUP_KEY = '__sessions__'; // Left-panel entry listing saved windows
+        this.sessions = []; // [{ id, name, createdAt, tabs: [{ url, title, group }] }]
+        this.expandedSessions = new Set(); // Session ids whose tabs are listed
+        this.folders = window.BrowserHistoryOrganizerFolders;
+        this.favoriteFolders = this.folders.createFolderTree(); // Nested folders and manual order of favorites
+        this.collapsedFolders = new Set(); // Folder ids collapsed in the Favorites entry
+        this.draggedElement = null;
+        this.activeFavoriteTag = null; // Tag filter of the Favorites view
+        this.favoritesSavedAt = 0; // Our own last save, so its storage change is not reloaded
+        this.currentView = 'recent'; // 'recent', 'favorites', 'timeline', 'sessions' or 'search'
+        this.viewBeforeSearch = 'recent'; // Restored when the global search is cleared
+        this.searchSelectionIndex = -1; // Keyboard-highlighted global search result
+        this.selectionMode = false; // Checkboxes on visit rows for bulk actions
+        this.selectedUrls = new Set(); // URLs ticked in selection mode
+        this.selectionAnchor = null; // Last clicked URL, where a shift-click range starts
+        
+        // Timeline of individual visits (chrome.history.getVisits)
+        this.TIMELINE_URL_LIMIT = 100; // Most recent URLs whose visits are fetched
+        this.timelineRequestId = 0; // Discards results of superseded timeline loads
+        
+        // Removing pages from browser history
+        this.UNDO_WINDOW_MS = 8000; // How long the undo toast stays up
+        this.DOMAIN_REMOVAL_LIMIT = 10000; // Most URLs of one domain looked up for removal
+        this.toastTimer = null;
         
         // Visit frequency tracking using Set data structures
         this.visitFrequency = new Map(); // URL -> visit count
         this.topVisitedUrls = new Set(); // Set of most visited URLs
         this.recentVisitDates = new Map(); // URL -> Set of unique visit dates
-        this.currentSortMode = 'frequency'; // 'frequency' or 'time'
+        this.currentSortMode = 'frequency'; // 'frequency', 'time' or 'activeTime'
+        
+        // Active time per page and group, recorded by the background worker when tracking is enabled
+        this.timeTrackingEnabled = false;
+        this.timeOnSite = new Map(); // URL -> active ms
+        this.groupActiveTime = new Map(); // Group id -> active ms
+        this.clusterMode = null; // null (flat list), 'host' or 'path': second level inside a group
+        this.expandedClusters = new Set(); // Cluster keys whose pages are listed
         // Load configuration
         const config = window.BrowserHistoryOrganizerConfig;
         this.frequencyThresholds = config.frequencyThresholds;
-        this.STORAGE_KEYS = config.storageKeys;
         
-        // Storage management
-        this.lastCleanupTime = 0;
-        this.CLEANUP_INTERVAL = 24 * 60 * 60 * 1000; // 24 hours
+        // History window: defaults from settings, overridable per session from the header picker
+        this.historySettings = { ...config.historySettings };
+        this.historyRangeOptions = config.historyRangeOptions;
+        this.openAllLimits = config.openAllLimits;
+        this.tabGroupColors = config.tabGroupColors;
+        this.historyRange = { id: this.historySettings.defaultRange, startTime: null, endTime: null };
+        this.STORAGE_KEYS = config.storageKeys;
+        this.rules = window.BrowserHistoryOrganizerRules;
+        this.historyIndex = window.BrowserHistoryOrganizerIndex;
+        this.storage = window.BrowserHistoryOrganizerStorage;
+        this.search = window.BrowserHistoryOrganizerSearch;
+        this.indexRulesSignature = null; // Rules the indexed categories were computed with
         
         // Docking functionality
         this.isDocked = false;
         this.dockedWindow = null;
         this.dockSettings = config.dockSettings;
+        this.dock = window.BrowserHistoryOrganizerDock;
         
         this.init();
     }
     
     async init() {
+        this.populateHistoryRangeOptions();
         this.bindEvents();
+        await this.migrateLegacyStorage(); // One-time move of large data out of sync storage
         await this.loadSettings();
+        await this.loadHistorySettings();
         await this.loadFavorites();
+        await this.loadSessions();
         await this.loadVisitFrequency(); // Load visit frequency data
+        await this.loadTimeOnSite();
         await this.loadDockSettings(); // Load dock preferences
-        await this.performAggressiveCleanup(); // One-time aggressive cleanup
-        await this.checkAndCleanupIfNeeded(); // Periodic cleanup
         await this.loadHistory();
         this.renderWebsiteGroups();
+        await this.applyLaunchAction();
         
         // Listen for settings updates
         if (chrome.runtime && chrome.runtime.onMessage) {
@@ -58,17 +106,49 @@ class HistoryOrganizer {
                         this.refreshHistory();
                     });
                 }
+                if (message.action === 'focusSearch') {
+                    this.focusGlobalSearch();
+                }
             });
         }
         
         // Listen for storage changes to update dock settings and groups
         if (chrome.storage && chrome.storage.onChanged) {
             chrome.storage.onChanged.addListener((changes, namespace) => {
+                if (namespace === 'local') {
+                    // Tags renamed, merged or deleted from the settings page
+                    const favoritesChange = changes[window.BrowserHistoryOrganizerConfig.storageKeys.favoritesUpdatedAt];
+                    if (favoritesChange && favoritesChange.newValue !== this.favoritesSavedAt) {
+                        this.loadFavorites().then(() => this.refreshCurrentView());
+                    }
+                    // Sessions saved from another window or imported in settings
+                    if (changes[window.BrowserHistoryOrganizerConfig.storageKeys.sessions]) {
+                        this.loadSessions().then(() => this.refreshCurrentView());
+                    }
+                    // Focusing the docked window ends a timed span; pick up the new totals without redrawing
+                    if (changes[window.BrowserHistoryOrganizerConfig.storageKeys.timeOnSite]) {
+                        this.loadTimeOnSite();
+                    }
+                }
                 if (namespace === 'sync') {
                     if (changes[window.BrowserHistoryOrganizerConfig.storageKeys.dockSettings]) {
                         this.loadDockSettings();
                     }
-                    if (changes[window.BrowserHistoryOrganizerConfig.storageKeys.websiteGroups]) {
+                    if (changes[window.BrowserHistoryOrganizerConfig.storageKeys.historySettings]) {
+                        this.loadHistorySettings(false);
+                    }
+                    if (changes[window.BrowserHistoryOrganizerConfig.storageKeys.timeTrackingSettings]) {
+                        this.loadTimeOnSite().then(() => {
+                            this.renderWebsiteGroups();
+                            this.refreshCurrentView();
+                        });
+                    }
+                    if (changes[window.BrowserHistoryOrganizerConfig.storageKeys.favoritesSync]) {
+                        this.loadFavorites().then(() => this.refreshCurrentView());
+                    }
+                    if (changes[window.BrowserHistoryOrganizerConfig.storageKeys.websiteGroups] ||
+                        changes[window.BrowserHistoryOrganizerConfig.storageKeys.hiddenSites] ||
+                        changes[window.BrowserHistoryOrganizerConfig.storageKeys.privacySettings]) {
                         console.log('Website groups changed in storage, reloading...');
                         this.loadSettings().then(() => {
                             this.refreshHistory();
@@ -85,6 +165,11 @@ class HistoryOrganizer {
             this.refreshHistory();
         });
         
+        // Dashboard button
+        document.getElementById('dashboardBtn').addEventListener('click', () => {
+            chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
+        });
+        
         // Settings button
         document.getElementById('settingsBtn').addEventListener('click', () => {
             if (chrome.runtime && chrome.runtime.openOptionsPage) {
@@ -94,6 +179,16 @@ class HistoryOrganizer {
             }
         });
         
+        // Global search across all groups
+        const globalSearchInput = document.getElementById('globalSearchInput');
+        globalSearchInput.addEventListener('input', (e) => {
+            this.handleGlobalSearch(e.target.value);
+        });
+        
+        globalSearchInput.addEventListener('keydown', (e) => {
+            this.handleGlobalSearchKeydown(e);
+        });
+        
         // Search functionality for filtering within selected group
         document.getElementById('searchInput').addEventListener('input', (e) => {
             this.filterVisitItems(e.target.value);
@@ -108,6 +203,10 @@ class HistoryOrganizer {
             this.switchView('favorites');
         });
         
+        document.getElementById('timelineBtn').addEventListener('click', () => {
+            this.switchView('timeline');
+        });
+        
         // Sort toggle buttons
         document.getElementById('frequencySort').addEventListener('click', () => {
             this.setSortMode('frequency');
@@ -117,10 +216,68 @@ class HistoryOrganizer {
             this.setSortMode('time');
         });
         
+        document.getElementById('activeTimeSort').addEventListener('click', () => {
+            this.setSortMode('activeTime');
+        });
+        
+        // Clustering inside a group; clicking the active button goes back to the flat list
+        document.getElementById('clusterHostBtn').addEventListener('click', () => {
+            this.setClusterMode('host');
+        });
+        
+        document.getElementById('clusterPathBtn').addEventListener('click', () => {
+            this.setClusterMode('path');
+        });
+        
+        // Multi-select and bulk actions
+        document.getElementById('selectModeBtn').addEventListener('click', () => {
+            this.setSelectionMode(!this.selectionMode);
+            this.refreshCurrentView();
+        });
+        
+        document.getElementById('bulkSelectAll').addEventListener('change', (e) => {
+            this.selectAllShown(e.target.checked);
+        });
+        
+        document.getElementById('bulkBar').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-bulk]');
+            if (button) this.runBulkAction(button.dataset.bulk);
+        });
+        
         // Dock button
         document.getElementById('dockBtn').addEventListener('click', () => {
             this.toggleDock();
         });
+        
+        // History range picker
+        document.getElementById('historyRange').addEventListener('change', (e) => {
+            this.setHistoryRange(e.target.value);
+        });
+        
+        document.getElementById('rangeStart').addEventListener('change', () => {
+            this.applyCustomRange();
+        });
+        
+        document.getElementById('rangeEnd').addEventListener('change', () => {
+            this.applyCustomRange();
+        });
+        
+        // Keyboard navigation across groups and visits
+        document.addEventListener('keydown', (e) => {
+            this.handleNavigationKeydown(e);
+        });
+    }
+    
+    populateHistoryRangeOptions() {
+        const select = document.getElementById('historyRange');
+        const customOption = select.querySelector('option[value="custom"]');
+        
+        this.historyRangeOptions.forEach(option => {
+            const optionElement = document.createElement('option');
+            optionElement.value = option.id;
+            optionElement.textContent = option.label;
+            select.insertBefore(optionElement, customOption);
+        });
     }
     
     async loadSettings() {
@@ -135,11 +292,18 @@ class HistoryOrganizer {
             const result = await chrome.storage.sync.get([this.STORAGE_KEYS.websiteGroups]);
             const groups = result[this.STORAGE_KEYS.websiteGroups] || [];
             
+            // Sites hidden from the context menu or settings, and excluded groups, never show up in the popup
+            const privacy = await this.storage.loadPrivacyExclusions();
+            this.hiddenRules = this.rules.compileRules(privacy.hiddenSites);
+            this.excludedGroups = new Set(privacy.excludedGroups);
+            document.body.classList.toggle('blur-titles', privacy.blurTitles);
+            
             console.log('Loading groups in popup:', groups);
             
             // Convert groups to the format expected by the organizer
             this.categoryPatterns = {};
             this.categoryIcons = {};
+            this.categoryIds = {};
             this.categoryOrder = [];
             
             groups
@@ -148,6 +312,7 @@ class HistoryOrganizer {
                 .forEach(group => {
                     this.categoryPatterns[group.name] = group.patterns;
                     this.categoryIcons[group.name] = group.icon;
+                    this.categoryIds[group.name] = group.id;
                     this.categoryOrder.push(group.name);
                 });
             
@@ -155,6 +320,7 @@ class HistoryOrganizer {
             if (!this.categoryPatterns['Others']) {
                 this.categoryPatterns['Others'] = [];
                 this.categoryIcons['Others'] = '🔗';
+                this.categoryIds['Others'] = 'others';
                 this.categoryOrder.push('Others');
             }
         } catch (error) {
@@ -175,30 +341,115 @@ class HistoryOrganizer {
         
         this.categoryPatterns = {};
         this.categoryIcons = {};
+        this.categoryIds = {};
         this.categoryOrder = [];
         
         // Convert groups array to legacy format for compatibility
         config.groups.forEach(group => {
             this.categoryPatterns[group.name] = group.patterns;
             this.categoryIcons[group.name] = group.icon;
+            this.categoryIds[group.name] = group.id;
             this.categoryOrder.push(group.name);
         });
     }
     
-    async loadFavorites() {
+    async loadHistorySettings(applyDefaultRange = true) {
         try {
             if (!chrome.storage || !chrome.storage.sync) {
+                console.warn('Chrome storage API not available for history settings');
+            } else {
+                const result = await chrome.storage.sync.get([this.STORAGE_KEYS.historySettings]);
+                if (result[this.STORAGE_KEYS.historySettings] && typeof result[this.STORAGE_KEYS.historySettings] === 'object') {
+                    this.historySettings = { ...this.historySettings, ...result[this.STORAGE_KEYS.historySettings] };
+                }
+            }
+        } catch (error) {
+            console.error('Error loading history settings:', error);
+        }
+        
+        // Only the initial load resets the picker; later changes just update the limits
+        if (applyDefaultRange) {
+            this.historyRange = { id: this.historySettings.defaultRange, startTime: null, endTime: null };
+            document.getElementById('historyRange').value = this.historyRange.id;
+        }
+    }
+    
+    setHistoryRange(rangeId) {
+        const customRange = document.getElementById('customRange');
+        
+        if (rangeId === 'custom') {
+            // Prefill with the last week so a single edit is enough
+            const today = new Date();
+            const weekAgo = new Date(today.getTime() - (7 * 24 * 60 * 60 * 1000));
+            document.getElementById('rangeStart').value = this.toDateInputValue(weekAgo);
+            document.getElementById('rangeEnd').value = this.toDateInputValue(today);
+            customRange.style.display = 'flex';
+            this.applyCustomRange();
+            return;
+        }
+        
+        customRange.style.display = 'none';
+        this.historyRange = { id: rangeId, startTime: null, endTime: null };
+        this.refreshHistory();
+    }
+    
+    applyCustomRange() {
+        const startValue = document.getElementById('rangeStart').value;
+        const endValue = document.getElementById('rangeEnd').value;
+        if (!startValue || !endValue) return;
+        
+        // Date inputs are local calendar days; the end day is inclusive
+        const startTime = new Date(`${startValue}T00:00:00`).getTime();
+        const endTime = new Date(`${endValue}T23:59:59.999`).getTime();
+        
+        if (startTime > endTime) {
+            this.showToast('❌ Start date must be before end date', 'error');
+            return;
+        }
+        
+        this.historyRange = { id: 'custom', startTime, endTime };
+        this.refreshHistory();
+    }
+    
+    getHistoryWindow() {
+        const now = Date.now();
+        
+        if (this.historyRange.id === 'custom' && this.historyRange.startTime !== null) {
+            const endTime = Math.min(this.historyRange.endTime, now);
+            return { startTime: this.historyRange.startTime, endTime, endsNow: endTime === now };
+        }
+        
+        const option = this.historyRangeOptions.find(o => o.id === this.historyRange.id) ||
+            this.historyRangeOptions.find(o => o.id === '30d');
+        
+        if (option.days === 0) {
+            const midnight = new Date();
+            midnight.setHours(0, 0, 0, 0);
+            return { startTime: midnight.getTime(), endTime: now, endsNow: true };
+        }
+        
+        return { startTime: now - (option.days * 24 * 60 * 60 * 1000), endTime: now, endsNow: true };
+    }
+    
+    toDateInputValue(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+    
+    async loadFavorites() {
+        try {
+            if (!this.storage.isAvailable()) {
                 console.warn('Chrome storage API not available for favorites');
                 return;
             }
             
-            const result = await chrome.storage.sync.get([this.STORAGE_KEYS.favorites, this.STORAGE_KEYS.favoriteTags]);
-            if (result[this.STORAGE_KEYS.favorites] && Array.isArray(result[this.STORAGE_KEYS.favorites])) {
-                this.favorites = new Set(result[this.STORAGE_KEYS.favorites]);
-            }
-            if (result[this.STORAGE_KEYS.favoriteTags] && typeof result[this.STORAGE_KEYS.favoriteTags] === 'object') {
-                this.favoriteTags = new Map(Object.entries(result[this.STORAGE_KEYS.favoriteTags]));
-            }
+            const { favorites, favoriteNames, favoriteTags, favoriteMeta, favoriteFolders } = await this.storage.loadFavorites();
+            this.favorites = new Set(favorites);
+            this.favoriteFolders = this.folders.normalizeFolderTree(favoriteFolders, this.favorites);
+            this.favoriteNames = new Map(Object.entries(favoriteNames));
+            this.favoriteMeta = new Map(Object.entries(favoriteMeta));
+            this.favoriteTags = new Map(Object.entries(favoriteTags).map(([url, tags]) => [url, new Set(tags)]));
         } catch (error) {
             console.error('Error loading favorites:', error);
         }
@@ -206,15 +457,24 @@ class HistoryOrganizer {
     
     async saveFavorites() {
         try {
-            if (!chrome.storage || !chrome.storage.sync) {
+            if (!this.storage.isAvailable()) {
                 console.warn('Chrome storage API not available for favorites');
                 return;
             }
             
-            await chrome.storage.sync.set({ 
-                [this.STORAGE_KEYS.favorites]: Array.from(this.favorites),
-                [this.STORAGE_KEYS.favoriteTags]: Object.fromEntries(this.favoriteTags)
+            this.favoriteFolders = this.folders.normalizeFolderTree(this.favoriteFolders, this.favorites);
+            const { synced, updatedAt } = await this.storage.saveFavorites({
+                favorites: this.favorites,
+                favoriteNames: this.favoriteNames,
+                favoriteTags: this.favoriteTags,
+                favoriteMeta: this.favoriteMeta,
+                favoriteFolders: this.favoriteFolders
             });
+            this.favoritesSavedAt = updatedAt;
+            this.updateFavoritesEntry();
+            if (!synced) {
+                this.showToast('⚠️ Favorites saved on this device only - too large to sync', 'warning');
+            }
         } catch (error) {
             console.error('Error saving favorites:', error);
         }
@@ -222,146 +482,71 @@ class HistoryOrganizer {
     
     async loadVisitFrequency() {
         try {
-            if (!chrome.storage || !chrome.storage.sync) {
+            if (!this.storage.isAvailable()) {
                 console.warn('Chrome storage API not available for visit frequency');
                 return;
             }
             
-            const result = await chrome.storage.sync.get([this.STORAGE_KEYS.visitFrequency, this.STORAGE_KEYS.topVisitedUrls]);
-            
-            if (result[this.STORAGE_KEYS.visitFrequency] && typeof result[this.STORAGE_KEYS.visitFrequency] === 'object') {
-                this.visitFrequency = new Map(Object.entries(result[this.STORAGE_KEYS.visitFrequency]));
-            }
-            
-            if (result[this.STORAGE_KEYS.topVisitedUrls] && Array.isArray(result[this.STORAGE_KEYS.topVisitedUrls])) {
-                this.topVisitedUrls = new Set(result[this.STORAGE_KEYS.topVisitedUrls]);
-            }
+            const { visitFrequency, topVisitedUrls } = await this.storage.loadVisitFrequency();
+            this.visitFrequency = new Map(Object.entries(visitFrequency));
+            this.topVisitedUrls = new Set(topVisitedUrls);
         } catch (error) {
             console.error('Error loading visit frequency:', error);
         }
     }
     
-    async saveVisitFrequency() {
+    async loadTimeOnSite() {
         try {
-            if (!chrome.storage || !chrome.storage.sync) {
-                console.warn('Chrome storage API not available for visit frequency');
-                return;
-            }
+            if (!this.storage.isAvailable()) return;
             
-            // Optimize storage by limiting data size (more aggressive)
-            const optimizedFrequency = this.optimizeFrequencyData();
-            const topVisited = Array.from(this.topVisitedUrls).slice(0, 30); // Limit to top 30
+            const [settings, timeOnSite] = await Promise.all([
+                this.storage.getTimeTrackingSettings(),
+                this.storage.loadTimeOnSite()
+            ]);
+            this.timeTrackingEnabled = settings.enabled;
+            this.timeOnSite = new Map(Object.entries(timeOnSite.urls).map(([url, entry]) => [url, entry.ms]));
+            this.groupActiveTime = new Map(Object.entries(timeOnSite.groups));
             
-            await chrome.storage.sync.set({
-                [this.STORAGE_KEYS.visitFrequency]: optimizedFrequency,
-                [this.STORAGE_KEYS.topVisitedUrls]: topVisited
-            });
-        } catch (error) {
-            if (error.message && error.message.includes('quota')) {
-                console.warn('Storage quota exceeded, cleaning up old data...');
-                await this.cleanupOldData();
-                // Retry with reduced data
-                try {
-                    const minimalFrequency = this.getMinimalFrequencyData();
-                    await chrome.storage.sync.set({
-                        [this.STORAGE_KEYS.visitFrequency]: minimalFrequency,
-                        [this.STORAGE_KEYS.topVisitedUrls]: Array.from(this.topVisitedUrls).slice(0, 10)
-                    });
-                } catch (retryError) {
-                    console.error('Failed to save even minimal visit frequency data:', retryError);
-                }
-            } else {
-                console.error('Error saving visit frequency:', error);
+            // The ⏱️ sort only makes sense while tracking is on
+            document.getElementById('activeTimeSort').style.display = settings.enabled ? '' : 'none';
+            if (!settings.enabled && this.currentSortMode === 'activeTime') {
+                this.setSortMode('frequency');
             }
+        } catch (error) {
+            console.error('Error loading time on site:', error);
         }
     }
     
-    optimizeFrequencyData() {
-        // Keep only URLs with visit count >= 3 and limit to top 50 (more aggressive)
-        const filteredEntries = Array.from(this.visitFrequency.entries())
-            .filter(([url, count]) => count >= 3)
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, 50);
-        
-        return Object.fromEntries(filteredEntries);
-    }
-    
-    getMinimalFrequencyData() {
-        // Keep only top 15 most visited URLs (emergency fallback)
-        const topEntries = Array.from(this.visitFrequency.entries())
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, 15);
-        
-        return Object.fromEntries(topEntries);
+    // "45s", "12m", "2h 5m"
+    formatActiveTime(ms) {
+        const seconds = Math.round(ms / 1000);
+        if (seconds < 60) return `${seconds}s`;
+        const minutes = Math.round(seconds / 60);
+        if (minutes < 60) return `${minutes}m`;
+        const hours = Math.floor(minutes / 60);
+        return minutes % 60 === 0 ? `${hours}h` : `${hours}h ${minutes % 60}m`;
     }
     
-    async cleanupOldData() {
+    async saveVisitFrequency() {
         try {
-            // Remove URLs with very low visit counts (more aggressive)
-            for (const [url, count] of this.visitFrequency.entries()) {
-                if (count < 3) {
-                    this.visitFrequency.delete(url);
-                    this.topVisitedUrls.delete(url);
-                }
+            if (!this.storage.isAvailable()) {
+                console.warn('Chrome storage API not available for visit frequency');
+                return;
             }
             
-            // Keep only top 30 URLs (more aggressive)
-            const sortedEntries = Array.from(this.visitFrequency.entries())
-                .sort((a, b) => b[1] - a[1])
-                .slice(0, 30);
-            
-            this.visitFrequency = new Map(sortedEntries);
-            this.topVisitedUrls = new Set(sortedEntries.map(([url]) => url));
-            
-            console.log('Cleaned up visit frequency data, kept top 30 URLs');
-        } catch (error) {
-            console.error('Error cleaning up data:', error);
-        }
-    }
-    
-    async performAggressiveCleanup() {
-        try {
-            // One-time aggressive cleanup to fix existing quota issues
-            console.log('Performing aggressive cleanup to prevent quota issues...');
-            
-            // Keep only top 25 URLs with 3+ visits
-            const aggressiveEntries = Array.from(this.visitFrequency.entries())
-                .filter(([url, count]) => count >= 3)
-                .sort((a, b) => b[1] - a[1])
-                .slice(0, 25);
-            
-            this.visitFrequency = new Map(aggressiveEntries);
-            this.topVisitedUrls = new Set(aggressiveEntries.map(([url]) => url));
-            
-            // Save immediately with minimal data
-            await this.saveVisitFrequency();
-            
-            console.log('Aggressive cleanup completed, kept top 25 URLs');
+            await this.storage.saveVisitFrequency(this.visitFrequency, this.topVisitedUrls);
         } catch (error) {
-            console.error('Error during aggressive cleanup:', error);
+            console.error('Error saving visit frequency:', error);
         }
     }
     
-    async checkAndCleanupIfNeeded() {
+    async migrateLegacyStorage() {
         try {
-            const now = Date.now();
-            
-            // Load last cleanup time from storage
-            const result = await chrome.storage.sync.get(['lastCleanupTime']);
-            const lastCleanup = result.lastCleanupTime || 0;
-            
-            // Check if cleanup is needed (once per day)
-            if (now - lastCleanup > this.CLEANUP_INTERVAL) {
-                console.log('Performing periodic data cleanup...');
-                await this.cleanupOldData();
-                await this.saveVisitFrequency();
-                
-                // Save cleanup timestamp
-                await chrome.storage.sync.set({ lastCleanupTime: now });
-                console.log('Periodic cleanup completed');
+            if (this.storage.isAvailable()) {
+                await this.storage.migrateLegacySyncData();
             }
         } catch (error) {
-            console.error('Error during periodic cleanup check:', error);
+            console.error('Error migrating legacy storage:', error);
         }
     }
     
@@ -406,11 +591,13 @@ class HistoryOrganizer {
         }
     }
     
-    async toggleFavorite(url) {
+    async toggleFavorite(url, item = null) {
         if (this.favorites.has(url)) {
             this.favorites.delete(url);
+            this.favoriteMeta.delete(url);
         } else {
             this.favorites.add(url);
+            this.captureFavoriteMeta(url, item);
         }
         await this.saveFavorites();
         
@@ -422,17 +609,27 @@ class HistoryOrganizer {
     
     async loadHistory() {
         try {
-            // Get history from the last 30 days
-            const thirtyDaysAgo = Date.now() - (30 * 24 * 60 * 60 * 1000);
+            // Get history for the selected range
+            const { startTime, endTime, endsNow } = this.getHistoryWindow();
+            const maxResults = this.historySettings.maxResults;
             
-            this.allHistory = await new Promise((resolve) => {
+            // Prefer the index kept by the background worker; query history directly until it is ready.
+            // The index keeps only each URL's latest visit, so past ranges always query history.
+            const indexedHistory = endsNow ? await this.loadIndexedHistory(startTime, endTime, maxResults) : null;
+            
+            this.allHistory = indexedHistory || await new Promise((resolve) => {
                 chrome.history.search({
                     text: '',
-                    startTime: thirtyDaysAgo,
-                    maxResults: 2000
+                    startTime,
+                    endTime,
+                    maxResults
                 }, resolve);
             });
             
+            // Excluded pages are dropped before anything is counted or saved
+            const isExcluded = this.getPrivacyFilter();
+            this.allHistory = this.allHistory.filter(item => !isExcluded(item.url));
+            
             this.calculateVisitFrequency(this.allHistory);
             this.organizeHistory();
         } catch (error) {
@@ -441,6 +638,43 @@ class HistoryOrganizer {
         }
     }
     
+    isHiddenSite(url) {
+        return this.hiddenRules.include.length > 0 && this.rules.matchesRules(url, this.hiddenRules);
+    }
+    
+    // Returns url => true for pages left out by the privacy settings: hidden sites and pages of excluded groups
+    getPrivacyFilter() {
+        const compiledCategories = this.excludedGroups.size > 0 ? this.rules.compileCategories(this.categoryPatterns) : null;
+        return (url) => this.isHiddenSite(url) || (compiledCategories !== null &&
+            this.excludedGroups.has(this.rules.categorizeUrl(url, compiledCategories) || 'Others'));
+    }
+    
+    async loadIndexedHistory(startTime, endTime, maxResults) {
+        this.indexRulesSignature = null;
+        
+        try {
+            if (!this.historyIndex || typeof indexedDB === 'undefined') {
+                return null;
+            }
+            
+            // The index only helps if it has been built and covers the requested window
+            const state = await this.historyIndex.getMeta('state');
+            if (!state || state.startTime > startTime) {
+                return null;
+            }
+            
+            const records = await this.historyIndex.getVisitsBetween(startTime, endTime);
+            this.indexRulesSignature = state.rulesSignature;
+            
+            return records
+                .sort((a, b) => (b.lastVisitTime || 0) - (a.lastVisitTime || 0))
+                .slice(0, maxResults);
+        } catch (error) {
+            console.error('Error reading history index, falling back to history search:', error);
+            return null;
+        }
+    }
+    
     organizeHistory() {
         this.websiteGroups.clear();
         
@@ -454,34 +688,24 @@ class HistoryOrganizer {
             });
         });
         
+        // Compile group rules once per pass instead of once per history item
+        const compiledCategories = this.rules.compileCategories(this.categoryPatterns);
+        
+        // Indexed entries are already categorised unless the groups changed since
+        const useIndexedCategories = this.indexRulesSignature === this.rules.getRulesSignature(this.categoryPatterns);
+        
         // Categorize history items
         this.allHistory.forEach(item => {
             if (!item.url) return;
             
-            const url = new URL(item.url);
-            const domain = url.hostname.toLowerCase();
-            
-            let categorized = false;
-            
-            // Check each category pattern
-            for (const [category, patterns] of Object.entries(this.categoryPatterns)) {
-                if (patterns.some(pattern => domain.includes(pattern.toLowerCase()))) {
-                    const group = this.websiteGroups.get(category);
-                    group.items.push(item);
-                    group.totalVisits += item.visitCount || 1;
-                    group.lastVisit = Math.max(group.lastVisit, item.lastVisitTime || 0);
-                    categorized = true;
-                    break;
-                }
-            }
-            
             // If not categorized, add to Others
-            if (!categorized) {
-                const othersGroup = this.websiteGroups.get('Others');
-                othersGroup.items.push(item);
-                othersGroup.totalVisits += item.visitCount || 1;
-                othersGroup.lastVisit = Math.max(othersGroup.lastVisit, item.lastVisitTime || 0);
-            }
+            const category = (useIndexedCategories && this.websiteGroups.has(item.category)) ?
+                item.category :
+                this.rules.categorizeUrl(item.url, compiledCategories) || 'Others';
+            const group = this.websiteGroups.get(category);
+            group.items.push(item);
+            group.totalVisits += item.visitCount || 1;
+            group.lastVisit = Math.max(group.lastVisit, item.lastVisitTime || 0);
         });
         
         // Remove empty groups
@@ -501,8 +725,12 @@ class HistoryOrganizer {
         const container = document.getElementById('websiteGroups');
         container.innerHTML = '';
         
+        // Favorites and sessions stay reachable even when they are outside the loaded history
+        container.appendChild(this.createFavoritesEntry());
+        container.appendChild(this.createSessionsEntry());
+        
         if (this.websiteGroups.size === 0) {
-            container.innerHTML = '<div class="loading">No history found</div>';
+            container.insertAdjacentHTML('beforeend', '<div class="loading">No history found</div>');
             return;
         }
         
@@ -525,22 +753,65 @@ class HistoryOrganizer {
         const favicon = this.getFaviconForCategory(key);
         const recentVisits = group.items.length;
         const totalVisits = group.totalVisits;
+        const activeTime = this.timeTrackingEnabled ? this.groupActiveTime.get(this.categoryIds[key]) || 0 : 0;
         
         element.innerHTML = `
             <div class="favicon">${favicon}</div>
             <div class="info">
                 <div class="name">${group.name}</div>
-                <div class="count">${recentVisits} sites • ${totalVisits} visits</div>
+                <div class="count">${recentVisits} sites • ${totalVisits} visits${activeTime >= 60000 ? ` • ⏱️ ${this.formatActiveTime(activeTime)}` : ''}</div>
             </div>
+            <button class="open-all-btn" title="Open top pages as a tab group">⧉</button>
+            <button class="remove-group-btn" title="Remove this group's pages from history">🗑</button>
         `;
         
-        element.addEventListener('click', () => {
+        element.tabIndex = 0;
+        element.addEventListener('click', (e) => {
+            if (e.target.closest('.open-all-btn')) {
+                e.stopPropagation();
+                this.openAllAsTabGroup(`${favicon} ${group.name}`, group.items, key);
+                return;
+            }
+            if (e.target.closest('.remove-group-btn')) {
+                e.stopPropagation();
+                this.removeGroupFromHistory(key);
+                return;
+            }
             this.selectWebsiteGroup(key, group, element);
         });
         
         return element;
     }
     
+    createFavoritesEntry() {
+        const element = document.createElement('div');
+        element.className = 'website-group favorites-group';
+        element.id = 'favoritesEntry';
+        element.dataset.group = this.FAVORITES_GROUP_KEY;
+        
+        element.innerHTML = `
+            <div class="favicon">⭐</div>
+            <div class="info">
+                <div class="name">Favorites</div>
+                <div class="count"></div>
+            </div>
+        `;
+        
+        element.tabIndex = 0;
+        element.addEventListener('click', () => {
+            this.selectAllFavorites(element);
+        });
+        
+        this.updateFavoritesEntry(element);
+        return element;
+    }
+    
+    updateFavoritesEntry(element = document.getElementById('favoritesEntry')) {
+        if (!element) return;
+        const count = this.favorites.size;
+        element.querySelector('.count').textContent = `${count} favorite${count !== 1 ? 's' : ''} • all groups`;
+    }
+    
     getFaviconForCategory(category) {
         return this.categoryIcons[category] || '🌐';
     }
@@ -554,6 +825,15 @@ class HistoryOrganizer {
         // Add active class to selected group
         element.classList.add('active');
         
+        // Selecting a group leaves the global search
+        document.getElementById('globalSearchInput').value = '';
+        this.showSearchHint('globalSearchHint', []);
+        document.getElementById('viewToggle').style.display = '';
+        document.getElementById('sortToggle').style.display = '';
+        document.getElementById('selectToggle').style.display = '';
+        document.getElementById('clusterToggle').style.display = '';
+        this.setSelectionMode(false);
+        
         this.selectedGroup = key;
         this.currentGroupData = group; // Store for search filtering
         this.currentView = 'recent'; // Reset to recent view
@@ -568,114 +848,585 @@ class HistoryOrganizer {
         // Reset toggle buttons
         document.getElementById('recentBtn').classList.add('active');
         document.getElementById('favoritesBtn').classList.remove('active');
+        document.getElementById('timelineBtn').classList.remove('active');
         
         // Clear any previous search
         document.getElementById('searchInput').value = '';
+        this.showSearchHint('searchHint', []);
     }
     
-    renderRecentVisits(group, isFiltered = false) {
-        const titleElement = document.getElementById('selectedGroupTitle');
-        const countElement = document.getElementById('visitCount');
-        const visitsContainer = document.getElementById('recentVisits');
-        
-        titleElement.textContent = group.name;
-        const countText = isFiltered ? 
-            `${group.items.length} filtered results` : 
-            `${group.items.length} recent visits`;
-        countElement.textContent = countText;
-        
-        visitsContainer.innerHTML = '';
+    selectAllFavorites(element) {
+        document.querySelectorAll('.website-group').forEach(el => {
+            el.classList.remove('active');
+        });
+        element.classList.add('active');
         
-        if (group.items.length === 0) {
-            const emptyMessage = isFiltered ? 
-                'No websites match your search' : 
-                'No recent visits found';
-            visitsContainer.innerHTML = `
-                <div class="empty-state">
-                    <p>${emptyMessage}</p>
-                    ${isFiltered ? '<small>Try adjusting your search terms</small>' : ''}
-                </div>
-            `;
-            return;
-        }
+        document.getElementById('globalSearchInput').value = '';
+        this.showSearchHint('globalSearchHint', []);
         
-        // Show up to 50 most recent visits
-        // Sort items based on current sort mode
-        const sortedItems = group.items.sort((a, b) => {
-            if (this.currentSortMode === 'frequency') {
-                const aFreq = this.visitFrequency.get(a.url) || 0;
-                const bFreq = this.visitFrequency.get(b.url) || 0;
-                const aIsTop = this.topVisitedUrls.has(a.url);
-                const bIsTop = this.topVisitedUrls.has(b.url);
-                
-                // First priority: top visited sites
-                if (aIsTop && !bIsTop) return -1;
-                if (!aIsTop && bIsTop) return 1;
-                
-                // Second priority: visit frequency
-                if (aFreq !== bFreq) return bFreq - aFreq;
-                
-                // Third priority: recency
-                return b.lastVisitTime - a.lastVisitTime;
-            } else {
-                // Sort by recency only
-                return b.lastVisitTime - a.lastVisitTime;
-            }
-        });
+        this.selectedGroup = this.FAVORITES_GROUP_KEY;
+        this.currentView = 'favorites';
         
-        const recentItems = sortedItems.slice(0, 50);
+        // Search applies; Recent/Timeline belong to a single group and favorites keep their manual order
+        document.getElementById('searchBoxRight').style.display = 'block';
+        document.getElementById('panelControls').style.display = 'flex';
+        document.getElementById('viewToggle').style.display = 'none';
+        document.getElementById('sortToggle').style.display = 'none';
+        document.getElementById('clusterToggle').style.display = 'none';
+        document.getElementById('selectToggle').style.display = '';
+        document.getElementById('searchInput').value = '';
+        this.showSearchHint('searchHint', []);
+        this.setSelectionMode(false);
         
-        recentItems.forEach(item => {
-            const visitElement = this.createVisitElement(item);
-            visitsContainer.appendChild(visitElement);
-        });
+        this.renderFavorites();
     }
     
-    createVisitElement(item) {
+    // =========================================================================
+    // 🗂️ SESSIONS
+    // =========================================================================
+    
+    createSessionsEntry() {
         const element = document.createElement('div');
-        element.className = 'visit-item';
-        element.dataset.url = item.url;
-        
-        const url = new URL(item.url);
-        const domain = url.hostname;
-        const timeAgo = this.getTimeAgo(item.lastVisitTime);
-        
-        const title = item.title || 'Untitled';
-        const isFavorited = this.favorites.has(item.url);
-        const customTag = this.favoriteTags.get(item.url);
-        const frequencyBadge = this.getFrequencyBadge(item.url);
-        
-        // Use custom tag if available, otherwise use original title
-        const displayTitle = customTag || title;
+        element.className = 'website-group sessions-group';
+        element.id = 'sessionsEntry';
+        element.dataset.group = this.SESSIONS_GROUP_KEY;
+        element.tabIndex = 0;
         
         element.innerHTML = `
-            <img class="favicon" src="https://www.google.com/s2/favicons?domain=${domain}&sz=16" 
-                 onerror="this.style.display='none'" alt="">
-            <div class="details">
-                <div class="title ${customTag ? 'custom-tag' : ''}" title="${this.escapeHtml(displayTitle)}">
-                    ${this.escapeHtml(displayTitle)}
-                    ${customTag ? '<span class="tag-badge">🏷️</span>' : ''}
-                    ${frequencyBadge.show ? `<span class="frequency-badge ${frequencyBadge.level}" style="color: ${frequencyBadge.color}" title="${frequencyBadge.label}: ${frequencyBadge.count} visits">${frequencyBadge.emoji}</span>` : ''}
-                </div>
-                <div class="url-container">
-                    <div class="url" title="${this.escapeHtml(item.url)}">${this.escapeHtml(item.url)}</div>
-                </div>
-            </div>
-            <div class="visit-stats">
-                <div class="time">${timeAgo}</div>
-                ${frequencyBadge.show ? `<div class="visit-count" title="${frequencyBadge.count} total visits">${frequencyBadge.count}</div>` : ''}
+            <div class="favicon">🗂️</div>
+            <div class="info">
+                <div class="name">Sessions</div>
+                <div class="count"></div>
             </div>
-            <button class="favorite-btn ${isFavorited ? 'favorited' : ''}" title="${isFavorited ? 'Remove from favorites' : 'Add to favorites'}">
-                ${isFavorited ? '★' : '☆'}
-            </button>
         `;
         
-        // Add click handler for main element (excluding favorite button)
-        element.addEventListener('click', (e) => {
-            // Check if the click is on the favorite button or its content
-            if (e.target.classList.contains('favorite-btn') || 
-                e.target.closest('.favorite-btn')) {
-                return; // Don't open URL if clicking favorite button
+        element.addEventListener('click', () => {
+            this.selectSessions(element);
+        });
+        
+        this.updateSessionsEntry(element);
+        return element;
+    }
+    
+    updateSessionsEntry(element = document.getElementById('sessionsEntry')) {
+        if (!element) return;
+        const count = this.sessions.length;
+        element.querySelector('.count').textContent = `${count} saved window${count !== 1 ? 's' : ''}`;
+    }
+    
+    async loadSessions() {
+        try {
+            if (!this.storage.isAvailable()) return;
+            this.sessions = await this.storage.loadSessions();
+        } catch (error) {
+            console.error('Error loading sessions:', error);
+        }
+    }
+    
+    async saveSessions() {
+        try {
+            await this.storage.saveSessions(this.sessions);
+        } catch (error) {
+            console.error('Error saving sessions:', error);
+            this.showToast('❌ Could not save sessions', 'error');
+        }
+        this.refreshCurrentView();
+    }
+    
+    selectSessions(element) {
+        document.querySelectorAll('.website-group').forEach(el => {
+            el.classList.remove('active');
+        });
+        element.classList.add('active');
+        
+        document.getElementById('globalSearchInput').value = '';
+        this.showSearchHint('globalSearchHint', []);
+        
+        this.selectedGroup = this.SESSIONS_GROUP_KEY;
+        this.currentView = 'sessions';
+        this.setSelectionMode(false);
+        this.renderSessions();
+    }
+    
+    renderSessions() {
+        const container = document.getElementById('recentVisits');
+        
+        // Sessions are not history items: no search, view or sort controls
+        document.getElementById('selectedGroupTitle').textContent = '🗂️ Sessions';
+        document.getElementById('visitCount').textContent = `${this.sessions.length} session${this.sessions.length !== 1 ? 's' : ''}`;
+        document.getElementById('searchBoxRight').style.display = 'none';
+        document.getElementById('panelControls').style.display = 'none';
+        this.showSearchHint('searchHint', []);
+        
+        container.innerHTML = '';
+        
+        const toolbar = document.createElement('div');
+        toolbar.className = 'favorites-toolbar';
+        toolbar.innerHTML = `
+            <button class="folder-btn" id="saveSessionBtn">💾 Save current window</button>
+            <small>Saves the tabs of the browser window as a named session</small>
+        `;
+        toolbar.querySelector('#saveSessionBtn').addEventListener('click', () => {
+            this.saveCurrentWindowAsSession();
+        });
+        container.appendChild(toolbar);
+        
+        if (this.sessions.length === 0) {
+            container.insertAdjacentHTML('beforeend', `
+                <div class="empty-state">
+                    <div class="icon">🗂️</div>
+                    <p>No saved sessions</p>
+                    <small>Save the tabs you reopen for on-call or release work and restore them in one click</small>
+                </div>
+            `);
+            return;
+        }
+        
+        this.sessions.forEach(session => {
+            container.appendChild(this.createSessionElement(session));
+        });
+    }
+    
+    createSessionElement(session) {
+        const element = document.createElement('div');
+        element.className = 'session-item';
+        const isExpanded = this.expandedSessions.has(session.id);
+        
+        // Tab count per group, in the configured group order
+        const groupCounts = new Map();
+        session.tabs.forEach(tab => groupCounts.set(tab.group, (groupCounts.get(tab.group) || 0) + 1));
+        const groupChips = Array.from(groupCounts)
+            .sort((a, b) => this.categoryOrder.indexOf(a[0]) - this.categoryOrder.indexOf(b[0]))
+            .map(([group, count]) => `<span class="session-group-chip" title="${this.escapeHtml(group)}">${this.getFaviconForCategory(group)} ${count}</span>`)
+            .join('');
+        
+        element.innerHTML = `
+            <div class="session-header">
+                <span class="folder-toggle">${isExpanded ? '▾' : '▸'}</span>
+                <div class="session-info">
+                    <div class="session-name">${this.escapeHtml(session.name)}</div>
+                    <div class="session-meta">${session.tabs.length} tab${session.tabs.length !== 1 ? 's' : ''} • saved ${this.getTimeAgo(session.createdAt)}</div>
+                    <div class="session-groups">${groupChips}</div>
+                </div>
+                <div class="session-actions">
+                    <button class="folder-btn" data-action="restore" title="Open these tabs in a new window">▶ Restore</button>
+                    <button class="folder-action" data-action="rename" title="Rename session">✏️</button>
+                    <button class="folder-action" data-action="delete" title="Delete session">🗑️</button>
+                </div>
+            </div>
+            ${isExpanded ? `<div class="session-tabs">${session.tabs.map(tab => `
+                <div class="session-tab" data-url="${this.escapeHtml(tab.url)}" title="${this.escapeHtml(tab.url)}">
+                    <span class="session-tab-group">${this.getFaviconForCategory(tab.group)}</span>
+                    <span class="session-tab-title">${this.escapeHtml(tab.title || tab.url)}</span>
+                </div>
+            `).join('')}</div>` : ''}
+        `;
+        
+        element.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]');
+            if (action) {
+                e.stopPropagation();
+                if (action.dataset.action === 'restore') this.restoreSession(session.id);
+                if (action.dataset.action === 'rename') this.renameSession(session.id);
+                if (action.dataset.action === 'delete') this.deleteSession(session.id);
+                return;
+            }
+            
+            const tab = e.target.closest('.session-tab');
+            if (tab) {
+                this.openUrl(tab.dataset.url, e.ctrlKey || e.metaKey);
+                return;
+            }
+            
+            if (this.expandedSessions.has(session.id)) {
+                this.expandedSessions.delete(session.id);
+            } else {
+                this.expandedSessions.add(session.id);
+            }
+            this.renderSessions();
+        });
+        
+        return element;
+    }
+    
+    // Captures the browser window the popup was opened from (the docked window holds no tabs)
+    async saveCurrentWindowAsSession() {
+        try {
+            const targetWindow = await chrome.windows.getLastFocused({ populate: true, windowTypes: ['normal'] });
+            const compiledCategories = this.rules.compileCategories(this.categoryPatterns);
+            const tabs = targetWindow.tabs
+                .filter(tab => /^(https?|file):/i.test(tab.url || ''))
+                .map(tab => ({
+                    url: tab.url,
+                    title: tab.title || '',
+                    group: this.rules.categorizeUrl(tab.url, compiledCategories) || 'Others'
+                }))
+                .filter(tab => !this.isHiddenSite(tab.url) && !this.excludedGroups.has(tab.group)); // Privacy exclusions are never saved
+            
+            if (tabs.length === 0) {
+                this.showToast('No web pages to save in this window', 'warning');
+                return;
+            }
+            
+            const name = prompt(`Save ${tabs.length} tab${tabs.length !== 1 ? 's' : ''} as session:`, `Session ${new Date().toLocaleString()}`);
+            if (!name || !name.trim()) return;
+            
+            this.sessions.unshift({
+                id: 'session_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6),
+                name: name.trim(),
+                createdAt: Date.now(),
+                tabs
+            });
+            await this.saveSessions();
+            this.showToast(`🗂️ Saved "${name.trim()}"`, 'success');
+        } catch (error) {
+            console.error('Error saving session:', error);
+            this.showToast('❌ Could not read the current window', 'error');
+        }
+    }
+    
+    async restoreSession(sessionId) {
+        const session = this.sessions.find(candidate => candidate.id === sessionId);
+        if (!session || session.tabs.length === 0) return;
+        
+        try {
+            await chrome.windows.create({ url: session.tabs.map(tab => tab.url), focused: true });
+        } catch (error) {
+            console.error('Error restoring session:', error);
+            this.showToast('❌ Could not restore the session', 'error');
+        }
+    }
+    
+    async renameSession(sessionId) {
+        const session = this.sessions.find(candidate => candidate.id === sessionId);
+        if (!session) return;
+        
+        const name = prompt('Rename session:', session.name);
+        if (!name || !name.trim()) return;
+        
+        session.name = name.trim();
+        await this.saveSessions();
+    }
+    
+    async deleteSession(sessionId) {
+        const session = this.sessions.find(candidate => candidate.id === sessionId);
+        if (!session) return;
+        
+        if (!confirm(`Delete the session "${session.name}"?`)) return;
+        
+        this.sessions = this.sessions.filter(candidate => candidate.id !== sessionId);
+        this.expandedSessions.delete(sessionId);
+        await this.saveSessions();
+    }
+    
+    // Pseudo-group of every favorite; entries missing from the loaded history are rebuilt from their metadata
+    buildFavoritesGroup() {
+        const historyItems = new Map();
+        this.websiteGroups.forEach((group, groupName) => {
+            group.items.forEach(item => historyItems.set(item.url, { item, groupName }));
+        });
+        
+        const items = [];
+        const itemGroups = new Map();
+        const isExcluded = this.getPrivacyFilter();
+        this.folders.flattenFolderTree(this.favoriteFolders).forEach(({ url }) => {
+            if (isExcluded(url)) return; // Kept as a favorite, just not shown
+            const meta = this.favoriteMeta.get(url) || {};
+            const found = historyItems.get(url);
+            
+            items.push(found ? { ...found.item, favIconUrl: meta.favIconUrl } : {
+                url,
+                title: meta.title || '',
+                lastVisitTime: meta.lastVisitTime || meta.addedAt || 0,
+                visitCount: 0,
+                favIconUrl: meta.favIconUrl
+            });
+            itemGroups.set(url, found ? found.groupName : (meta.group || null));
+        });
+        
+        return {
+            name: '⭐ Favorites',
+            items,
+            itemGroups, // URL -> group name, shown under each entry
+            totalVisits: items.reduce((sum, item) => sum + (item.visitCount || 0), 0)
+        };
+    }
+    
+    // Keep enough to show and open a favorite after it ages out of history
+    captureFavoriteMeta(url, item = null) {
+        let groupName = null;
+        for (const [name, group] of this.websiteGroups) {
+            const match = group.items.find(candidate => candidate.url === url);
+            if (match) {
+                item = item || match;
+                groupName = name;
+                break;
+            }
+        }
+        
+        const previous = this.favoriteMeta.get(url) || {};
+        this.favoriteMeta.set(url, {
+            title: (item && item.title) || previous.title || '',
+            favIconUrl: this.getFaviconUrl(url),
+            group: groupName || previous.group || null,
+            addedAt: previous.addedAt || Date.now(),
+            lastVisitTime: (item && item.lastVisitTime) || previous.lastVisitTime || null
+        });
+    }
+    
+    getFaviconUrl(url) {
+        try {
+            return `https://www.google.com/s2/favicons?domain=${new URL(url).hostname}&sz=16`;
+        } catch {
+            return '';
+        }
+    }
+    
+    sortVisitItems(items) {
+        return items.sort((a, b) => {
+            if (this.currentSortMode === 'frequency') {
+                const aFreq = this.visitFrequency.get(a.url) || 0;
+                const bFreq = this.visitFrequency.get(b.url) || 0;
+                const aIsTop = this.topVisitedUrls.has(a.url);
+                const bIsTop = this.topVisitedUrls.has(b.url);
+                
+                // First priority: top visited sites
+                if (aIsTop && !bIsTop) return -1;
+                if (!aIsTop && bIsTop) return 1;
+                
+                // Second priority: visit frequency
+                if (aFreq !== bFreq) return bFreq - aFreq;
+                
+                // Third priority: recency
+                return b.lastVisitTime - a.lastVisitTime;
+            } else if (this.currentSortMode === 'activeTime') {
+                // Most active time first; untracked pages follow by recency
+                const aTime = this.timeOnSite.get(a.url) || 0;
+                const bTime = this.timeOnSite.get(b.url) || 0;
+                if (aTime !== bTime) return bTime - aTime;
+                return b.lastVisitTime - a.lastVisitTime;
+            } else {
+                // Sort by recency only
+                return b.lastVisitTime - a.lastVisitTime;
+            }
+        });
+    }
+    
+    renderRecentVisits(group, isFiltered = false) {
+        const titleElement = document.getElementById('selectedGroupTitle');
+        const countElement = document.getElementById('visitCount');
+        const visitsContainer = document.getElementById('recentVisits');
+        
+        titleElement.textContent = group.name;
+        const countText = isFiltered ? 
+            `${group.items.length} filtered results` : 
+            `${group.items.length} recent visits`;
+        countElement.textContent = countText;
+        
+        visitsContainer.innerHTML = '';
+        
+        if (group.items.length === 0) {
+            const emptyMessage = isFiltered ? 
+                'No websites match your search' : 
+                'No recent visits found';
+            visitsContainer.innerHTML = `
+                <div class="empty-state">
+                    <p>${emptyMessage}</p>
+                    ${isFiltered ? '<small>Try adjusting your search terms</small>' : ''}
+                </div>
+            `;
+            return;
+        }
+        
+        // Show up to 50 most recent visits
+        // Sort items based on current sort mode
+        const sortedItems = this.sortVisitItems(group.items);
+        
+        if (this.clusterMode && this.currentView === 'recent') {
+            const clusters = this.buildClusters(sortedItems);
+            countElement.textContent = `${countText} in ${clusters.length} ${this.clusterMode === 'path' ? 'sections' : 'sites'}`;
+            clusters.forEach(cluster => {
+                visitsContainer.appendChild(this.createClusterElement(cluster, group, clusters.length === 1));
+            });
+            return;
+        }
+        
+        const recentItems = sortedItems.slice(0, 50);
+        
+        recentItems.forEach(item => {
+            const visitElement = this.createVisitElement(item, group.itemGroups ? group.itemGroups.get(item.url) : null);
+            visitsContainer.appendChild(visitElement);
+        });
+    }
+    
+    // =========================================================================
+    // 🌐 CLUSTERS
+    // =========================================================================
+    
+    setClusterMode(mode) {
+        this.clusterMode = this.clusterMode === mode ? null : mode;
+        document.getElementById('clusterHostBtn').classList.toggle('active', this.clusterMode === 'host');
+        document.getElementById('clusterPathBtn').classList.toggle('active', this.clusterMode === 'path');
+        this.refreshCurrentView();
+    }
+    
+    // "github.com", or "github.com/mozilla" when clustering by first path segment
+    getClusterKey(url) {
+        try {
+            const parsedUrl = new URL(url);
+            const host = parsedUrl.hostname.replace(/^www\./, '');
+            if (this.clusterMode !== 'path') return host;
+            const segment = parsedUrl.pathname.split('/').find(part => part.length > 0);
+            return segment ? `${host}/${segment}` : host;
+        } catch {
+            return url;
+        }
+    }
+    
+    // `items` arrive sorted, so every cluster keeps the current sort; clusters follow it too:
+    // 🔥 most visits first, ⏰ most recent first, ⏱️ most active time first
+    buildClusters(items) {
+        const clusters = new Map();
+        items.forEach(item => {
+            const key = this.getClusterKey(item.url);
+            if (!clusters.has(key)) {
+                clusters.set(key, { key, items: [], totalVisits: 0, lastVisit: 0, activeTime: 0 });
+            }
+            const cluster = clusters.get(key);
+            cluster.items.push(item);
+            cluster.totalVisits += item.visitCount || 1;
+            cluster.lastVisit = Math.max(cluster.lastVisit, item.lastVisitTime || 0);
+            cluster.activeTime += this.timeOnSite.get(item.url) || 0;
+        });
+        
+        return Array.from(clusters.values()).sort((a, b) => {
+            if (this.currentSortMode === 'time') return b.lastVisit - a.lastVisit;
+            if (this.currentSortMode === 'activeTime') return (b.activeTime - a.activeTime) || (b.lastVisit - a.lastVisit);
+            return (b.totalVisits - a.totalVisits) || (b.lastVisit - a.lastVisit);
+        });
+    }
+    
+    createClusterElement(cluster, group, forceExpanded = false) {
+        const element = document.createElement('div');
+        element.className = 'visit-cluster';
+        element.dataset.cluster = cluster.key;
+        
+        const pages = cluster.items.length;
+        element.innerHTML = `
+            <div class="cluster-header" tabindex="0">
+                <span class="cluster-toggle"></span>
+                <img class="favicon" src="${this.escapeHtml(this.getFaviconUrl(cluster.items[0].url))}" 
+                     onerror="this.style.display='none'" alt="">
+                <span class="cluster-name" title="${this.escapeHtml(cluster.key)}">${this.escapeHtml(cluster.key)}</span>
+                <span class="cluster-meta">${pages} page${pages !== 1 ? 's' : ''} • ${cluster.totalVisits} visit${cluster.totalVisits !== 1 ? 's' : ''}${this.timeTrackingEnabled && cluster.activeTime > 0 ? ` • ⏱️ ${this.formatActiveTime(cluster.activeTime)}` : ''} • ${this.getTimeAgo(cluster.lastVisit)}</span>
+            </div>
+        `;
+        
+        const setExpanded = (expanded) => {
+            element.classList.toggle('expanded', expanded);
+            element.querySelector('.cluster-toggle').textContent = expanded ? '▾' : '▸';
+            
+            const existing = element.querySelector('.cluster-items');
+            if (existing) existing.remove();
+            if (expanded) element.appendChild(this.createClusterItems(cluster, group));
+        };
+        
+        element.querySelector('.cluster-header').addEventListener('click', () => {
+            const expanded = !element.classList.contains('expanded');
+            if (expanded) {
+                this.expandedClusters.add(cluster.key);
+            } else {
+                this.expandedClusters.delete(cluster.key);
+            }
+            setExpanded(expanded);
+            this.updateBulkBar();
+        });
+        
+        setExpanded(forceExpanded || this.expandedClusters.has(cluster.key));
+        return element;
+    }
+    
+    createClusterItems(cluster, group) {
+        const container = document.createElement('div');
+        container.className = 'cluster-items';
+        
+        // Same cap as the flat list, per cluster
+        cluster.items.slice(0, 50).forEach(item => {
+            container.appendChild(this.createVisitElement(item, group.itemGroups ? group.itemGroups.get(item.url) : null));
+        });
+        if (cluster.items.length > 50) {
+            container.insertAdjacentHTML('beforeend', `<div class="cluster-more">+${cluster.items.length - 50} more - search to narrow down</div>`);
+        }
+        
+        return container;
+    }
+    
+    createVisitElement(item, groupName = null) {
+        const element = document.createElement('div');
+        element.className = 'visit-item';
+        element.dataset.url = item.url;
+        element.tabIndex = 0;
+        
+        const timeAgo = this.getTimeAgo(item.lastVisitTime);
+        
+        const title = item.title || item.url;
+        const isFavorited = this.favorites.has(item.url);
+        const favIconUrl = item.favIconUrl || this.getFaviconUrl(item.url);
+        const customName = this.favoriteNames.get(item.url);
+        const tags = this.getFavoriteTags(item.url);
+        const frequencyBadge = this.getFrequencyBadge(item.url);
+        const activeTime = this.timeTrackingEnabled ? this.timeOnSite.get(item.url) || 0 : 0;
+        
+        // Use custom name if available, otherwise use original title
+        const displayTitle = customName || title;
+        
+        const isSelected = this.selectionMode && this.selectedUrls.has(item.url);
+        if (this.selectionMode) {
+            element.classList.add('selectable');
+            element.classList.toggle('checked', isSelected);
+        }
+        
+        element.innerHTML = `
+            ${this.selectionMode ? `<input type="checkbox" class="visit-select" tabindex="-1" ${isSelected ? 'checked' : ''}>` : ''}
+            <img class="favicon" src="${this.escapeHtml(favIconUrl)}" 
+                 onerror="this.style.display='none'" alt="">
+            <div class="details">
+                <div class="title ${customName ? 'custom-tag' : ''}" title="${this.escapeHtml(displayTitle)}">
+                    ${this.escapeHtml(displayTitle)}
+                    ${customName ? '<span class="tag-badge">🏷️</span>' : ''}
+                    ${frequencyBadge.show ? `<span class="frequency-badge ${frequencyBadge.level}" style="color: ${frequencyBadge.color}" title="${frequencyBadge.label}: ${frequencyBadge.count} visits">${frequencyBadge.emoji}</span>` : ''}
+                </div>
+                <div class="url-container">
+                    <div class="url" title="${this.escapeHtml(item.url)}">${this.escapeHtml(item.url)}</div>
+                </div>
+                ${tags.length > 0 ? `<div class="visit-tags">${tags.map(tag => `<span class="tag-chip">${this.escapeHtml(tag)}</span>`).join('')}</div>` : ''}
+                ${groupName ? `<div class="result-group">${this.getFaviconForCategory(groupName)} ${this.escapeHtml(groupName)}</div>` : ''}
+            </div>
+            <div class="visit-stats">
+                <div class="time">${item.lastVisitTime ? timeAgo : ''}</div>
+                ${frequencyBadge.show ? `<div class="visit-count" title="${frequencyBadge.count} total visits">${frequencyBadge.count}</div>` : ''}
+                ${activeTime >= 1000 ? `<div class="active-time" title="Active time on this page">⏱️ ${this.formatActiveTime(activeTime)}</div>` : ''}
+            </div>
+            <button class="remove-btn" title="Remove from history">🗑</button>
+            <button class="favorite-btn ${isFavorited ? 'favorited' : ''}" title="${isFavorited ? 'Remove from favorites' : 'Add to favorites'}">
+                ${isFavorited ? '★' : '☆'}
+            </button>
+        `;
+        
+        // Add click handler for main element (excluding favorite button)
+        element.addEventListener('click', (e) => {
+            // Check if the click is on the favorite button or its content
+            if (e.target.classList.contains('favorite-btn') || 
+                e.target.closest('.favorite-btn')) {
+                return; // Don't open URL if clicking favorite button
+            }
+            if (e.target.closest('.remove-btn')) {
+                this.removeItemsFromHistory([item], 'page');
+                return;
+            }
+            if (this.selectionMode) {
+                this.handleSelectionClick(element, e.shiftKey);
+                return;
             }
             chrome.tabs.create({ url: item.url });
         });
@@ -684,12 +1435,8 @@ class HistoryOrganizer {
         const favoriteBtn = element.querySelector('.favorite-btn');
         favoriteBtn.addEventListener('click', (e) => {
             e.stopPropagation();
-            this.toggleFavorite(item.url);
-            // Update button appearance
-            const isFavorited = this.favorites.has(item.url);
-            favoriteBtn.className = `favorite-btn ${isFavorited ? 'favorited' : ''}`;
-            favoriteBtn.textContent = isFavorited ? '★' : '☆';
-            favoriteBtn.title = isFavorited ? 'Remove from favorites' : 'Add to favorites';
+            this.toggleFavorite(item.url, item);
+            this.updateFavoriteButton(favoriteBtn, item.url);
         });
         
         // Add context menu handler
@@ -709,39 +1456,69 @@ class HistoryOrganizer {
         return element;
     }
     
-    showFavoriteTagModal(url, originalTitle) {
-        // Create modal if it doesn't exist
+    updateFavoriteButton(button, url) {
+        const isFavorited = this.favorites.has(url);
+        button.className = `favorite-btn ${isFavorited ? 'favorited' : ''}`;
+        button.textContent = isFavorited ? '★' : '☆';
+        button.title = isFavorited ? 'Remove from favorites' : 'Add to favorites';
+    }
+    
+    showFavoriteTagModal(url, originalTitle) {
+        // Create modal if it doesn't exist
         let modal = document.getElementById('tagModal');
         if (!modal) {
             modal = this.createTagModal();
             document.body.appendChild(modal);
         }
         
-        const currentTag = this.favoriteTags.get(url) || '';
-        const titleInput = modal.querySelector('#tagInput');
+        const nameInput = modal.querySelector('#tagNameInput');
+        const tagInput = modal.querySelector('#tagInput');
         const urlDisplay = modal.querySelector('#tagUrl');
         const saveBtn = modal.querySelector('#saveTagBtn');
         const deleteBtn = modal.querySelector('#deleteTagBtn');
         const addFavBtn = modal.querySelector('#addFavoriteBtn');
+        const removePageBtn = modal.querySelector('#removePageBtn');
+        const removeDomainBtn = modal.querySelector('#removeDomainBtn');
         
-        titleInput.value = currentTag;
+        nameInput.value = this.favoriteNames.get(url) || '';
+        nameInput.placeholder = originalTitle || 'Enter custom name for this favorite...';
+        tagInput.value = '';
         urlDisplay.textContent = url;
+        this.editingTags = new Set(this.getFavoriteTags(url));
+        this.renderTagEditor();
         
         // Show/hide buttons based on current state
         const isFavorited = this.favorites.has(url);
-        const hasCustomTag = this.favoriteTags.has(url);
+        const hasDetails = this.favoriteNames.has(url) || this.favoriteTags.has(url);
         
         addFavBtn.style.display = isFavorited ? 'none' : 'block';
-        deleteBtn.style.display = hasCustomTag ? 'block' : 'none';
+        deleteBtn.style.display = hasDetails ? 'block' : 'none';
+        
+        // Set up event listeners; a tag still being typed counts as added
+        const collectTags = () => {
+            this.addEditingTags(tagInput.value);
+            return Array.from(this.editingTags);
+        };
+        saveBtn.onclick = () => this.saveFavoriteDetails(url, nameInput.value.trim(), collectTags());
+        deleteBtn.onclick = () => this.clearFavoriteDetails(url);
+        addFavBtn.onclick = () => this.addToFavorites(url, nameInput.value.trim(), collectTags());
         
-        // Set up event listeners
-        saveBtn.onclick = () => this.saveTag(url, titleInput.value.trim());
-        deleteBtn.onclick = () => this.deleteTag(url);
-        addFavBtn.onclick = () => this.addToFavorites(url, titleInput.value.trim());
+        const hostname = this.getHostname(url);
+        removePageBtn.onclick = () => {
+            modal.style.display = 'none';
+            const item = this.allHistory.find(candidate => candidate.url === url) || { url, title: originalTitle };
+            this.removeItemsFromHistory([item], 'page');
+        };
+        removeDomainBtn.style.display = hostname ? 'block' : 'none';
+        removeDomainBtn.textContent = `🗑️ Remove all of ${hostname}`;
+        removeDomainBtn.onclick = () => {
+            modal.style.display = 'none';
+            this.removeDomainFromHistory(hostname);
+        };
         
         modal.style.display = 'block';
-        titleInput.focus();
-        titleInput.select();
+        nameInput.focus();
+        nameInput.select();
     }
     
     createTagModal() {
@@ -752,251 +1529,1627 @@ class HistoryOrganizer {
             <div class="tag-modal-content">
                 <h3>🏷️ Customize Favorite</h3>
                 <div class="tag-form">
-                    <label for="tagInput">Custom Name:</label>
-                    <input type="text" id="tagInput" placeholder="Enter custom name for this favorite...">
+                    <label for="tagNameInput">Custom Name:</label>
+                    <input type="text" id="tagNameInput" placeholder="Enter custom name for this favorite...">
+                    <label for="tagInput">Tags:</label>
+                    <div class="tag-editor" id="tagEditor">
+                        <input type="text" id="tagInput" list="tagSuggestions" placeholder="Add a tag, press Enter...">
+                    </div>
+                    <datalist id="tagSuggestions"></datalist>
                     <div class="tag-url">
                         <small>URL: <span id="tagUrl"></span></small>
                     </div>
                     <div class="tag-actions">
-                        <button id="saveTagBtn" class="btn btn-primary">💾 Save Tag</button>
+                        <button id="saveTagBtn" class="btn btn-primary">💾 Save</button>
                         <button id="addFavoriteBtn" class="btn btn-success">⭐ Add to Favorites</button>
-                        <button id="deleteTagBtn" class="btn btn-danger">🗑️ Delete Tag</button>
+                        <button id="deleteTagBtn" class="btn btn-danger">🗑️ Clear Name & Tags</button>
                         <button id="cancelTagBtn" class="btn btn-outline">✕ Cancel</button>
                     </div>
+                    <div class="tag-actions history-actions">
+                        <button id="removePageBtn" class="btn btn-outline">🗑️ Remove page from history</button>
+                        <button id="removeDomainBtn" class="btn btn-outline">🗑️ Remove all of this site</button>
+                    </div>
                 </div>
             </div>
         `;
         
+        // Enter or comma turns the typed text into a tag; Backspace on an empty input removes the last one
+        const tagInput = modal.querySelector('#tagInput');
+        tagInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ',') {
+                e.preventDefault();
+                this.addEditingTags(tagInput.value);
+                tagInput.value = '';
+            } else if (e.key === 'Backspace' && !tagInput.value && this.editingTags.size > 0) {
+                this.editingTags.delete(Array.from(this.editingTags).pop());
+                this.renderTagEditor();
+            }
+        });
+        
+        // Picking a suggestion from the datalist adds it straight away
+        tagInput.addEventListener('input', (e) => {
+            if (e.inputType === 'insertReplacementText') {
+                this.addEditingTags(tagInput.value);
+                tagInput.value = '';
+            }
+        });
+        
         // Add cancel functionality
         modal.querySelector('#cancelTagBtn').onclick = () => {
             modal.style.display = 'none';
         };
         
-        // Click outside to close
-        modal.addEventListener('click', (e) => {
-            if (e.target === modal) {
-                modal.style.display = 'none';
-            }
+        // Click outside to close
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                modal.style.display = 'none';
+            }
+        });
+        
+        return modal;
+    }
+    
+    addEditingTags(text) {
+        text.split(',')
+            .map(tag => this.storage.normalizeTag(tag))
+            .filter(tag => tag.length > 0)
+            .forEach(tag => this.editingTags.add(tag));
+        this.renderTagEditor();
+    }
+    
+    renderTagEditor() {
+        const editor = document.getElementById('tagEditor');
+        const tagInput = document.getElementById('tagInput');
+        editor.querySelectorAll('.tag-chip').forEach(chip => chip.remove());
+        
+        this.editingTags.forEach(tag => {
+            const chip = document.createElement('span');
+            chip.className = 'tag-chip';
+            chip.textContent = tag;
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'tag-chip-remove';
+            removeBtn.title = `Remove ${tag}`;
+            removeBtn.textContent = '×';
+            removeBtn.onclick = () => {
+                this.editingTags.delete(tag);
+                this.renderTagEditor();
+            };
+            
+            chip.appendChild(removeBtn);
+            editor.insertBefore(chip, tagInput);
+        });
+        
+        // Suggest every known tag that is not on this favorite yet
+        const suggestions = document.getElementById('tagSuggestions');
+        suggestions.innerHTML = this.getAllFavoriteTags()
+            .filter(({ tag }) => !this.editingTags.has(tag))
+            .map(({ tag }) => `<option value="${this.escapeHtml(tag)}"></option>`)
+            .join('');
+    }
+    
+    getFavoriteTags(url) {
+        return Array.from(this.favoriteTags.get(url) || []).sort();
+    }
+    
+    // Every tag in use with the number of favorites carrying it, most used first
+    getAllFavoriteTags() {
+        const counts = new Map();
+        this.favoriteTags.forEach(tags => {
+            tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+        return Array.from(counts, ([tag, count]) => ({ tag, count }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    }
+    
+    setFavoriteDetails(url, customName, tags) {
+        if (customName) {
+            this.favoriteNames.set(url, customName);
+        } else {
+            this.favoriteNames.delete(url);
+        }
+        
+        if (tags.length > 0) {
+            this.favoriteTags.set(url, new Set(tags));
+        } else {
+            this.favoriteTags.delete(url);
+        }
+    }
+    
+    async saveFavoriteDetails(url, customName, tags) {
+        this.setFavoriteDetails(url, customName, tags);
+        if ((customName || tags.length > 0) && !this.favorites.has(url)) {
+            this.favorites.add(url);
+            this.captureFavoriteMeta(url);
+        }
+        
+        await this.saveFavorites();
+        this.refreshCurrentView();
+        document.getElementById('tagModal').style.display = 'none';
+    }
+    
+    async clearFavoriteDetails(url) {
+        this.setFavoriteDetails(url, '', []);
+        await this.saveFavorites();
+        this.refreshCurrentView();
+        document.getElementById('tagModal').style.display = 'none';
+    }
+    
+    async addToFavorites(url, customName, tags = []) {
+        this.favorites.add(url);
+        this.captureFavoriteMeta(url);
+        this.setFavoriteDetails(url, customName, tags);
+        await this.saveFavorites();
+        this.refreshCurrentView();
+        document.getElementById('tagModal').style.display = 'none';
+    }
+    
+    refreshCurrentView() {
+        this.updateFavoritesEntry();
+        this.updateSessionsEntry();
+        if (this.currentView === 'search') {
+            this.renderGlobalSearchResults(document.getElementById('globalSearchInput').value);
+        } else if (this.currentView === 'favorites') {
+            this.renderFavorites();
+        } else if (this.currentView === 'timeline') {
+            this.renderTimeline();
+        } else if (this.currentView === 'sessions') {
+            this.renderSessions();
+        } else if (this.currentGroupData) {
+            // Keep the in-group search applied
+            const searchTerm = document.getElementById('searchInput').value;
+            if (searchTerm.trim()) {
+                this.filterVisitItems(searchTerm);
+            } else {
+                this.renderRecentVisits(this.currentGroupData);
+            }
+        }
+        this.updateBulkBar();
+    }
+    
+    // `action` ({ label, onClick, duration }) adds a button, e.g. Undo, and keeps the toast up for `duration` ms
+    showToast(message, type = 'info', action = null) {
+        // Create toast if it doesn't exist
+        let toast = document.getElementById('toast');
+        if (!toast) {
+            toast = document.createElement('div');
+            toast.id = 'toast';
+            toast.className = 'toast';
+            document.body.appendChild(toast);
+        }
+        
+        // Set message and type
+        toast.textContent = message;
+        toast.className = `toast ${type} show`;
+        
+        if (action) {
+            const button = document.createElement('button');
+            button.className = 'toast-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                toast.classList.remove('show');
+                action.onClick();
+            }, { once: true });
+            toast.appendChild(button);
+        }
+        
+        // Auto-hide after 3 seconds; a newer toast restarts the timer
+        clearTimeout(this.toastTimer);
+        this.toastTimer = setTimeout(() => {
+            toast.classList.remove('show');
+        }, action ? action.duration : 3000);
+    }
+    
+    setSortMode(mode) {
+        this.currentSortMode = mode;
+        
+        // Update button states
+        document.getElementById('frequencySort').classList.toggle('active', mode === 'frequency');
+        document.getElementById('timeSort').classList.toggle('active', mode === 'time');
+        document.getElementById('activeTimeSort').classList.toggle('active', mode === 'activeTime');
+        
+        // Refresh current view with new sorting
+        this.refreshCurrentView();
+    }
+    
+    getTimeAgo(timestamp) {
+        const now = Date.now();
+        const diff = now - timestamp;
+        
+        const seconds = Math.floor(diff / 1000);
+        const minutes = Math.floor(seconds / 60);
+        const hours = Math.floor(minutes / 60);
+        const days = Math.floor(hours / 24);
+        
+        if (days > 0) return `${days}d ago`;
+        if (hours > 0) return `${hours}h ago`;
+        if (minutes > 0) return `${minutes}m ago`;
+        return 'Just now';
+    }
+    
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+    
+    truncateUrl(url) {
+        // Show full URL but in a more readable format
+        try {
+            const urlObj = new URL(url);
+            const path = urlObj.pathname + urlObj.search + urlObj.hash;
+            return urlObj.hostname + path;
+        } catch {
+            return url;
+        }
+    }
+    
+    filterVisitItems(searchTerm) {
+        if (!this.currentGroupData) return;
+        
+        const query = this.parseSearchQuery(searchTerm);
+        this.showSearchHint('searchHint', query.errors);
+        
+        const { itemGroups } = this.currentGroupData;
+        const filteredItems = this.currentGroupData.items.filter(item =>
+            this.matchesSearchQuery(item, itemGroups ? itemGroups.get(item.url) : this.selectedGroup, query) &&
+            (query.terms.length === 0 || this.getSearchTextScore(item, query.terms) > 0)
+        );
+        
+        // Create a temporary group object with filtered items
+        const filteredGroup = {
+            ...this.currentGroupData,
+            items: filteredItems
+        };
+        
+        this.renderRecentVisits(filteredGroup, true); // Pass flag to indicate filtered view
+        this.updateBulkBar();
+    }
+    
+    // Splits a query on whitespace; double quotes keep spaces together (tag:"q4 launch")
+    tokenizeSearchQuery(query) {
+        const tokens = [];
+        const errors = [];
+        let i = 0;
+        
+        while (i < query.length) {
+            if (/\s/.test(query[i])) {
+                i++;
+                continue;
+            }
+            
+            let token = '';
+            while (i < query.length && !/\s/.test(query[i])) {
+                if (query[i] === '"') {
+                    const closeIndex = query.indexOf('"', i + 1);
+                    if (closeIndex === -1) {
+                        errors.push('Missing closing quote');
+                        token += query.slice(i + 1);
+                        i = query.length;
+                    } else {
+                        token += query.slice(i + 1, closeIndex);
+                        i = closeIndex + 1;
+                    }
+                } else {
+                    token += query[i];
+                    i++;
+                }
+            }
+            tokens.push(token);
+        }
+        
+        return { tokens, errors };
+    }
+    
+    /*
+     * Query language:
+     *   site:github.com   group:Development   tag:release   is:favorite   is:tagged   is:named
+     *   after:2026-10-01   before:2026-10-08   after:7d   visits>5 (>=, <, <=, =)
+     * Prefix any term or operator with "-" to negate it. Plain words match titles, URLs and custom names.
+     */
+    parseSearchQuery(query) {
+        const { tokens, errors } = this.tokenizeSearchQuery(query);
+        const terms = [];
+        const clauses = [];
+        
+        tokens.forEach(rawToken => {
+            const negate = rawToken.length > 1 && rawToken.startsWith('-');
+            const token = negate ? rawToken.slice(1) : rawToken;
+            if (!token) return;
+            
+            const visitsMatch = token.match(/^visits(>=|<=|>|<|=|:)(.*)$/i);
+            const operatorMatch = token.match(/^(site|group|tag|before|after|is):(.*)$/i);
+            
+            let test = null;
+            if (visitsMatch) {
+                test = this.createVisitsClause(visitsMatch[1], visitsMatch[2], errors);
+            } else if (operatorMatch) {
+                test = this.createOperatorClause(operatorMatch[1].toLowerCase(), operatorMatch[2], errors);
+            } else if (negate) {
+                const term = token.toLowerCase();
+                test = (item) => this.getSearchTextScore(item, [term]) > 0;
+            } else {
+                terms.push(token.toLowerCase());
+                return;
+            }
+            
+            if (test) {
+                clauses.push({ test, negate });
+            }
+        });
+        
+        return { terms, clauses, errors, isEmpty: terms.length === 0 && clauses.length === 0 };
+    }
+    
+    createOperatorClause(operator, value, errors) {
+        if (!value) {
+            errors.push(`${operator}: needs a value`);
+            return null;
+        }
+        
+        const lowerValue = value.toLowerCase();
+        
+        switch (operator) {
+            case 'site': {
+                // Same syntax as group patterns, so site:*.atlassian.net or site:github.com/org work too
+                const rule = this.rules.parseRule(value);
+                if (!rule.valid) {
+                    errors.push(`site: ${rule.error}`);
+                    return null;
+                }
+                return (item) => {
+                    try {
+                        return rule.test(new URL(item.url));
+                    } catch {
+                        return false;
+                    }
+                };
+            }
+            case 'group': {
+                const groupNames = Array.from(this.websiteGroups.keys());
+                if (!groupNames.some(name => name.toLowerCase().startsWith(lowerValue))) {
+                    errors.push(`No group named "${value}"`);
+                    return null;
+                }
+                return (item, groupName) => (groupName || '').toLowerCase().startsWith(lowerValue);
+            }
+            case 'tag': {
+                // Exact tag, or a prefix ending in * (tag:q4-*)
+                const tag = this.storage.normalizeTag(lowerValue);
+                const matches = tag.endsWith('*') ?
+                    (candidate) => candidate.startsWith(tag.slice(0, -1)) :
+                    (candidate) => candidate === tag;
+                return (item) => this.getFavoriteTags(item.url).some(matches);
+            }
+            case 'before':
+            case 'after': {
+                const time = this.parseSearchDate(lowerValue);
+                if (time === null) {
+                    errors.push(`${operator}: expects a date like 2026-10-01 or 7d`);
+                    return null;
+                }
+                return operator === 'after' ?
+                    (item) => (item.lastVisitTime || 0) >= time :
+                    (item) => (item.lastVisitTime || 0) < time;
+            }
+            case 'is':
+                if (lowerValue === 'favorite' || lowerValue === 'fav') {
+                    return (item) => this.favorites.has(item.url);
+                }
+                if (lowerValue === 'tagged') {
+                    return (item) => this.favoriteTags.has(item.url);
+                }
+                if (lowerValue === 'named') {
+                    return (item) => this.favoriteNames.has(item.url);
+                }
+                errors.push('is: expects favorite, tagged or named');
+                return null;
+            default:
+                return null;
+        }
+    }
+    
+    createVisitsClause(comparator, value, errors) {
+        const threshold = Number(value);
+        if (value === '' || !Number.isInteger(threshold) || threshold < 0) {
+            errors.push('visits expects a whole number, e.g. visits>5');
+            return null;
+        }
+        
+        const compare = {
+            '>': (count) => count > threshold,
+            '>=': (count) => count >= threshold,
+            '<': (count) => count < threshold,
+            '<=': (count) => count <= threshold,
+            '=': (count) => count === threshold,
+            ':': (count) => count === threshold
+        }[comparator];
+        
+        return (item) => compare(this.visitFrequency.get(item.url) || item.visitCount || 0);
+    }
+    
+    parseSearchDate(value) {
+        // Relative days: 7d = seven days ago
+        const relativeMatch = value.match(/^(\d+)d$/);
+        if (relativeMatch) {
+            return Date.now() - (parseInt(relativeMatch[1]) * 24 * 60 * 60 * 1000);
+        }
+        
+        // Calendar dates are local midnight
+        const dateMatch = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (!dateMatch) return null;
+        
+        const [, year, month, day] = dateMatch.map(Number);
+        const date = new Date(year, month - 1, day);
+        if (date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+        return date.getTime();
+    }
+    
+    matchesSearchQuery(item, groupName, query) {
+        return query.clauses.every(({ test, negate }) => test(item, groupName) !== negate);
+    }
+    
+    showSearchHint(elementId, errors) {
+        const hint = document.getElementById(elementId);
+        if (errors.length === 0) {
+            hint.style.display = 'none';
+            hint.textContent = '';
+            return;
+        }
+        hint.textContent = `⚠️ ${errors[0]}`;
+        hint.style.display = 'block';
+    }
+    
+    switchView(viewType) {
+        this.currentView = viewType;
+        this.setSelectionMode(false);
+        
+        // Timeline rows are single visits, not pages, so they cannot be selected; only recent visits cluster
+        document.getElementById('selectToggle').style.display = viewType === 'timeline' ? 'none' : '';
+        document.getElementById('clusterToggle').style.display = viewType === 'recent' ? '' : 'none';
+        
+        // Update button states
+        document.getElementById('recentBtn').classList.toggle('active', viewType === 'recent');
+        document.getElementById('favoritesBtn').classList.toggle('active', viewType === 'favorites');
+        document.getElementById('timelineBtn').classList.toggle('active', viewType === 'timeline');
+        
+        if (viewType === 'favorites') {
+            this.renderFavorites();
+        } else if (viewType === 'timeline') {
+            this.renderTimeline();
+        } else if (viewType === 'sessions') {
+            this.renderSessions();
+        } else {
+            // Show recent visits for current group
+            if (this.currentGroupData) {
+                this.renderRecentVisits(this.currentGroupData);
+            }
+        }
+    }
+    
+    renderFavorites() {
+        const titleElement = document.getElementById('selectedGroupTitle');
+        const countElement = document.getElementById('visitCount');
+        const container = document.getElementById('recentVisits');
+        
+        titleElement.textContent = '⭐ Favorites';
+        
+        if (this.favorites.size === 0) {
+            countElement.textContent = '';
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="icon">⭐</div>
+                    <p>No favorites yet</p>
+                    <small>Click the star icon next to any website to add it to favorites</small>
+                </div>
+            `;
+            return;
+        }
+        
+        // The Favorites entry lists every favorite; inside a group only that group's
+        const isAllFavorites = this.selectedGroup === this.FAVORITES_GROUP_KEY;
+        if (isAllFavorites) {
+            this.currentGroupData = this.buildFavoritesGroup();
+        }
+        const groupFavorites = this.currentGroupData ? 
+            this.currentGroupData.items.filter(item => this.favorites.has(item.url)) : [];
+        
+        // A tag that no longer exists stops filtering
+        const allTags = this.getAllFavoriteTags();
+        if (this.activeFavoriteTag && !allTags.some(({ tag }) => tag === this.activeFavoriteTag)) {
+            this.activeFavoriteTag = null;
+        }
+        
+        const favoriteItems = this.activeFavoriteTag ?
+            groupFavorites.filter(item => this.getFavoriteTags(item.url).includes(this.activeFavoriteTag)) :
+            groupFavorites;
+        
+        countElement.textContent = `${favoriteItems.length} favorite${favoriteItems.length !== 1 ? 's' : ''}`;
+        
+        // Clear container and add elements with proper event listeners
+        container.innerHTML = '';
+        if (allTags.length > 0) {
+            container.appendChild(this.createTagCloud(allTags));
+        }
+        
+        // Without a tag filter the Favorites entry shows the folder tree
+        if (isAllFavorites && !this.activeFavoriteTag) {
+            this.renderFavoriteFolders(container);
+            return;
+        }
+        
+        if (favoriteItems.length === 0) {
+            container.insertAdjacentHTML('beforeend', `
+                <div class="empty-state">
+                    <div class="icon">⭐</div>
+                    <p>${this.activeFavoriteTag ? `No favorites tagged "${this.escapeHtml(this.activeFavoriteTag)}"${isAllFavorites ? '' : ' in this group'}` : 'No favorites in this group'}</p>
+                    <small>Right-click any website to name and tag it</small>
+                </div>
+            `);
+            return;
+        }
+        
+        favoriteItems.forEach(item => {
+            const element = this.createVisitElement(item, isAllFavorites ? this.currentGroupData.itemGroups.get(item.url) : null);
+            container.appendChild(element);
+        });
+    }
+    
+    renderFavoriteFolders(container) {
+        const itemsByUrl = new Map(this.currentGroupData.items.map(item => [item.url, item]));
+        
+        // The toolbar doubles as the drop target for moving things back to the top level
+        const toolbar = document.createElement('div');
+        toolbar.className = 'favorites-toolbar favorite-drop-target';
+        toolbar.dataset.folderId = this.folders.ROOT_FOLDER_ID;
+        toolbar.innerHTML = `
+            <button class="folder-btn" id="newFolderBtn">📁 New folder</button>
+            <small>Drag favorites onto a folder to file them, or here to move them to the top</small>
+        `;
+        toolbar.querySelector('#newFolderBtn').addEventListener('click', () => {
+            this.createFavoriteFolder(this.folders.ROOT_FOLDER_ID);
+        });
+        container.appendChild(toolbar);
+        
+        this.appendFolderContents(container, this.favoriteFolders, itemsByUrl);
+        this.setupFavoriteDragAndDrop(container);
+    }
+    
+    appendFolderContents(parentElement, folder, itemsByUrl) {
+        folder.folders.forEach(child => {
+            parentElement.appendChild(this.createFolderElement(child, itemsByUrl));
+        });
+        
+        folder.items.forEach(url => {
+            const item = itemsByUrl.get(url);
+            if (!item) return;
+            const element = this.createVisitElement(item, this.currentGroupData.itemGroups.get(url));
+            element.classList.add('favorite-drop-target');
+            element.draggable = true;
+            parentElement.appendChild(element);
+        });
+    }
+    
+    createFolderElement(folder, itemsByUrl) {
+        const element = document.createElement('div');
+        element.className = 'favorite-folder';
+        const isCollapsed = this.collapsedFolders.has(folder.id);
+        const count = this.folders.countFavorites(folder);
+        
+        element.innerHTML = `
+            <div class="folder-header favorite-drop-target" draggable="true" data-folder-id="${folder.id}">
+                <span class="folder-toggle">${isCollapsed ? '▸' : '▾'}</span>
+                <span class="folder-icon">📁</span>
+                <span class="folder-name">${this.escapeHtml(folder.name)}</span>
+                <span class="folder-count">${count}</span>
+                <div class="folder-actions">
+                    <button class="folder-action" data-action="open-all" title="Open as a tab group">⧉</button>
+                    <button class="folder-action" data-action="add" title="New sub-folder">➕</button>
+                    <button class="folder-action" data-action="rename" title="Rename folder">✏️</button>
+                    <button class="folder-action" data-action="delete" title="Delete folder">🗑️</button>
+                </div>
+            </div>
+            <div class="folder-children" style="display: ${isCollapsed ? 'none' : 'block'};"></div>
+        `;
+        
+        element.querySelector('.folder-header').addEventListener('click', (e) => {
+            const action = e.target.closest('.folder-action');
+            if (action) {
+                e.stopPropagation();
+                if (action.dataset.action === 'open-all') this.openFolderAsTabGroup(folder, itemsByUrl);
+                if (action.dataset.action === 'add') this.createFavoriteFolder(folder.id);
+                if (action.dataset.action === 'rename') this.renameFavoriteFolder(folder.id);
+                if (action.dataset.action === 'delete') this.deleteFavoriteFolder(folder.id);
+                return;
+            }
+            
+            if (this.collapsedFolders.has(folder.id)) {
+                this.collapsedFolders.delete(folder.id);
+            } else {
+                this.collapsedFolders.add(folder.id);
+            }
+            this.renderFavorites();
+        });
+        
+        if (!isCollapsed) {
+            this.appendFolderContents(element.querySelector('.folder-children'), folder, itemsByUrl);
+        }
+        
+        return element;
+    }
+    
+    // Favorites anywhere below the folder, ranked like everything else by the current sort mode
+    openFolderAsTabGroup(folder, itemsByUrl) {
+        const items = this.folders.flattenFolderTree(folder)
+            .map(({ url }) => itemsByUrl.get(url))
+            .filter(Boolean);
+        this.openAllAsTabGroup(`📁 ${folder.name}`, items, folder.name);
+    }
+    
+    // Opens the top pages (🔥 frequency, ⏰ recency or ⏱️ active time, as currently sorted) in a named, coloured tab group.
+    // The background worker creates the tabs so the launch finishes even when the popup closes.
+    async openAllAsTabGroup(title, items, colorKey) {
+        const urls = this.sortVisitItems([...items])
+            .slice(0, this.historySettings.openAllLimit)
+            .map(item => item.url);
+        
+        if (urls.length === 0) {
+            this.showToast('Nothing to open', 'info');
+            return;
+        }
+        
+        if (urls.length > this.openAllLimits.confirmAbove &&
+            !confirm(`Open ${urls.length} tabs from "${title}" in a new tab group?`)) {
+            return;
+        }
+        
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'openTabGroup',
+                urls,
+                title,
+                color: this.getTabGroupColor(colorKey)
+            });
+            if (!response || !response.success) {
+                throw new Error(response ? response.error : 'No response');
+            }
+        } catch (error) {
+            console.error('Error opening tab group:', error);
+            this.showToast('❌ Could not open the tab group', 'error');
+        }
+    }
+    
+    // Same colour every time for the same group or folder name
+    getTabGroupColor(key) {
+        let hash = 0;
+        for (const char of String(key)) {
+            hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+        }
+        return this.tabGroupColors[hash % this.tabGroupColors.length];
+    }
+    
+    async createFavoriteFolder(parentId) {
+        const path = prompt('Folder name (use / to nest, e.g. Runbooks / Payments):');
+        if (!path || this.folders.splitFolderPath(path).length === 0) return;
+        
+        this.folders.ensureFolderPath(this.favoriteFolders, path, parentId);
+        this.collapsedFolders.delete(parentId);
+        await this.saveFavorites();
+        this.renderFavorites();
+    }
+    
+    async renameFavoriteFolder(folderId) {
+        const folder = this.folders.findFolder(this.favoriteFolders, folderId);
+        if (!folder) return;
+        
+        const name = prompt('Rename folder:', folder.name);
+        if (!name || !name.trim()) return;
+        
+        if (!this.folders.renameFolder(this.favoriteFolders, folderId, name)) {
+            this.showToast(`A folder named "${name.trim()}" is already there`, 'warning');
+            return;
+        }
+        
+        await this.saveFavorites();
+        this.renderFavorites();
+    }
+    
+    async deleteFavoriteFolder(folderId) {
+        const folder = this.folders.findFolder(this.favoriteFolders, folderId);
+        if (!folder) return;
+        
+        if (!confirm(`Delete the folder "${folder.name}"? Its favorites move to the folder above.`)) return;
+        
+        this.folders.removeFolder(this.favoriteFolders, folderId);
+        this.collapsedFolders.delete(folderId);
+        await this.saveFavorites();
+        this.renderFavorites();
+    }
+    
+    // Same drag-and-drop approach as the group list in settings.js
+    setupFavoriteDragAndDrop(container) {
+        const targets = container.querySelectorAll('.favorite-drop-target');
+        const clearDropClasses = () => {
+            targets.forEach(el => el.classList.remove('drag-over', 'drag-before'));
+        };
+        
+        targets.forEach(item => {
+            if (item.draggable) {
+                item.addEventListener('dragstart', (e) => {
+                    e.stopPropagation();
+                    this.draggedElement = item;
+                    item.classList.add('dragging');
+                    e.dataTransfer.effectAllowed = 'move';
+                });
+                
+                item.addEventListener('dragend', () => {
+                    item.classList.remove('dragging');
+                    this.draggedElement = null;
+                    clearDropClasses();
+                });
+            }
+            
+            item.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+                if (this.draggedElement && this.draggedElement !== item) {
+                    const before = this.isDropBefore(item, e);
+                    item.classList.toggle('drag-before', before);
+                    item.classList.toggle('drag-over', !before);
+                }
+            });
+            
+            item.addEventListener('dragleave', () => {
+                item.classList.remove('drag-over', 'drag-before');
+            });
+            
+            item.addEventListener('drop', (e) => {
+                e.preventDefault();
+                const before = this.isDropBefore(item, e);
+                item.classList.remove('drag-over', 'drag-before');
+                
+                if (this.draggedElement && this.draggedElement !== item) {
+                    this.reorderFavorites(this.draggedElement, item, before);
+                }
+            });
+        });
+    }
+    
+    // Favorites always drop in front of a favorite; a folder dropped on the top half of a folder goes in front of it, otherwise inside
+    isDropBefore(target, e) {
+        if (!this.draggedElement) return false;
+        if (target.classList.contains('visit-item')) return true;
+        if (!this.draggedElement.dataset.folderId || !target.classList.contains('folder-header')) return false;
+        
+        const rect = target.getBoundingClientRect();
+        return e.clientY < rect.top + rect.height / 2;
+    }
+    
+    async reorderFavorites(draggedItem, targetItem, before) {
+        const tree = this.favoriteFolders;
+        const draggedFolderId = draggedItem.dataset.folderId;
+        const targetFolderId = targetItem.dataset.folderId;
+        const targetUrl = targetItem.classList.contains('visit-item') ? targetItem.dataset.url : null;
+        
+        // Folder the drop lands in, and the sibling it goes in front of
+        let parentId = targetFolderId;
+        let beforeFolderId = null;
+        if (targetUrl) {
+            parentId = this.folders.findFolderOfUrl(tree, targetUrl).id;
+        } else if (before) {
+            parentId = this.folders.findParentFolder(tree, targetFolderId).id;
+            beforeFolderId = targetFolderId;
+        }
+        
+        const moved = draggedFolderId ?
+            this.folders.moveFolder(tree, draggedFolderId, parentId, beforeFolderId) :
+            this.folders.moveFavorite(tree, draggedItem.dataset.url, parentId, targetUrl);
+        
+        if (!moved) {
+            this.showToast('A folder cannot be moved into itself', 'warning');
+            return;
+        }
+        
+        this.collapsedFolders.delete(parentId);
+        await this.saveFavorites();
+        this.renderFavorites();
+    }
+    
+    createTagCloud(allTags) {
+        const cloud = document.createElement('div');
+        cloud.className = 'tag-cloud';
+        
+        allTags.forEach(({ tag, count }) => {
+            const chip = document.createElement('button');
+            chip.className = `tag-chip ${tag === this.activeFavoriteTag ? 'active' : ''}`;
+            chip.textContent = tag;
+            chip.title = `${count} favorite${count !== 1 ? 's' : ''}`;
+            chip.addEventListener('click', () => {
+                this.activeFavoriteTag = tag === this.activeFavoriteTag ? null : tag;
+                this.renderFavorites();
+            });
+            cloud.appendChild(chip);
+        });
+        
+        return cloud;
+    }
+    
+    async renderTimeline() {
+        if (!this.currentGroupData) return;
+        
+        const titleElement = document.getElementById('selectedGroupTitle');
+        const countElement = document.getElementById('visitCount');
+        const container = document.getElementById('recentVisits');
+        const group = this.currentGroupData;
+        const requestId = ++this.timelineRequestId;
+        
+        titleElement.textContent = `🕘 ${group.name}`;
+        countElement.textContent = '';
+        container.innerHTML = '<div class="loading">Loading visits...</div>';
+        
+        let visits;
+        try {
+            visits = await this.loadGroupVisits(group);
+        } catch (error) {
+            console.error('Error loading visit timeline:', error);
+            visits = [];
+        }
+        
+        // Ignore results if the user moved on while visits were loading
+        if (requestId !== this.timelineRequestId || this.currentView !== 'timeline') return;
+        
+        countElement.textContent = `${visits.length} visit${visits.length !== 1 ? 's' : ''}`;
+        
+        if (visits.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="icon">🕘</div>
+                    <p>No visits in this range</p>
+                </div>
+            `;
+            return;
+        }
+        
+        // Group visits by local calendar day, newest first
+        const visitsByDay = new Map();
+        visits.forEach(visit => {
+            const day = new Date(visit.visitTime).toDateString();
+            if (!visitsByDay.has(day)) {
+                visitsByDay.set(day, []);
+            }
+            visitsByDay.get(day).push(visit);
+        });
+        
+        container.innerHTML = '';
+        visitsByDay.forEach((dayVisits, day) => {
+            const header = document.createElement('div');
+            header.className = 'timeline-day';
+            header.innerHTML = `
+                <span>${this.formatTimelineDay(day)}</span>
+                <span class="timeline-day-count">${dayVisits.length}</span>
+            `;
+            container.appendChild(header);
+            
+            dayVisits.forEach(visit => {
+                container.appendChild(this.createTimelineVisitElement(visit));
+            });
+        });
+    }
+    
+    async loadGroupVisits(group) {
+        const { startTime, endTime } = this.getHistoryWindow();
+        
+        const items = [...group.items]
+            .sort((a, b) => (b.lastVisitTime || 0) - (a.lastVisitTime || 0))
+            .slice(0, this.TIMELINE_URL_LIMIT);
+        
+        const visitLists = await Promise.all(items.map(async item => {
+            const visits = await new Promise((resolve) => {
+                chrome.history.getVisits({ url: item.url }, (results) => resolve(results || []));
+            });
+            return visits.map(visit => ({ ...visit, item }));
+        }));
+        
+        const visits = visitLists.flat()
+            .filter(visit => visit.visitTime >= startTime && visit.visitTime <= endTime)
+            .sort((a, b) => b.visitTime - a.visitTime);
+        
+        // Real visits give every distinct day, not just the last one
+        visits.forEach(visit => {
+            if (!this.recentVisitDates.has(visit.item.url)) {
+                this.recentVisitDates.set(visit.item.url, new Set());
+            }
+            this.recentVisitDates.get(visit.item.url).add(new Date(visit.visitTime).toDateString());
+        });
+        
+        return visits;
+    }
+    
+    createTimelineVisitElement(visit) {
+        const element = document.createElement('div');
+        element.className = 'visit-item timeline-visit';
+        element.dataset.url = visit.item.url;
+        element.tabIndex = 0;
+        
+        const domain = new URL(visit.item.url).hostname;
+        const title = this.favoriteNames.get(visit.item.url) || visit.item.title || 'Untitled';
+        const transition = this.getTransitionInfo(visit.transition);
+        const time = new Date(visit.visitTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        
+        element.innerHTML = `
+            <div class="timeline-time">${time}</div>
+            <img class="favicon" src="https://www.google.com/s2/favicons?domain=${domain}&sz=16" 
+                 onerror="this.style.display='none'" alt="">
+            <div class="details">
+                <div class="title" title="${this.escapeHtml(title)}">${this.escapeHtml(title)}</div>
+                <div class="url-container">
+                    <div class="url" title="${this.escapeHtml(visit.item.url)}">${this.escapeHtml(this.truncateUrl(visit.item.url))}</div>
+                </div>
+            </div>
+            <span class="transition-badge transition-${transition.type}" title="${transition.label}">${transition.emoji} ${transition.label}</span>
+        `;
+        
+        element.addEventListener('click', () => {
+            chrome.tabs.create({ url: visit.item.url });
+        });
+        
+        return element;
+    }
+    
+    getTransitionInfo(transition) {
+        const transitions = {
+            link: { emoji: '🔗', label: 'Link' },
+            typed: { emoji: '⌨️', label: 'Typed' },
+            auto_bookmark: { emoji: '📑', label: 'Bookmark' },
+            auto_subframe: { emoji: '🧩', label: 'Subframe' },
+            manual_subframe: { emoji: '🧩', label: 'Subframe' },
+            generated: { emoji: '🔎', label: 'Suggestion' },
+            auto_toplevel: { emoji: '🚀', label: 'Start page' },
+            form_submit: { emoji: '📝', label: 'Form submit' },
+            reload: { emoji: '🔄', label: 'Reload' },
+            keyword: { emoji: '🔑', label: 'Keyword' },
+            keyword_generated: { emoji: '🔑', label: 'Keyword' }
+        };
+        
+        return { type: transition || 'link', ...(transitions[transition] || { emoji: '•', label: transition || 'Visit' }) };
+    }
+    
+    formatTimelineDay(dayString) {
+        const today = new Date();
+        const yesterday = new Date(today.getTime() - (24 * 60 * 60 * 1000));
+        
+        if (dayString === today.toDateString()) return 'Today';
+        if (dayString === yesterday.toDateString()) return 'Yesterday';
+        
+        return new Date(dayString).toLocaleDateString([], { weekday: 'long', month: 'short', day: 'numeric' });
+    }
+    
+    async refreshHistory() {
+        const refreshBtn = document.getElementById('refreshBtn');
+        refreshBtn.style.opacity = '0.5';
+        refreshBtn.style.pointerEvents = 'none';
+        
+        try {
+            await this.loadSettings();
+            await this.loadHistory();
+            this.renderWebsiteGroups();
+            
+            // Clear selection
+            this.selectedGroup = null;
+            this.currentGroupData = null;
+            
+            // Keep an active global search running against the fresh data
+            const globalQuery = document.getElementById('globalSearchInput').value;
+            if (globalQuery.trim()) {
+                this.viewBeforeSearch = 'recent';
+                this.renderGlobalSearchResults(globalQuery);
+            } else {
+                this.currentView = 'recent';
+                this.renderNoGroupSelected();
+            }
+        } catch (error) {
+            console.error('Error refreshing history:', error);
+        } finally {
+            refreshBtn.style.opacity = '1';
+            refreshBtn.style.pointerEvents = 'auto';
+        }
+    }
+    
+    renderNoGroupSelected() {
+        document.getElementById('selectedGroupTitle').textContent = 'Select a website group';
+        document.getElementById('visitCount').textContent = '';
+        document.getElementById('searchBoxRight').style.display = 'none';
+        document.getElementById('panelControls').style.display = 'none';
+        this.showSearchHint('searchHint', []);
+        this.setSelectionMode(false);
+        document.getElementById('recentVisits').innerHTML = `
+            <div class="empty-state">
+                <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+                    <path d="M21 16V8a2 2 0 0 0-1-1.73l-7-4a2 2 0 0 0-2 0l-7 4A2 2 0 0 0 3 8v8a2 2 0 0 0 1 1.73l7 4a2 2 0 0 0 2 0l7-4A2 2 0 0 0 21 16z"></path>
+                    <polyline points="3.27 6.96 12 12.01 20.73 6.96"></polyline>
+                    <line x1="12" y1="22.08" x2="12" y2="12"></line>
+                </svg>
+                <p>Click on a website group to view recent visits</p>
+            </div>
+        `;
+    }
+    
+    handleGlobalSearch(query) {
+        if (query.trim()) {
+            if (this.currentView !== 'search') {
+                this.viewBeforeSearch = this.currentView;
+            }
+            this.renderGlobalSearchResults(query);
+            return;
+        }
+        
+        // Search cleared: go back to whatever was shown before
+        this.showSearchHint('globalSearchHint', []);
+        this.currentView = this.viewBeforeSearch;
+        if (this.currentView === 'sessions') {
+            this.renderSessions();
+        } else if (this.currentGroupData) {
+            document.getElementById('searchBoxRight').style.display = 'block';
+            document.getElementById('panelControls').style.display = 'flex';
+            this.switchView(this.currentView);
+        } else {
+            this.renderNoGroupSelected();
+        }
+    }
+    
+    searchAllGroups(query) {
+        if (query.isEmpty) return [];
+        
+        const now = Date.now();
+        const results = [];
+        
+        this.websiteGroups.forEach((group, groupName) => {
+            group.items.forEach(item => {
+                if (!this.matchesSearchQuery(item, groupName, query)) return;
+                
+                // Operator-only queries (e.g. is:favorite) rank purely on usage
+                const textScore = query.terms.length > 0 ? this.getSearchTextScore(item, query.terms) : 1;
+                if (textScore === 0) return;
+                
+                const frequency = this.visitFrequency.get(item.url) || item.visitCount || 0;
+                results.push({
+                    item,
+                    groupName,
+                    score: this.search.getSearchScore(textScore, frequency, item.lastVisitTime, now)
+                });
+            });
+        });
+        
+        return results.sort((a, b) => b.score - a.score);
+    }
+    
+    getSearchTextScore(item, terms) {
+        return this.search.getTextScore({
+            url: item.url,
+            title: item.title,
+            name: this.favoriteNames.get(item.url),
+            tags: this.getFavoriteTags(item.url)
+        }, terms);
+    }
+    
+    renderGlobalSearchResults(query) {
+        const titleElement = document.getElementById('selectedGroupTitle');
+        const countElement = document.getElementById('visitCount');
+        const container = document.getElementById('recentVisits');
+        
+        this.currentView = 'search';
+        this.searchSelectionIndex = -1;
+        this.setSelectionMode(false);
+        document.getElementById('searchBoxRight').style.display = 'none';
+        document.getElementById('panelControls').style.display = 'none';
+        
+        const parsedQuery = this.parseSearchQuery(query);
+        this.showSearchHint('globalSearchHint', parsedQuery.errors);
+        
+        const results = this.searchAllGroups(parsedQuery);
+        titleElement.textContent = '🔍 All groups';
+        countElement.textContent = `${results.length} result${results.length !== 1 ? 's' : ''}`;
+        
+        if (results.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <p>No websites match your search</p>
+                    <small>Try adjusting your search terms</small>
+                </div>
+            `;
+            return;
+        }
+        
+        container.innerHTML = '';
+        results.slice(0, 50).forEach(({ item, groupName }) => {
+            container.appendChild(this.createVisitElement(item, groupName));
         });
-        
-        return modal;
     }
     
-    async saveTag(url, customName) {
-        if (customName) {
-            this.favoriteTags.set(url, customName);
-            if (!this.favorites.has(url)) {
-                this.favorites.add(url);
+    handleGlobalSearchKeydown(e) {
+        if (e.key === 'Escape') {
+            e.target.value = '';
+            this.handleGlobalSearch('');
+            return;
+        }
+        
+        if (this.currentView !== 'search') {
+            // Outside a search, ↓ continues into the group list
+            if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                this.focusActiveGroup();
             }
-        } else {
-            this.favoriteTags.delete(url);
+            return;
         }
         
-        await this.saveFavorites();
-        this.refreshCurrentView();
-        document.getElementById('tagModal').style.display = 'none';
+        const items = Array.from(document.querySelectorAll('#recentVisits .visit-item'));
+        if (items.length === 0) return;
+        
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.searchSelectionIndex = Math.max(0, Math.min(items.length - 1, this.searchSelectionIndex + step));
+            
+            items.forEach((item, index) => item.classList.toggle('selected', index === this.searchSelectionIndex));
+            items[this.searchSelectionIndex].scrollIntoView({ block: 'nearest' });
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            // Enter without a highlighted row opens the best match
+            const target = items[Math.max(0, this.searchSelectionIndex)];
+            this.openUrl(target.dataset.url, e.ctrlKey || e.metaKey);
+        }
     }
     
-    async deleteTag(url) {
-        this.favoriteTags.delete(url);
-        await this.saveFavorites();
-        this.refreshCurrentView();
-        document.getElementById('tagModal').style.display = 'none';
+    // Ctrl/⌘+Enter opens in a background tab so the popup stays open
+    openUrl(url, inBackground = false) {
+        chrome.tabs.create({ url, active: !inBackground });
     }
     
-    async addToFavorites(url, customName) {
-        this.favorites.add(url);
-        if (customName) {
-            this.favoriteTags.set(url, customName);
-        }
-        await this.saveFavorites();
-        this.refreshCurrentView();
-        document.getElementById('tagModal').style.display = 'none';
+    // =========================================================================
+    // ☑️ BULK SELECTION
+    // =========================================================================
+    
+    setSelectionMode(enabled) {
+        this.selectionMode = enabled;
+        this.selectedUrls.clear();
+        this.selectionAnchor = null;
+        document.getElementById('selectModeBtn').classList.toggle('active', enabled);
+        document.getElementById('bulkBar').style.display = enabled ? 'flex' : 'none';
     }
     
-    refreshCurrentView() {
-        if (this.currentView === 'favorites') {
-            this.renderFavorites();
-        } else if (this.currentGroupData) {
-            this.renderRecentVisits(this.currentGroupData);
+    getSelectableElements() {
+        return this.getVisitElements().filter(element => element.classList.contains('selectable'));
+    }
+    
+    setRowSelected(element, selected) {
+        if (selected) {
+            this.selectedUrls.add(element.dataset.url);
+        } else {
+            this.selectedUrls.delete(element.dataset.url);
         }
+        element.classList.toggle('checked', selected);
+        element.querySelector('.visit-select').checked = selected;
     }
     
-    showToast(message, type = 'info') {
-        // Create toast if it doesn't exist
-        let toast = document.getElementById('toast');
-        if (!toast) {
-            toast = document.createElement('div');
-            toast.id = 'toast';
-            toast.className = 'toast';
-            document.body.appendChild(toast);
+    // A plain click toggles one row; a shift-click ticks every row from the last clicked one
+    handleSelectionClick(element, extendRange) {
+        const rows = this.getSelectableElements();
+        const anchorIndex = rows.findIndex(row => row.dataset.url === this.selectionAnchor);
+        
+        if (extendRange && anchorIndex !== -1) {
+            const index = rows.indexOf(element);
+            const [start, end] = index < anchorIndex ? [index, anchorIndex] : [anchorIndex, index];
+            rows.slice(start, end + 1).forEach(row => this.setRowSelected(row, true));
+        } else {
+            this.setRowSelected(element, !this.selectedUrls.has(element.dataset.url));
+            this.selectionAnchor = element.dataset.url;
         }
         
-        // Set message and type
-        toast.textContent = message;
-        toast.className = `toast ${type} show`;
-        
-        // Auto-hide after 3 seconds
-        setTimeout(() => {
-            toast.classList.remove('show');
-        }, 3000);
+        this.updateBulkBar();
     }
     
-    setSortMode(mode) {
-        this.currentSortMode = mode;
+    // Rows shown right now, i.e. after the search filter, tag filter and folder collapsing
+    selectAllShown(selected) {
+        this.getSelectableElements().forEach(row => this.setRowSelected(row, selected));
+        this.updateBulkBar();
+    }
+    
+    updateBulkBar() {
+        if (!this.selectionMode) return;
+        
+        const rows = this.getSelectableElements();
+        const count = rows.filter(row => this.selectedUrls.has(row.dataset.url)).length;
+        
+        document.getElementById('bulkCount').textContent = `${count} selected`;
+        const selectAll = document.getElementById('bulkSelectAll');
+        selectAll.checked = rows.length > 0 && count === rows.length;
+        selectAll.indeterminate = count > 0 && count < rows.length;
+        document.querySelectorAll('#bulkBar [data-bulk]').forEach(button => {
+            button.disabled = count === 0;
+        });
+    }
+    
+    // Ticked rows that are still shown, in display order; rows hidden by a filter stay ticked but are left alone
+    getSelectedItems() {
+        const historyByUrl = new Map(this.allHistory.map(item => [item.url, item]));
+        return this.getSelectableElements()
+            .map(row => row.dataset.url)
+            .filter(url => this.selectedUrls.has(url))
+            .map(url => historyByUrl.get(url) || { url, title: (this.favoriteMeta.get(url) || {}).title || '' });
+    }
+    
+    async runBulkAction(action) {
+        const items = this.getSelectedItems();
+        if (items.length === 0) return;
+        
+        switch (action) {
+            case 'favorite':
+                await this.setFavoriteForItems(items, true);
+                break;
+            case 'unfavorite':
+                await this.setFavoriteForItems(items, false);
+                break;
+            case 'tag':
+                await this.tagItems(items);
+                break;
+            case 'copy':
+                await this.copyItemsAsMarkdown(items);
+                break;
+            case 'open':
+                this.openItems(items);
+                break;
+            case 'delete':
+                await this.removeItemsFromHistory(items, `${items.length} page${items.length !== 1 ? 's' : ''}`);
+                break;
+        }
+    }
+    
+    async setFavoriteForItems(items, favorite) {
+        const changed = items.filter(item => this.favorites.has(item.url) !== favorite);
+        if (changed.length === 0) {
+            this.showToast(favorite ? 'Already in favorites' : 'None of these are favorites', 'info');
+            return;
+        }
         
-        // Update button states
-        document.getElementById('frequencySort').classList.toggle('active', mode === 'frequency');
-        document.getElementById('timeSort').classList.toggle('active', mode === 'time');
+        changed.forEach(item => {
+            if (favorite) {
+                this.favorites.add(item.url);
+                this.captureFavoriteMeta(item.url, item);
+            } else {
+                this.favorites.delete(item.url);
+                this.favoriteMeta.delete(item.url);
+            }
+        });
         
-        // Refresh current view with new sorting
+        await this.saveFavorites();
         this.refreshCurrentView();
+        
+        const pages = `${changed.length} page${changed.length !== 1 ? 's' : ''}`;
+        this.showToast(favorite ? `★ Added ${pages} to favorites` : `☆ Removed ${pages} from favorites`, 'success');
     }
     
-    getTimeAgo(timestamp) {
-        const now = Date.now();
-        const diff = now - timestamp;
+    // Tagging makes a page a favorite, as it does in the tag modal
+    async tagItems(items) {
+        const input = prompt(`Tag to add to ${items.length} page${items.length !== 1 ? 's' : ''}:`);
+        const tag = this.storage.normalizeTag(input);
+        if (!tag) return;
+        
+        items.forEach(item => {
+            this.favoriteTags.set(item.url, new Set([...this.getFavoriteTags(item.url), tag]));
+            if (!this.favorites.has(item.url)) {
+                this.favorites.add(item.url);
+                this.captureFavoriteMeta(item.url, item);
+            }
+        });
         
-        const seconds = Math.floor(diff / 1000);
-        const minutes = Math.floor(seconds / 60);
-        const hours = Math.floor(minutes / 60);
-        const days = Math.floor(hours / 24);
+        await this.saveFavorites();
+        this.refreshCurrentView();
+        this.showToast(`🏷️ Tagged ${items.length} page${items.length !== 1 ? 's' : ''} "${tag}"`, 'success');
+    }
+    
+    // One "- [title](url)" line per page, custom names preferred
+    async copyItemsAsMarkdown(items) {
+        const markdown = items.map(item => {
+            const title = (this.favoriteNames.get(item.url) || item.title || item.url).replace(/([[\]\\])/g, '\\$1');
+            const url = item.url.replace(/[()]/g, char => encodeURIComponent(char));
+            return `- [${title}](${url})`;
+        }).join('\n');
         
-        if (days > 0) return `${days}d ago`;
-        if (hours > 0) return `${hours}h ago`;
-        if (minutes > 0) return `${minutes}m ago`;
-        return 'Just now';
+        try {
+            await navigator.clipboard.writeText(markdown);
+            this.showToast(`📋 Copied ${items.length} link${items.length !== 1 ? 's' : ''}`, 'success');
+        } catch (error) {
+            console.error('Error copying links:', error);
+            this.showToast('❌ Could not copy to the clipboard', 'error');
+        }
     }
     
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    // Background tabs keep the popup open with the selection intact
+    openItems(items) {
+        if (items.length > this.openAllLimits.confirmAbove &&
+            !confirm(`Open ${items.length} tabs?`)) {
+            return;
+        }
+        items.forEach(item => this.openUrl(item.url, true));
     }
     
-    truncateUrl(url) {
-        // Show full URL but in a more readable format
+    // =========================================================================
+    // 🗑️ REMOVE FROM HISTORY
+    // =========================================================================
+    
+    getHostname(url) {
         try {
-            const urlObj = new URL(url);
-            const path = urlObj.pathname + urlObj.search + urlObj.hash;
-            return urlObj.hostname + path;
+            return new URL(url).hostname;
         } catch {
-            return url;
+            return '';
         }
     }
     
-    filterVisitItems(searchTerm) {
-        if (!this.currentGroupData) return;
+    // Deletes every visit of the pages; favorites, names, tags and folders are kept.
+    // The toast can only re-add the URLs with a single visit from now, not the deleted visits.
+    async removeItemsFromHistory(items, description) {
+        if (items.length === 0) return;
         
-        const term = searchTerm.toLowerCase();
-        const filteredItems = this.currentGroupData.items.filter(item => {
-            const title = (item.title || '').toLowerCase();
-            const url = (item.url || '').toLowerCase();
-            return term === '' || title.includes(term) || url.includes(term);
-        });
-        
-        // Create a temporary group object with filtered items
-        const filteredGroup = {
-            ...this.currentGroupData,
-            items: filteredItems
-        };
+        try {
+            await Promise.all(items.map(item => chrome.history.deleteUrl({ url: item.url })));
+        } catch (error) {
+            console.error('Error removing from history:', error);
+            this.showToast('❌ Could not remove from history', 'error');
+            return;
+        }
         
-        this.renderRecentVisits(filteredGroup, true); // Pass flag to indicate filtered view
+        this.removeFromLoadedHistory(new Set(items.map(item => item.url)));
+        this.showToast(`🗑️ Removed ${description} from history`, 'success', {
+            label: 'Re-add pages',
+            duration: this.UNDO_WINDOW_MS,
+            onClick: () => this.undoRemoveFromHistory(items)
+        });
     }
     
-    switchView(viewType) {
-        this.currentView = viewType;
-        
-        // Update button states
-        document.getElementById('recentBtn').classList.toggle('active', viewType === 'recent');
-        document.getElementById('favoritesBtn').classList.toggle('active', viewType === 'favorites');
+    // Every URL of the host in the whole history, not just the loaded range; always asks first
+    async removeDomainFromHistory(hostname) {
+        const results = await new Promise(resolve => {
+            chrome.history.search({ text: hostname, startTime: 0, maxResults: this.DOMAIN_REMOVAL_LIMIT }, resolve);
+        });
         
-        if (viewType === 'favorites') {
-            this.renderFavorites();
-        } else {
-            // Show recent visits for current group
-            if (this.currentGroupData) {
-                this.renderRecentVisits(this.currentGroupData);
+        const items = new Map();
+        [...results, ...this.allHistory].forEach(item => {
+            if (this.getHostname(item.url) === hostname && !items.has(item.url)) {
+                items.set(item.url, item);
             }
-        }
-    }
-    
-    renderFavorites() {
-        const titleElement = document.getElementById('selectedGroupTitle');
-        const countElement = document.getElementById('visitCount');
-        const container = document.getElementById('recentVisits');
+        });
         
-        titleElement.textContent = '⭐ Favorites';
+        if (items.size === 0) return;
         
-        if (this.favorites.size === 0) {
-            countElement.textContent = '';
-            container.innerHTML = `
-                <div class="empty-state">
-                    <div class="icon">⭐</div>
-                    <p>No favorites yet</p>
-                    <small>Click the star icon next to any website to add it to favorites</small>
-                </div>
-            `;
+        const pages = `${items.size} page${items.size !== 1 ? 's' : ''}`;
+        if (!confirm(`Remove all ${pages} of ${hostname} from your browser history, whatever the history range? Every visit to them is deleted and cannot be brought back; favorites are kept.`)) {
             return;
         }
         
-        // Get favorite items from current group
-        const favoriteItems = this.currentGroupData ? 
-            this.currentGroupData.items.filter(item => this.favorites.has(item.url)) : [];
-        
-        countElement.textContent = `${favoriteItems.length} favorite${favoriteItems.length !== 1 ? 's' : ''}`;
+        await this.removeItemsFromHistory(Array.from(items.values()), `${pages} of ${hostname}`);
+    }
+    
+    // The pages of the group within the loaded range; always asks first
+    async removeGroupFromHistory(key) {
+        const group = this.websiteGroups.get(key);
+        if (!group) return;
+        
+        const pages = `${group.items.length} page${group.items.length !== 1 ? 's' : ''}`;
+        const label = `${this.getFaviconForCategory(key)} ${group.name}`;
+        if (!confirm(`Remove the ${pages} of "${label}" in the selected history range from your browser history? Every visit to them is deleted; favorites are kept.`)) {
+            return;
+        }
         
-        if (favoriteItems.length === 0) {
-            container.innerHTML = `
-                <div class="empty-state">
-                    <div class="icon">⭐</div>
-                    <p>No favorites in this group</p>
-                    <small>Click the star icon next to any website to add it to favorites</small>
-                </div>
-            `;
+        await this.removeItemsFromHistory([...group.items], `${pages} of ${label}`);
+    }
+    
+    async undoRemoveFromHistory(items) {
+        try {
+            await Promise.all(items.map(item => chrome.history.addUrl({ url: item.url })));
+        } catch (error) {
+            console.error('Error re-adding history:', error);
+            this.showToast('❌ The pages could not be re-added to history', 'error');
             return;
         }
         
-        // Clear container and add elements with proper event listeners
-        container.innerHTML = '';
-        favoriteItems.forEach(item => {
-            const element = this.createVisitElement(item);
-            container.appendChild(element);
-        });
+        this.restoreToLoadedHistory(items);
+        this.showToast('↩️ Pages re-added to history with one visit each', 'success');
     }
     
-    async refreshHistory() {
-        const refreshBtn = document.getElementById('refreshBtn');
-        refreshBtn.style.opacity = '0.5';
-        refreshBtn.style.pointerEvents = 'none';
+    // Drops deleted URLs from the loaded history without reloading it, keeping the open group and view
+    removeFromLoadedHistory(urls) {
+        urls.forEach(url => this.selectedUrls.delete(url));
+        this.setLoadedHistory(this.allHistory.filter(item => !urls.has(item.url)));
+    }
+    
+    // Puts removed pages back with their original visit data; pages outside the loaded range stay out
+    restoreToLoadedHistory(items) {
+        const { startTime, endTime } = this.getHistoryWindow();
+        const loaded = new Set(this.allHistory.map(item => item.url));
+        const isExcluded = this.getPrivacyFilter();
+        const restored = items.filter(item =>
+            !loaded.has(item.url) && !isExcluded(item.url) &&
+            item.lastVisitTime >= startTime && item.lastVisitTime <= endTime
+        );
+        this.setLoadedHistory([...this.allHistory, ...restored]);
+    }
+    
+    setLoadedHistory(history) {
+        this.allHistory = history;
+        this.calculateVisitFrequency(this.allHistory);
+        this.organizeHistory();
+        this.renderWebsiteGroups();
         
-        try {
-            await this.loadSettings();
-            await this.loadHistory();
-            this.renderWebsiteGroups();
-            
-            // Clear selection
+        const isGroup = this.selectedGroup !== this.FAVORITES_GROUP_KEY && this.selectedGroup !== this.SESSIONS_GROUP_KEY;
+        if (isGroup && this.selectedGroup !== null && !this.websiteGroups.has(this.selectedGroup)) {
+            // The whole group was deleted
             this.selectedGroup = null;
             this.currentGroupData = null;
-            document.getElementById('selectedGroupTitle').textContent = 'Select a website group';
-            document.getElementById('visitCount').textContent = '';
-            document.getElementById('searchBoxRight').style.display = 'none';
-            document.getElementById('panelControls').style.display = 'none';
-            document.getElementById('recentVisits').innerHTML = `
-                <div class="empty-state">
-                    <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
-                        <path d="M21 16V8a2 2 0 0 0-1-1.73l-7-4a2 2 0 0 0-2 0l-7 4A2 2 0 0 0 3 8v8a2 2 0 0 0 1 1.73l7 4a2 2 0 0 0 2 0l7-4A2 2 0 0 0 21 16z"></path>
-                        <polyline points="3.27 6.96 12 12.01 20.73 6.96"></polyline>
-                        <line x1="12" y1="22.08" x2="12" y2="12"></line>
-                    </svg>
-                    <p>Click on a website group to view recent visits</p>
-                </div>
-            `;
-        } catch (error) {
-            console.error('Error refreshing history:', error);
-        } finally {
-            refreshBtn.style.opacity = '1';
-            refreshBtn.style.pointerEvents = 'auto';
+            this.renderNoGroupSelected();
+            return;
+        }
+        
+        const activeElement = this.getGroupElements().find(element => element.dataset.group === this.selectedGroup);
+        if (activeElement) activeElement.classList.add('active');
+        if (isGroup && this.selectedGroup !== null) {
+            this.currentGroupData = this.websiteGroups.get(this.selectedGroup);
+        }
+        this.refreshCurrentView();
+    }
+    
+    // =========================================================================
+    // ⌨️ KEYBOARD NAVIGATION
+    // =========================================================================
+    
+    // Requests left by the background worker's keyboard commands for the next popup that opens
+    async applyLaunchAction() {
+        if (!chrome.storage || !chrome.storage.session) return;
+        
+        const key = this.STORAGE_KEYS.popupLaunchAction;
+        const result = await chrome.storage.session.get([key]);
+        if (!result[key]) return;
+        
+        await chrome.storage.session.remove(key);
+        if (result[key] === 'focusSearch') {
+            this.focusGlobalSearch();
+        }
+    }
+    
+    focusGlobalSearch() {
+        const input = document.getElementById('globalSearchInput');
+        input.focus();
+        input.select();
+    }
+    
+    getGroupElements() {
+        return Array.from(document.querySelectorAll('#websiteGroups .website-group'));
+    }
+    
+    // Visible rows only: filtered-out items and collapsed folders are skipped. Cluster headers are
+    // navigated like rows so collapsed clusters can be reached and opened from the keyboard.
+    getVisitElements() {
+        return Array.from(document.querySelectorAll('#recentVisits .visit-item, #recentVisits .cluster-header'))
+            .filter(element => element.offsetParent !== null);
+    }
+    
+    focusActiveGroup() {
+        const groups = this.getGroupElements();
+        const target = groups.find(element => element.classList.contains('active')) || groups[0];
+        if (target) target.focus();
+    }
+    
+    moveFocus(elements, current, step) {
+        const index = Math.max(0, Math.min(elements.length - 1, elements.indexOf(current) + step));
+        if (elements[index]) elements[index].focus();
+    }
+    
+    // ↑/↓ move within a column, → enters a group's visits or expands a cluster, ← collapses it or goes back, Enter opens,
+    // Ctrl/⌘+Enter opens in the background, f toggles favorite, t edits name and tags, / searches,
+    // Space (Shift+Space for a range) ticks a row in selection mode, Delete removes from history
+    handleNavigationKeydown(e) {
+        if (e.defaultPrevented || e.altKey) return;
+        if (e.target.matches('input, textarea, select')) return;
+        
+        const modal = document.getElementById('tagModal');
+        if (modal && modal.style.display === 'block') return;
+        
+        const visit = e.target.closest('#recentVisits .visit-item');
+        const cluster = e.target.closest('#recentVisits .cluster-header');
+        const group = e.target.closest('#websiteGroups .website-group');
+        const modified = e.ctrlKey || e.metaKey;
+        
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp': {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                if (visit || cluster) {
+                    this.moveFocus(this.getVisitElements(), visit || cluster, step);
+                } else if (group) {
+                    this.moveFocus(this.getGroupElements(), group, step);
+                } else {
+                    this.focusActiveGroup();
+                }
+                break;
+            }
+            case 'ArrowRight':
+                if (group) {
+                    e.preventDefault();
+                    if (!group.classList.contains('active')) group.click();
+                    const visits = this.getVisitElements();
+                    if (visits.length > 0) visits[0].focus();
+                } else if (cluster && !cluster.parentElement.classList.contains('expanded')) {
+                    e.preventDefault();
+                    cluster.click();
+                }
+                break;
+            case 'ArrowLeft':
+                if (cluster && cluster.parentElement.classList.contains('expanded')) {
+                    e.preventDefault();
+                    cluster.click();
+                } else if (visit || cluster) {
+                    e.preventDefault();
+                    this.focusActiveGroup();
+                }
+                break;
+            case 'Enter':
+                if (group || cluster) {
+                    e.preventDefault();
+                    (group || cluster).click();
+                } else if (visit) {
+                    e.preventDefault();
+                    this.openUrl(visit.dataset.url, modified);
+                }
+                break;
+            case 'f':
+                if (visit && !modified) {
+                    e.preventDefault();
+                    this.toggleFavoriteFromKeyboard(visit);
+                }
+                break;
+            case 't':
+                if (visit && !modified) {
+                    e.preventDefault();
+                    const item = this.allHistory.find(candidate => candidate.url === visit.dataset.url);
+                    this.showFavoriteTagModal(visit.dataset.url, item ? item.title : '');
+                }
+                break;
+            case '/':
+                e.preventDefault();
+                this.focusGlobalSearch();
+                break;
+            case 'Delete':
+                if (visit) {
+                    e.preventDefault();
+                    const item = this.allHistory.find(candidate => candidate.url === visit.dataset.url) || { url: visit.dataset.url };
+                    this.removeItemsFromHistory([item], 'page');
+                } else if (group && this.websiteGroups.has(group.dataset.group)) {
+                    e.preventDefault();
+                    this.removeGroupFromHistory(group.dataset.group);
+                }
+                break;
+            case ' ':
+                if (visit && visit.classList.contains('selectable')) {
+                    e.preventDefault();
+                    this.handleSelectionClick(visit, e.shiftKey);
+                }
+                break;
+        }
+    }
+    
+    async toggleFavoriteFromKeyboard(visit) {
+        const url = visit.dataset.url;
+        const index = this.getVisitElements().indexOf(visit);
+        
+        await this.toggleFavorite(url);
+        
+        const button = visit.querySelector('.favorite-btn');
+        if (button) this.updateFavoriteButton(button, url);
+        
+        // The favorites view re-renders without the row; keep the focus at the same position
+        if (!visit.isConnected) {
+            const visits = this.getVisitElements();
+            if (visits.length > 0) visits[Math.min(index, visits.length - 1)].focus();
         }
     }
     
@@ -1031,17 +3184,9 @@ class HistoryOrganizer {
         });
         
         // Update top visited URLs set (top 20% or minimum 10 sites)
-        let sortedByFrequency = Array.from(this.visitFrequency.entries())
+        const sortedByFrequency = Array.from(this.visitFrequency.entries())
             .sort((a, b) => b[1] - a[1]);
         
-        // Limit data growth - if we have too many entries, keep only top ones (more aggressive)
-        if (sortedByFrequency.length > 75) {
-            const limitedEntries = sortedByFrequency.slice(0, 50);
-            this.visitFrequency = new Map(limitedEntries);
-            sortedByFrequency = limitedEntries;
-            console.log('Limited visit frequency data to top 50 entries');
-        }
-        
         const topCount = Math.max(10, Math.floor(sortedByFrequency.length * 0.2));
         this.topVisitedUrls.clear();
         
@@ -1103,46 +3248,8 @@ class HistoryOrganizer {
             // Reload dock settings to get the latest values
             await this.loadDockSettings();
             
-            // Get display info for positioning
-            const displays = await new Promise((resolve) => {
-                if (chrome.system && chrome.system.display) {
-                    chrome.system.display.getInfo(resolve);
-                } else {
-                    resolve([{ bounds: { width: 1920, height: 1080 } }]);
-                }
-            });
-            
-            const primaryDisplay = displays[0];
-            const screenWidth = primaryDisplay.bounds.width;
-            const screenHeight = primaryDisplay.bounds.height;
-            
-            // Calculate position based on dock side
-            const dockWidth = this.dockSettings.width || 400;
-            const dockHeight = Math.min(800, screenHeight - 100);
-            
             console.log('Creating docked window with settings:', this.dockSettings);
-            console.log('Dock width:', dockWidth, 'Dock height:', dockHeight);
-            
-            let left, top;
-            if (this.dockSettings.side === 'right') {
-                left = screenWidth - dockWidth - 20;
-            } else {
-                left = 20;
-            }
-            top = Math.max(50, (screenHeight - dockHeight) / 2);
-            
-            // Create the docked window
-            const dockedWindow = await new Promise((resolve) => {
-                chrome.windows.create({
-                    url: chrome.runtime.getURL('popup.html?docked=true'),
-                    type: 'popup',
-                    width: dockWidth,
-                    height: dockHeight,
-                    left: Math.round(left),
-                    top: Math.round(top),
-                    focused: true
-                }, resolve);
-            });
+            const dockedWindow = await this.dock.openDockedWindow(this.dockSettings);
             
             this.dockedWindow = dockedWindow;
             this.isDocked = true;
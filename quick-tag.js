@@ -0,0 +1,67 @@
+// Small window opened from the "Add to favorites with tag → New tag…" context menu
+class QuickTagDialog {
+    constructor() {
+        this.storage = window.BrowserHistoryOrganizerStorage;
+        
+        const params = new URLSearchParams(window.location.search);
+        this.url = params.get('url') || '';
+        this.title = params.get('title') || '';
+        
+        this.init();
+    }
+    
+    async init() {
+        document.getElementById('quickTagTitle').textContent = this.title || this.url;
+        document.getElementById('quickTagUrl').textContent = this.url;
+        
+        document.getElementById('quickTagSaveBtn').addEventListener('click', () => this.save());
+        document.getElementById('quickTagCancelBtn').addEventListener('click', () => window.close());
+        document.getElementById('quickTagInput').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.save();
+            } else if (e.key === 'Escape') {
+                window.close();
+            }
+        });
+        
+        document.getElementById('quickTagInput').focus();
+        await this.loadSuggestions();
+    }
+    
+    async loadSuggestions() {
+        try {
+            const { favoriteTags } = await this.storage.loadFavorites();
+            const tags = new Set(Object.values(favoriteTags).flat());
+            document.getElementById('quickTagSuggestions').innerHTML = '';
+            Array.from(tags).sort().forEach(tag => {
+                const option = document.createElement('option');
+                option.value = tag;
+                document.getElementById('quickTagSuggestions').appendChild(option);
+            });
+        } catch (error) {
+            console.error('Error loading tag suggestions:', error);
+        }
+    }
+    
+    async save() {
+        if (!this.url) {
+            window.close();
+            return;
+        }
+        
+        const tags = document.getElementById('quickTagInput').value
+            .split(',')
+            .map(tag => this.storage.normalizeTag(tag))
+            .filter(tag => tag.length > 0);
+        
+        try {
+            await this.storage.addFavorite(this.url, { title: this.title, tags });
+            window.close();
+        } catch (error) {
+            console.error('Error saving favorite:', error);
+            document.getElementById('quickTagSaveBtn').textContent = 'Could not save - try again';
+        }
+    }
+}
+
+new QuickTagDialog();
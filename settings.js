@@ -15,6 +15,24 @@ class SettingsManager {
         }
         this.defaultGroups = config.groups || [];
         this.STORAGE_KEYS = config.storageKeys || {};
+        this.rules = window.BrowserHistoryOrganizerRules;
+        this.storage = window.BrowserHistoryOrganizerStorage;
+        this.bookmarkSync = window.BrowserHistoryOrganizerBookmarkSync;
+        this.historySettings = { ...config.historySettings };
+        this.historyMaxResultsLimits = config.historyMaxResultsLimits;
+        this.openAllLimits = config.openAllLimits;
+        this.historyRangeOptions = config.historyRangeOptions || [];
+        this.hiddenSites = [];
+        this.privacySettings = { ...config.privacySettings };
+        this.timeTrackingSettings = { ...config.timeTrackingSettings };
+        this.digest = window.BrowserHistoryOrganizerDigest;
+        this.stats = window.BrowserHistoryOrganizerStats;
+        this.DIGEST_WEEKS = 8; // Weeks offered in the digest picker, this week included
+        this.exporter = window.BrowserHistoryOrganizerExport;
+        this.EXPORT_DEFAULT_DAYS = 30; // Range the export wizard starts with
+        this.exportWizard = { step: 1, categorizer: null, data: null, requestId: 0 };
+        this.backup = window.BrowserHistoryOrganizerBackup;
+        this.pendingRestore = null; // Migrated backup waiting in the restore dialog
         
         this.init();
     }
@@ -26,9 +44,17 @@ class SettingsManager {
         }
         
         console.log('Initializing settings...');
+        this.populateHistoryRangeDropdown();
+        this.populateDigestWeeks();
         await this.loadSettings();
         this.populateIconDropdown();
         this.bindEvents();
+        await this.loadStorageSettings();
+        await this.loadTags();
+        await this.loadHiddenSites();
+        await this.loadPrivacySettings();
+        await this.loadTimeTracking();
+        await this.loadShortcuts();
         
         // Ensure we have groups to display
         if (!this.groups || this.groups.length === 0) {
@@ -66,6 +92,18 @@ class SettingsManager {
         }
     }
     
+    populateHistoryRangeDropdown() {
+        const dropdown = document.getElementById('defaultHistoryRange');
+        if (!dropdown) return;
+        
+        this.historyRangeOptions.forEach(option => {
+            const optionElement = document.createElement('option');
+            optionElement.value = option.id;
+            optionElement.textContent = option.label;
+            dropdown.appendChild(optionElement);
+        });
+    }
+    
     bindEvents() {
         // Main action buttons
         document.getElementById('addGroupBtn').addEventListener('click', () => this.showAddGroupModal());
@@ -87,11 +125,116 @@ class SettingsManager {
         });
         dockWidthSlider.addEventListener('change', this.handleDockSettingChange.bind(this));
         
+        // Storage settings
+        document.getElementById('syncFavorites').addEventListener('change', (e) => this.handleSyncFavoritesChange(e.target.checked));
+        document.getElementById('syncBookmarks').addEventListener('change', this.handleBookmarkSyncChange.bind(this));
+        document.getElementById('bookmarkConflicts').addEventListener('change', this.handleBookmarkSyncChange.bind(this));
+        
+        // The background worker records each bookmark sync run; keep the status line current
+        chrome.storage.onChanged.addListener((changes, namespace) => {
+            if (namespace === 'local' && changes[this.STORAGE_KEYS.bookmarkSyncState]) {
+                this.renderBookmarkSyncStatus();
+            }
+            if (namespace === 'sync' && changes[this.STORAGE_KEYS.hiddenSites]) {
+                this.loadHiddenSites();
+            }
+            if (namespace === 'sync' && changes[this.STORAGE_KEYS.privacySettings]) {
+                this.loadPrivacySettings();
+            }
+            if ((namespace === 'sync' && changes[this.STORAGE_KEYS.timeTrackingSettings]) ||
+                (namespace === 'local' && changes[this.STORAGE_KEYS.timeOnSite])) {
+                this.loadTimeTracking();
+            }
+        });
+        
+        // Keyboard shortcuts are edited on Chrome's own page
+        document.getElementById('editShortcutsBtn').addEventListener('click', () => {
+            chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+        });
+        
+        // Privacy
+        document.getElementById('hiddenSitesList').addEventListener('click', (e) => {
+            const button = e.target.closest('.unhide-site-btn');
+            if (button) this.unhideSite(button.dataset.site);
+        });
+        
+        document.getElementById('addHiddenSiteBtn').addEventListener('click', () => this.addHiddenSite());
+        document.getElementById('hiddenSiteInput').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.addHiddenSite();
+        });
+        
+        document.getElementById('blurTitles').addEventListener('change', (e) => {
+            this.savePrivacySettings({ ...this.privacySettings, blurTitles: e.target.checked });
+        });
+        
+        // Time on site
+        document.getElementById('timeTrackingEnabled').addEventListener('change', (e) => {
+            this.saveTimeTrackingSettings({ ...this.timeTrackingSettings, enabled: e.target.checked });
+        });
+        
+        document.getElementById('timeTrackingIdle').addEventListener('change', (e) => {
+            this.saveTimeTrackingSettings({ ...this.timeTrackingSettings, idleSeconds: parseInt(e.target.value, 10) });
+        });
+        
+        document.getElementById('clearTimeOnSiteBtn').addEventListener('click', () => this.clearTimeOnSite());
+        
+        document.getElementById('excludedGroupsList').addEventListener('change', (e) => {
+            if (e.target.classList.contains('exclude-group-checkbox')) {
+                this.toggleExcludedGroup(e.target.value, e.target.checked);
+            }
+        });
+        
+        // Tag management
+        document.getElementById('mergeTagsBtn').addEventListener('click', () => this.mergeSelectedTags());
+        document.getElementById('deleteTagsBtn').addEventListener('click', () => this.deleteSelectedTags());
+        
+        // History settings
+        document.getElementById('defaultHistoryRange').addEventListener('change', this.handleHistorySettingChange.bind(this));
+        document.getElementById('historyMaxResults').addEventListener('change', this.handleHistorySettingChange.bind(this));
+        document.getElementById('openAllLimit').addEventListener('change', this.handleHistorySettingChange.bind(this));
+        
         // Import/Export
+        document.getElementById('digestControls').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-digest-format]');
+            if (button) this.exportDigest(button.dataset.digestFormat, button);
+        });
+        
         document.getElementById('exportBtn').addEventListener('click', () => this.exportSettings());
         document.getElementById('importBtn').addEventListener('click', () => this.importSettings());
         document.getElementById('importFile').addEventListener('change', (e) => this.handleImportFile(e));
         
+        // Restore dialog
+        document.getElementById('closeRestoreModal').addEventListener('click', () => this.hideRestoreDialog());
+        document.getElementById('cancelRestoreBtn').addEventListener('click', () => this.hideRestoreDialog());
+        document.getElementById('restoreBtn').addEventListener('click', () => this.runRestore());
+        document.getElementById('restoreModal').addEventListener('click', (e) => {
+            if (e.target.id === 'restoreModal') {
+                this.hideRestoreDialog();
+            }
+        });
+        document.getElementById('restoreSections').addEventListener('change', (e) => {
+            if (e.target.classList.contains('restore-include')) this.updateRestoreButton();
+        });
+        
+        // Export wizard
+        document.getElementById('exportDataBtn').addEventListener('click', () => this.openExportWizard());
+        document.getElementById('closeExportModal').addEventListener('click', () => this.hideExportWizard());
+        document.getElementById('exportBackBtn').addEventListener('click', () => this.showExportStep(this.exportWizard.step - 1));
+        document.getElementById('exportNextBtn').addEventListener('click', () => this.showExportStep(this.exportWizard.step + 1));
+        document.getElementById('exportRunBtn').addEventListener('click', () => this.runExport());
+        document.getElementById('exportModal').addEventListener('click', (e) => {
+            if (e.target.id === 'exportModal') {
+                this.hideExportWizard();
+            }
+        });
+        document.querySelector('.export-group-actions').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-export-groups]');
+            if (!button) return;
+            document.querySelectorAll('.export-group-checkbox').forEach(checkbox => {
+                checkbox.checked = button.dataset.exportGroups === 'all';
+            });
+        });
+        
         // Modal events
         document.getElementById('closeModal').addEventListener('click', () => this.hideModal());
         document.getElementById('saveGroupBtn').addEventListener('click', () => this.saveGroup());
@@ -108,6 +251,8 @@ class SettingsManager {
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
                 this.hideModal();
+                this.hideExportWizard();
+                this.hideRestoreDialog();
             }
         });
         
@@ -143,6 +288,11 @@ class SettingsManager {
         document.getElementById('groupIcon').addEventListener('input', (e) => {
             this.updateIconPreview(e.target.value);
         });
+        
+        // Live rule preview while typing patterns
+        document.getElementById('groupPatterns').addEventListener('input', (e) => {
+            this.renderPatternPreview(e.target.value);
+        });
     }
     
     async loadSettings() {
@@ -156,7 +306,11 @@ class SettingsManager {
                 return;
             }
             
-            const result = await chrome.storage.sync.get([this.STORAGE_KEYS.websiteGroups, this.STORAGE_KEYS.dockSettings]);
+            const result = await chrome.storage.sync.get([
+                this.STORAGE_KEYS.websiteGroups,
+                this.STORAGE_KEYS.dockSettings,
+                this.STORAGE_KEYS.historySettings
+            ]);
             console.log('Storage result:', result);
             
             if (result[this.STORAGE_KEYS.websiteGroups] && result[this.STORAGE_KEYS.websiteGroups].length > 0) {
@@ -173,6 +327,9 @@ class SettingsManager {
             if (result[this.STORAGE_KEYS.dockSettings]) {
                 this.loadDockSettings(result[this.STORAGE_KEYS.dockSettings]);
             }
+            
+            // Load history settings
+            this.loadHistorySettings(result[this.STORAGE_KEYS.historySettings] || {});
         } catch (error) {
             console.error('Error loading settings:', error);
             this.groups = [...this.defaultGroups];
@@ -189,6 +346,7 @@ class SettingsManager {
             
             await chrome.storage.sync.set({ [this.STORAGE_KEYS.websiteGroups]: this.groups });
             this.showToast('Settings saved successfully!', 'success');
+            this.renderStorageUsage();
             
             // Notify popup to refresh if it's open
             if (chrome.runtime && chrome.runtime.sendMessage) {
@@ -216,6 +374,9 @@ class SettingsManager {
         
         console.log('Container found, groups:', this.groups);
         
+        // Group names and icons shown in the privacy section follow the edits here
+        this.renderExcludedGroups();
+        
         if (this.groups.length === 0) {
             console.log('No groups, showing empty state');
             container.innerHTML = `
@@ -340,6 +501,7 @@ class SettingsManager {
         document.getElementById('groupIcon').value = '';
         document.getElementById('groupIcon').style.display = 'none';
         document.getElementById('groupPatterns').value = '';
+        this.renderPatternPreview('');
         this.updateIconPreview('🎯'); // Default icon
         this.showModal();
     }
@@ -366,7 +528,8 @@ class SettingsManager {
         }
         
         this.updateIconPreview(group.icon);
-        document.getElementById('groupPatterns').value = group.patterns.join('\\n');
+        document.getElementById('groupPatterns').value = group.patterns.join('\n');
+        this.renderPatternPreview(document.getElementById('groupPatterns').value);
         this.showModal();
     }
     
@@ -389,15 +552,28 @@ class SettingsManager {
             return;
         }
         
-        const patterns = patternsText.split('\\n')
-            .map(p => p.trim())
-            .filter(p => p.length > 0);
+        const patterns = this.splitPatterns(patternsText);
         
         if (patterns.length === 0) {
             this.showToast('Please enter at least one website pattern', 'error');
             return;
         }
         
+        // Every rule must parse, and a group made only of exclusions could never match
+        const rules = patterns.map(pattern => this.rules.parseRule(pattern));
+        this.renderPatternPreview(patternsText);
+        
+        const invalidRule = rules.find(rule => !rule.valid);
+        if (invalidRule) {
+            this.showToast(`Invalid rule "${invalidRule.pattern}": ${invalidRule.error}`, 'error');
+            return;
+        }
+        
+        if (rules.every(rule => rule.exclude)) {
+            this.showToast('Add at least one rule that is not an exclusion', 'error');
+            return;
+        }
+        
         if (this.currentEditingGroup) {
             // Edit existing group
             this.currentEditingGroup.name = name;
@@ -421,6 +597,28 @@ class SettingsManager {
         this.showToast('Group saved successfully!', 'success');
     }
     
+    splitPatterns(patternsText) {
+        // One pattern per line; a \n inside a pattern is regex syntax, not a delimiter
+        return patternsText.split(/\r?\n/)
+            .map(p => p.trim())
+            .filter(p => p.length > 0);
+    }
+    
+    renderPatternPreview(patternsText) {
+        const preview = document.getElementById('patternPreview');
+        const patterns = this.splitPatterns(patternsText);
+        
+        preview.innerHTML = patterns.map(pattern => {
+            const rule = this.rules.parseRule(pattern);
+            return `
+                <div class="pattern-rule ${rule.valid ? '' : 'invalid'}">
+                    <code>${this.escapeHtml(pattern)}</code>
+                    <span class="rule-kind">${this.escapeHtml(this.rules.describeRule(rule))}</span>
+                </div>
+            `;
+        }).join('');
+    }
+    
     toggleGroup(groupId) {
         const group = this.groups.find(g => g.id === groupId);
         if (group) {
@@ -449,22 +647,219 @@ class SettingsManager {
         }
     }
     
-    exportSettings() {
-        const settings = {
-            version: '1.0',
-            timestamp: new Date().toISOString(),
-            groups: this.groups
+    async exportSettings() {
+        try {
+            // Everything as last saved, so unsaved group edits are not included
+            const backup = await this.backup.createBackup();
+            
+            this.downloadFile(
+                `history-organizer-backup-${new Date().toISOString().split('T')[0]}.json`,
+                JSON.stringify(backup, null, 2),
+                'application/json'
+            );
+            
+            this.showToast('Backup downloaded successfully!', 'success');
+        } catch (error) {
+            console.error('Error creating backup:', error);
+            this.showToast('Error creating backup. Please try again.', 'error');
+        }
+    }
+    
+    downloadFile(filename, content, type) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([content], { type }));
+        link.download = filename;
+        link.click();
+    }
+    
+    // This week first, then the weeks before it
+    populateDigestWeeks() {
+        const select = document.getElementById('digestWeek');
+        let weekStart = this.stats.getWeekStart(Date.now());
+        
+        for (let index = 0; index < this.DIGEST_WEEKS; index++) {
+            const option = document.createElement('option');
+            option.value = String(weekStart);
+            const range = this.digest.formatDigestWeek({ weekStart, weekEnd: this.digest.getNextWeekStart(weekStart) - 1 });
+            option.textContent = index === 0 ? `This week (${range})` : index === 1 ? `Last week (${range})` : range;
+            select.appendChild(option);
+            
+            const previous = new Date(weekStart);
+            previous.setDate(previous.getDate() - 7);
+            weekStart = previous.getTime();
+        }
+        
+        // A finished week makes the more useful default
+        select.selectedIndex = 1;
+    }
+    
+    async exportDigest(format, button) {
+        const formats = {
+            markdown: { extension: 'md', type: 'text/markdown', render: this.digest.toMarkdown },
+            html: { extension: 'html', type: 'text/html', render: this.digest.toHtml },
+            csv: { extension: 'csv', type: 'text/csv', render: this.digest.toCsv }
         };
+        const { extension, type, render } = formats[format];
+        const weekStart = parseInt(document.getElementById('digestWeek').value, 10);
+        const status = document.getElementById('digestStatus');
         
-        const dataStr = JSON.stringify(settings, null, 2);
-        const dataBlob = new Blob([dataStr], { type: 'application/json' });
+        button.disabled = true;
+        status.textContent = 'Building digest...';
+        try {
+            const digest = await this.digest.buildDigest(weekStart, { maxUrls: this.historySettings.maxResults });
+            this.downloadFile(`history-digest-${this.stats.getDayKey(weekStart)}.${extension}`, render(digest), type);
+            
+            const topGroup = digest.groups[0];
+            status.textContent = digest.totalVisits === 0 ?
+                'No visits that week.' :
+                `${digest.totalVisits} visits in ${digest.groups.length} groups; most time in ${topGroup.icon} ${topGroup.name}.`;
+            this.showToast('Digest exported', 'success');
+        } catch (error) {
+            console.error('Error building digest:', error);
+            status.textContent = '';
+            this.showToast('Error building digest. Please try again.', 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+    
+    async openExportWizard() {
+        try {
+            // Same groups and privacy exclusions as the popup, as last saved
+            this.exportWizard.categorizer = await this.stats.loadCategorizer();
+        } catch (error) {
+            console.error('Error loading groups for export:', error);
+            this.showToast('Error loading groups. Please try again.', 'error');
+            return;
+        }
         
-        const link = document.createElement('a');
-        link.href = URL.createObjectURL(dataBlob);
-        link.download = `history-organizer-settings-${new Date().toISOString().split('T')[0]}.json`;
-        link.click();
+        const today = new Date();
+        const start = new Date();
+        start.setDate(start.getDate() - this.EXPORT_DEFAULT_DAYS);
+        document.getElementById('exportStart').value = this.toDateInputValue(start);
+        document.getElementById('exportEnd').value = this.toDateInputValue(today);
         
-        this.showToast('Settings exported successfully!', 'success');
+        const { order, icons } = this.exportWizard.categorizer;
+        document.getElementById('exportGroupsList').innerHTML = order.map(name => `
+            <div class="tag-row">
+                <label class="tag-row-label">
+                    <input type="checkbox" class="export-group-checkbox" value="${this.escapeHtml(name)}" checked>
+                    <span>${icons[name] || '🔗'}</span>
+                    <span class="tag-name">${this.escapeHtml(name)}</span>
+                </label>
+            </div>
+        `).join('');
+        
+        this.showExportStep(1);
+        document.getElementById('exportModal').classList.add('show');
+    }
+    
+    hideExportWizard() {
+        document.getElementById('exportModal').classList.remove('show');
+        this.exportWizard.data = null;
+        this.exportWizard.requestId++;
+    }
+    
+    // { type: 'history' | 'favorites', startTime, endTime, groups: Set(name) }
+    getExportOptions() {
+        const startValue = document.getElementById('exportStart').value;
+        const endValue = document.getElementById('exportEnd').value;
+        
+        return {
+            type: document.querySelector('input[name="exportType"]:checked').value,
+            // Date inputs are local calendar days; the end day is inclusive
+            startTime: startValue ? new Date(`${startValue}T00:00:00`).getTime() : NaN,
+            endTime: endValue ? new Date(`${endValue}T23:59:59.999`).getTime() : NaN,
+            groups: new Set(Array.from(document.querySelectorAll('.export-group-checkbox:checked'), checkbox => checkbox.value))
+        };
+    }
+    
+    async showExportStep(step) {
+        const options = this.getExportOptions();
+        
+        // Filters are checked before the format step counts what will be exported
+        if (step === 3) {
+            if (options.type === 'history' && !(options.startTime <= options.endTime)) {
+                this.showToast('Choose a start date before the end date', 'error');
+                return;
+            }
+            if (options.groups.size === 0) {
+                this.showToast('Choose at least one group', 'error');
+                return;
+            }
+        }
+        
+        this.exportWizard.step = step;
+        this.exportWizard.data = null;
+        const requestId = ++this.exportWizard.requestId;
+        
+        document.querySelectorAll('.export-step').forEach(element => {
+            element.classList.toggle('active', Number(element.dataset.step) === step);
+        });
+        document.querySelectorAll('.export-step-label').forEach(element => {
+            element.classList.toggle('active', Number(element.dataset.step) === step);
+        });
+        
+        const isHistory = options.type === 'history';
+        document.getElementById('exportRangeGroup').style.display = isHistory ? '' : 'none';
+        document.getElementById('exportHistoryFormats').style.display = isHistory ? '' : 'none';
+        document.getElementById('exportFavoritesFormat').style.display = isHistory ? 'none' : '';
+        document.getElementById('exportBackBtn').style.display = step > 1 ? '' : 'none';
+        document.getElementById('exportNextBtn').style.display = step < 3 ? '' : 'none';
+        
+        const runButton = document.getElementById('exportRunBtn');
+        runButton.style.display = step === 3 ? '' : 'none';
+        if (step !== 3) return;
+        
+        const summary = document.getElementById('exportSummary');
+        summary.textContent = 'Counting...';
+        runButton.disabled = true;
+        
+        try {
+            const { categorizer } = this.exportWizard;
+            const data = isHistory ?
+                await this.exporter.collectHistoryForExport(options, categorizer) :
+                await this.exporter.collectFavoritesForExport(options, categorizer);
+            if (requestId !== this.exportWizard.requestId) return;
+            
+            const count = isHistory ? data.length : data.entries.size;
+            const noun = isHistory ? 'page' : 'favorite';
+            summary.textContent = count === 0 ?
+                `No ${noun}s match these filters.` :
+                `${count.toLocaleString()} ${noun}${count !== 1 ? 's' : ''} from ${options.groups.size} group${options.groups.size !== 1 ? 's' : ''} will be exported.`;
+            this.exportWizard.data = { options, data, count };
+            runButton.disabled = count === 0;
+        } catch (error) {
+            console.error('Error collecting export data:', error);
+            if (requestId === this.exportWizard.requestId) {
+                summary.textContent = 'Could not read your history. Please try again.';
+            }
+        }
+    }
+    
+    runExport() {
+        if (!this.exportWizard.data) return;
+        
+        const { options, data, count } = this.exportWizard.data;
+        const date = this.toDateInputValue(new Date());
+        
+        if (options.type === 'favorites') {
+            this.downloadFile(`history-organizer-favorites-${date}.html`, this.exporter.formatFavoritesBookmarks(data), 'text/html');
+        } else if (document.querySelector('input[name="exportFormat"]:checked').value === 'json') {
+            this.downloadFile(`history-organizer-history-${date}.json`, this.exporter.formatHistoryJson(data, options), 'application/json');
+        } else {
+            this.downloadFile(`history-organizer-history-${date}.csv`, this.exporter.formatHistoryCsv(data), 'text/csv');
+        }
+        
+        const noun = options.type === 'favorites' ? 'favorite' : 'page';
+        this.hideExportWizard();
+        this.showToast(`Exported ${count.toLocaleString()} ${noun}${count !== 1 ? 's' : ''}`, 'success');
+    }
+    
+    toDateInputValue(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
     }
     
     importSettings() {
@@ -476,37 +871,27 @@ class SettingsManager {
         if (!file) return;
         
         const reader = new FileReader();
-        reader.onload = (e) => {
+        reader.onload = async (e) => {
+            let migrated;
             try {
-                const settings = JSON.parse(e.target.result);
-                
-                if (!settings.groups || !Array.isArray(settings.groups)) {
-                    throw new Error('Invalid settings file format');
-                }
-                
-                // Validate groups structure
-                const validGroups = settings.groups.filter(group => 
-                    group.id && group.name && group.icon && 
-                    Array.isArray(group.patterns) && group.patterns.length > 0
-                );
-                
-                if (validGroups.length === 0) {
-                    throw new Error('No valid groups found in settings file');
-                }
-                
-                if (confirm(`Import ${validGroups.length} groups? This will replace your current configuration.`)) {
-                    this.groups = validGroups.map((group, index) => ({
-                        ...group,
-                        order: index,
-                        enabled: group.enabled !== false
-                    }));
-                    
-                    this.renderGroups();
-                    this.showToast('Settings imported successfully!', 'success');
-                }
+                migrated = this.backup.migrateBackup(JSON.parse(e.target.result));
             } catch (error) {
                 console.error('Import error:', error);
-                this.showToast('Error importing settings. Please check the file format.', 'error');
+                this.showToast(error instanceof SyntaxError ?
+                    'Error reading backup. Please check the file format.' : error.message, 'error');
+                return;
+            }
+            
+            if (Object.keys(migrated.backup.data).length === 0) {
+                this.showToast('Nothing to restore in this backup file.', 'error');
+                return;
+            }
+            
+            try {
+                await this.openRestoreDialog(migrated);
+            } catch (error) {
+                console.error('Error comparing backup:', error);
+                this.showToast('Error reading your current data. Please try again.', 'error');
             }
         };
         
@@ -514,6 +899,103 @@ class SettingsManager {
         event.target.value = ''; // Reset file input
     }
     
+    // One row per section: what restoring it would change, and whether to merge or replace
+    async openRestoreDialog({ backup, fromVersion }) {
+        const current = await this.backup.readBackupData();
+        const diff = this.backup.diffBackup(current, backup);
+        this.pendingRestore = backup;
+        
+        const exportedAt = backup.exportedAt ? new Date(backup.exportedAt) : null;
+        const source = exportedAt && !isNaN(exportedAt) ? `Backup from ${exportedAt.toLocaleString()}` : 'Backup';
+        document.getElementById('restoreSource').textContent = fromVersion < this.backup.BACKUP_VERSION ?
+            `${source}, made by an older version: only its groups${backup.data.sessions ? ' and sessions' : ''} can be restored.` :
+            `${source}.`;
+        
+        document.getElementById('restoreSections').innerHTML = diff.map(section => {
+            const hasChanges = section.added > 0 || section.changed > 0;
+            const summary = !section.inBackup ? 'Not in this backup' : [
+                hasChanges ? `+${section.added} new · ${section.changed} changed` : 'Same as this device',
+                section.onlyHere > 0 ? `${section.onlyHere} only on this device (removed by Replace)` : ''
+            ].filter(Boolean).join(' · ');
+            
+            return `
+                <div class="restore-section${section.inBackup ? '' : ' disabled'}">
+                    <label class="restore-section-label">
+                        <input type="checkbox" class="restore-include" value="${section.id}"
+                            ${section.inBackup ? '' : 'disabled'} ${hasChanges ? 'checked' : ''}>
+                        <span>
+                            <strong>${this.escapeHtml(section.label)}</strong>
+                            <small>${summary}</small>
+                        </span>
+                    </label>
+                    <select class="restore-mode" data-section="${section.id}" ${section.inBackup ? '' : 'disabled'}>
+                        <option value="merge" selected>Merge</option>
+                        <option value="replace">Replace</option>
+                    </select>
+                </div>
+            `;
+        }).join('');
+        
+        this.updateRestoreButton();
+        document.getElementById('restoreModal').classList.add('show');
+    }
+    
+    hideRestoreDialog() {
+        document.getElementById('restoreModal').classList.remove('show');
+        this.pendingRestore = null;
+    }
+    
+    updateRestoreButton() {
+        document.getElementById('restoreBtn').disabled = !document.querySelector('.restore-include:checked');
+    }
+    
+    async runRestore() {
+        if (!this.pendingRestore) return;
+        
+        const choices = {};
+        document.querySelectorAll('.restore-include:checked').forEach(checkbox => {
+            choices[checkbox.value] = document.querySelector(`.restore-mode[data-section="${checkbox.value}"]`).value;
+        });
+        
+        const replaced = Object.values(choices).filter(mode => mode === 'replace').length;
+        if (replaced > 0 && !confirm(`Replace ${replaced} section${replaced !== 1 ? 's' : ''} with the backup? What is only on this device will be lost.`)) {
+            return;
+        }
+        
+        const restoreBtn = document.getElementById('restoreBtn');
+        restoreBtn.disabled = true;
+        try {
+            const restored = await this.backup.restoreBackup(this.pendingRestore, choices);
+            this.hideRestoreDialog();
+            await this.reloadAfterRestore();
+            this.showToast(`Restored ${restored.length} section${restored.length !== 1 ? 's' : ''} from the backup`, 'success');
+        } catch (error) {
+            console.error('Error restoring backup:', error);
+            this.showToast('Error restoring backup. Some sections may not have been restored.', 'error');
+        } finally {
+            restoreBtn.disabled = false;
+        }
+    }
+    
+    // Restoring writes to storage directly, so everything on the page is read again
+    async reloadAfterRestore() {
+        await this.loadSettings();
+        this.renderGroups();
+        await this.loadStorageSettings();
+        await this.loadTags();
+        await this.loadHiddenSites();
+        await this.loadPrivacySettings();
+        await this.loadTimeTracking();
+        
+        if (chrome.runtime && chrome.runtime.sendMessage) {
+            try {
+                chrome.runtime.sendMessage({ action: 'settingsUpdated' });
+            } catch (e) {
+                console.log('Could not notify popup of settings update:', e.message);
+            }
+        }
+    }
+    
     cancelChanges() {
         if (confirm('Are you sure you want to cancel? Any unsaved changes will be lost.')) {
             this.loadSettings().then(() => {
@@ -597,6 +1079,480 @@ class SettingsManager {
         }
     }
     
+    loadHistorySettings(historySettings) {
+        this.historySettings = { ...this.historySettings, ...historySettings };
+        document.getElementById('defaultHistoryRange').value = this.historySettings.defaultRange;
+        document.getElementById('historyMaxResults').value = this.historySettings.maxResults;
+        document.getElementById('openAllLimit').value = this.historySettings.openAllLimit;
+    }
+    
+    getHistorySettings() {
+        const { min, max } = this.historyMaxResultsLimits;
+        const maxResults = parseInt(document.getElementById('historyMaxResults').value) || this.historySettings.maxResults;
+        const openAllLimit = parseInt(document.getElementById('openAllLimit').value) || this.historySettings.openAllLimit;
+        
+        return {
+            defaultRange: document.getElementById('defaultHistoryRange').value,
+            maxResults: Math.max(min, Math.min(max, maxResults)),
+            openAllLimit: Math.max(this.openAllLimits.min, Math.min(this.openAllLimits.max, openAllLimit))
+        };
+    }
+    
+    async handleHistorySettingChange() {
+        try {
+            const historySettings = this.getHistorySettings();
+            
+            // Reflect any clamping back into the input
+            document.getElementById('historyMaxResults').value = historySettings.maxResults;
+            document.getElementById('openAllLimit').value = historySettings.openAllLimit;
+            
+            if (!chrome.storage || !chrome.storage.sync) {
+                console.warn('Chrome storage API not available for history settings');
+                return;
+            }
+            
+            await chrome.storage.sync.set({
+                [this.STORAGE_KEYS.historySettings]: historySettings
+            });
+            this.historySettings = historySettings;
+            this.showToast('History settings saved', 'success');
+        } catch (error) {
+            console.error('Error saving history settings:', error);
+        }
+    }
+    
+    async loadStorageSettings() {
+        try {
+            if (!this.storage.isAvailable()) return;
+            
+            const syncSettings = await this.storage.getSyncSettings();
+            document.getElementById('syncFavorites').checked = syncSettings.favorites;
+            document.getElementById('syncBookmarks').checked = syncSettings.bookmarks;
+            document.getElementById('bookmarkConflicts').value = syncSettings.bookmarkConflicts;
+            await this.renderStorageUsage();
+            await this.renderBookmarkSyncStatus();
+        } catch (error) {
+            console.error('Error loading storage settings:', error);
+        }
+    }
+    
+    async handleSyncFavoritesChange(enabled) {
+        try {
+            const syncSettings = await this.storage.getSyncSettings();
+            await this.storage.setSyncSettings({ ...syncSettings, favorites: enabled });
+            this.showToast(enabled ? 'Favorites will sync across devices' : 'Favorites are now stored on this device only', 'success');
+        } catch (error) {
+            console.error('Error updating sync settings:', error);
+            this.showToast('Favorites are too large to sync. They remain on this device.', 'error');
+        }
+        await this.renderStorageUsage();
+    }
+    
+    async handleBookmarkSyncChange() {
+        const bookmarks = document.getElementById('syncBookmarks').checked;
+        const bookmarkConflicts = document.getElementById('bookmarkConflicts').value;
+        
+        try {
+            const syncSettings = await this.storage.getSyncSettings();
+            await this.storage.setSyncSettings({ ...syncSettings, bookmarks, bookmarkConflicts });
+            
+            if (bookmarks !== syncSettings.bookmarks) {
+                this.showToast(bookmarks ?
+                    `Favorites will be mirrored to the "${this.bookmarkSync.folderTitle}" bookmarks folder` :
+                    'Bookmark mirroring stopped. Existing bookmarks were kept.', 'success');
+            }
+        } catch (error) {
+            console.error('Error updating bookmark sync:', error);
+            this.showToast('Error updating bookmark sync. Please try again.', 'error');
+        }
+        await this.renderBookmarkSyncStatus();
+    }
+    
+    async renderBookmarkSyncStatus() {
+        const status = document.getElementById('bookmarkSyncStatus');
+        
+        try {
+            const syncSettings = await this.storage.getSyncSettings();
+            document.getElementById('bookmarkConflicts').disabled = !syncSettings.bookmarks;
+            if (!syncSettings.bookmarks) {
+                status.innerHTML = '';
+                return;
+            }
+            
+            const state = await this.bookmarkSync.getState();
+            const lastSynced = state.lastSyncedAt ? new Date(state.lastSyncedAt).toLocaleString() : 'not yet';
+            const conflicts = state.conflicts.map(conflict => `
+                <li>${this.escapeHtml(conflict.title)} <small>${this.escapeHtml(conflict.reason)} - kept ${conflict.kept}</small></li>
+            `).join('');
+            
+            status.innerHTML = `
+                <div>Last synced: ${lastSynced}</div>
+                ${conflicts ? `
+                    <div class="bookmark-conflicts-title">Conflicts resolved on ${new Date(state.conflictsAt).toLocaleString()}:</div>
+                    <ul class="bookmark-conflicts-list">${conflicts}</ul>
+                ` : ''}
+            `;
+        } catch (error) {
+            console.error('Error reading bookmark sync status:', error);
+        }
+    }
+    
+    async renderStorageUsage() {
+        try {
+            const usage = await this.storage.getUsage();
+            const syncPercent = Math.min(100, (usage.sync.bytes / usage.sync.quota) * 100);
+            
+            const syncFill = document.getElementById('syncUsageFill');
+            syncFill.style.width = `${syncPercent}%`;
+            syncFill.classList.toggle('warning', syncPercent > 80);
+            
+            document.getElementById('syncUsageValue').textContent =
+                `${this.formatBytes(usage.sync.bytes)} of ${this.formatBytes(usage.sync.quota)}`;
+            document.getElementById('localUsageValue').textContent = this.formatBytes(usage.local.bytes);
+            document.getElementById('indexUsageValue').textContent = this.formatBytes(usage.index.bytes);
+        } catch (error) {
+            console.error('Error reading storage usage:', error);
+        }
+    }
+    
+    async loadTags() {
+        try {
+            if (!this.storage.isAvailable()) return;
+            
+            this.favoriteData = await this.storage.loadFavorites();
+            this.renderTags();
+        } catch (error) {
+            console.error('Error loading tags:', error);
+        }
+    }
+    
+    renderTags() {
+        const tagsList = document.getElementById('tagsList');
+        const counts = new Map();
+        Object.values(this.favoriteData.favoriteTags).forEach(tags => {
+            tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+        
+        this.updateTagButtons();
+        
+        if (counts.size === 0) {
+            tagsList.innerHTML = '<p class="tags-empty">No tags yet. Right-click a website in the popup to tag it.</p>';
+            return;
+        }
+        
+        tagsList.innerHTML = Array.from(counts)
+            .sort((a, b) => a[0].localeCompare(b[0]))
+            .map(([tag, count]) => `
+                <div class="tag-row">
+                    <label class="tag-row-label">
+                        <input type="checkbox" class="tag-select" value="${this.escapeHtml(tag)}">
+                        <span class="tag-name">${this.escapeHtml(tag)}</span>
+                    </label>
+                    <span class="tag-count">${count} favorite${count !== 1 ? 's' : ''}</span>
+                    <button class="btn btn-secondary rename-tag-btn" data-tag="${this.escapeHtml(tag)}" title="Rename tag">✏️</button>
+                </div>
+            `).join('');
+        
+        tagsList.querySelectorAll('.tag-select').forEach(checkbox => {
+            checkbox.addEventListener('change', () => this.updateTagButtons());
+        });
+        tagsList.querySelectorAll('.rename-tag-btn').forEach(button => {
+            button.addEventListener('click', () => this.renameTag(button.dataset.tag));
+        });
+    }
+    
+    getSelectedTags() {
+        return Array.from(document.querySelectorAll('#tagsList .tag-select:checked')).map(checkbox => checkbox.value);
+    }
+    
+    updateTagButtons() {
+        const selected = this.getSelectedTags().length;
+        document.getElementById('mergeTagsBtn').disabled = selected < 2;
+        document.getElementById('deleteTagsBtn').disabled = selected === 0;
+    }
+    
+    // Replace every tag in `fromTags` with `toTag` (or drop it when `toTag` is null) on all favorites
+    async rewriteTags(fromTags, toTag) {
+        // Favorites may have changed in the popup or through bookmark sync since the list was shown
+        this.favoriteData = await this.storage.loadFavorites();
+        
+        const favoriteTags = {};
+        Object.entries(this.favoriteData.favoriteTags).forEach(([url, tags]) => {
+            const rewritten = new Set(tags.flatMap(tag => {
+                if (!fromTags.includes(tag)) return [tag];
+                return toTag ? [toTag] : [];
+            }));
+            if (rewritten.size > 0) favoriteTags[url] = Array.from(rewritten);
+        });
+        
+        await this.storage.saveFavorites({ ...this.favoriteData, favoriteTags });
+        this.favoriteData = { ...this.favoriteData, favoriteTags };
+        this.renderTags();
+    }
+    
+    async renameTag(tag) {
+        const input = prompt(`Rename tag "${tag}" to:`, tag);
+        if (input === null) return;
+        
+        const newTag = this.storage.normalizeTag(input);
+        if (!newTag || newTag === tag) return;
+        
+        try {
+            await this.rewriteTags([tag], newTag);
+            this.showToast(`Tag "${tag}" renamed to "${newTag}"`, 'success');
+        } catch (error) {
+            console.error('Error renaming tag:', error);
+            this.showToast('Error renaming tag. Please try again.', 'error');
+        }
+    }
+    
+    async mergeSelectedTags() {
+        const selected = this.getSelectedTags();
+        if (selected.length < 2) return;
+        
+        const input = prompt(`Merge ${selected.length} tags into:`, selected[0]);
+        if (input === null) return;
+        
+        const newTag = this.storage.normalizeTag(input);
+        if (!newTag) return;
+        
+        try {
+            await this.rewriteTags(selected, newTag);
+            this.showToast(`Merged ${selected.length} tags into "${newTag}"`, 'success');
+        } catch (error) {
+            console.error('Error merging tags:', error);
+            this.showToast('Error merging tags. Please try again.', 'error');
+        }
+    }
+    
+    async deleteSelectedTags() {
+        const selected = this.getSelectedTags();
+        if (selected.length === 0) return;
+        
+        if (!confirm(`Remove ${selected.length === 1 ? `the tag "${selected[0]}"` : `${selected.length} tags`} from all favorites? The favorites themselves are kept.`)) {
+            return;
+        }
+        
+        try {
+            await this.rewriteTags(selected, null);
+            this.showToast(`Deleted ${selected.length} tag${selected.length !== 1 ? 's' : ''}`, 'success');
+        } catch (error) {
+            console.error('Error deleting tags:', error);
+            this.showToast('Error deleting tags. Please try again.', 'error');
+        }
+    }
+    
+    async loadHiddenSites() {
+        try {
+            if (!this.storage.isAvailable()) return;
+            
+            this.hiddenSites = await this.storage.getHiddenSites();
+            this.renderHiddenSites();
+        } catch (error) {
+            console.error('Error loading hidden sites:', error);
+        }
+    }
+    
+    renderHiddenSites() {
+        const list = document.getElementById('hiddenSitesList');
+        
+        if (this.hiddenSites.length === 0) {
+            list.innerHTML = '<p class="tags-empty">Nothing excluded. Add a site above, or right-click any page and choose "Hide this site from history organizer".</p>';
+            return;
+        }
+        
+        list.innerHTML = this.hiddenSites
+            .slice()
+            .sort((a, b) => a.localeCompare(b))
+            .map(site => `
+                <div class="tag-row">
+                    <span class="tag-name hidden-site-name">${this.escapeHtml(site)}</span>
+                    <button class="btn btn-secondary unhide-site-btn" data-site="${this.escapeHtml(site)}" title="Show this site again">👁️ Include again</button>
+                </div>
+            `).join('');
+    }
+    
+    async unhideSite(site) {
+        try {
+            await this.storage.setHiddenSites(this.hiddenSites.filter(hidden => hidden !== site));
+            this.showToast(`${site} is visible again`, 'success');
+        } catch (error) {
+            console.error('Error unhiding site:', error);
+            this.showToast('Error updating hidden sites. Please try again.', 'error');
+        }
+    }
+    
+    async addHiddenSite() {
+        const input = document.getElementById('hiddenSiteInput');
+        const pattern = input.value.trim();
+        if (!pattern) return;
+        
+        const rule = this.rules.parseRule(pattern);
+        if (!rule.valid) {
+            this.showToast(`Invalid rule: ${rule.error}`, 'error');
+            return;
+        }
+        if (rule.exclude) {
+            this.showToast('Exclusion rules cannot start with !', 'error');
+            return;
+        }
+        
+        try {
+            const added = await this.storage.addHiddenSite(pattern);
+            input.value = '';
+            this.showToast(added ? `${pattern} is excluded` : `${pattern} is already excluded`, added ? 'success' : 'info');
+        } catch (error) {
+            console.error('Error excluding site:', error);
+            this.showToast('Error updating hidden sites. Please try again.', 'error');
+        }
+    }
+    
+    async loadPrivacySettings() {
+        try {
+            if (!this.storage.isAvailable()) return;
+            
+            this.privacySettings = await this.storage.getPrivacySettings();
+            document.getElementById('blurTitles').checked = this.privacySettings.blurTitles;
+            this.renderExcludedGroups();
+        } catch (error) {
+            console.error('Error loading privacy settings:', error);
+        }
+    }
+    
+    async savePrivacySettings(privacySettings) {
+        try {
+            await this.storage.setPrivacySettings(privacySettings);
+            this.privacySettings = privacySettings;
+            this.renderExcludedGroups();
+            this.showToast('Privacy settings saved', 'success');
+        } catch (error) {
+            console.error('Error saving privacy settings:', error);
+            this.showToast('Error saving privacy settings. Please try again.', 'error');
+        }
+    }
+    
+    renderExcludedGroups() {
+        const list = document.getElementById('excludedGroupsList');
+        const groups = [...(this.groups.length > 0 ? this.groups : this.defaultGroups)].sort((a, b) => a.order - b.order);
+        
+        list.innerHTML = groups.map(group => `
+            <div class="tag-row">
+                <label class="tag-row-label">
+                    <input type="checkbox" class="exclude-group-checkbox" value="${this.escapeHtml(group.id)}"
+                           ${this.privacySettings.excludedGroups.includes(group.id) ? 'checked' : ''}>
+                    <span>${group.icon}</span>
+                    <span class="tag-name">${this.escapeHtml(group.name)}</span>
+                </label>
+                <span class="tag-count">${group.patterns.length} pattern${group.patterns.length !== 1 ? 's' : ''}</span>
+            </div>
+        `).join('');
+    }
+    
+    toggleExcludedGroup(groupId, excluded) {
+        const excludedGroups = this.privacySettings.excludedGroups.filter(id => id !== groupId);
+        if (excluded) excludedGroups.push(groupId);
+        this.savePrivacySettings({ ...this.privacySettings, excludedGroups });
+    }
+    
+    async loadTimeTracking() {
+        try {
+            if (!this.storage.isAvailable()) return;
+            
+            const [settings, timeOnSite] = await Promise.all([
+                this.storage.getTimeTrackingSettings(),
+                this.storage.loadTimeOnSite()
+            ]);
+            this.timeTrackingSettings = settings;
+            document.getElementById('timeTrackingEnabled').checked = settings.enabled;
+            document.getElementById('timeTrackingIdle').value = String(settings.idleSeconds);
+            this.renderGroupTime(timeOnSite);
+        } catch (error) {
+            console.error('Error loading time on site:', error);
+        }
+    }
+    
+    async saveTimeTrackingSettings(timeTrackingSettings) {
+        try {
+            await this.storage.setTimeTrackingSettings(timeTrackingSettings);
+            this.timeTrackingSettings = timeTrackingSettings;
+            this.showToast(timeTrackingSettings.enabled ? 'Time on site will be tracked' : 'Time on site is not tracked', 'success');
+        } catch (error) {
+            console.error('Error saving time tracking settings:', error);
+            this.showToast('Error saving time tracking settings. Please try again.', 'error');
+        }
+    }
+    
+    renderGroupTime({ urls, groups: groupTimes }) {
+        const list = document.getElementById('groupTimeList');
+        const groups = this.groups.length > 0 ? this.groups : this.defaultGroups;
+        const rows = groups
+            .filter(group => groupTimes[group.id] > 0)
+            .sort((a, b) => groupTimes[b.id] - groupTimes[a.id]);
+        
+        if (rows.length === 0) {
+            list.innerHTML = '<p class="tags-empty">No time recorded yet.</p>';
+            return;
+        }
+        
+        const pages = Object.keys(urls).length;
+        list.innerHTML = rows.map(group => `
+            <div class="tag-row">
+                <span class="tag-row-label">
+                    <span>${group.icon}</span>
+                    <span class="tag-name">${this.escapeHtml(group.name)}</span>
+                </span>
+                <span class="tag-count">${this.formatActiveTime(groupTimes[group.id])}</span>
+            </div>
+        `).join('') + `<small class="help-text">${pages} page${pages !== 1 ? 's' : ''} with recorded time</small>`;
+    }
+    
+    // "45s", "12m", "2h 5m"
+    formatActiveTime(ms) {
+        const seconds = Math.round(ms / 1000);
+        if (seconds < 60) return `${seconds}s`;
+        const minutes = Math.round(seconds / 60);
+        if (minutes < 60) return `${minutes}m`;
+        const hours = Math.floor(minutes / 60);
+        return minutes % 60 === 0 ? `${hours}h` : `${hours}h ${minutes % 60}m`;
+    }
+    
+    async clearTimeOnSite() {
+        if (!confirm('Clear all recorded time on site? This cannot be undone.')) return;
+        
+        try {
+            await this.storage.clearTimeOnSite();
+            this.showToast('Recorded time cleared', 'success');
+        } catch (error) {
+            console.error('Error clearing time on site:', error);
+            this.showToast('Error clearing recorded time. Please try again.', 'error');
+        }
+    }
+    
+    async loadShortcuts() {
+        const list = document.getElementById('shortcutsList');
+        if (!chrome.commands) return;
+        
+        try {
+            const commands = await chrome.commands.getAll();
+            list.innerHTML = commands.map(command => `
+                <div class="tag-row">
+                    <span class="tag-name shortcut-description">${this.escapeHtml(command.description || 'Open Browser History Organizer')}</span>
+                    ${command.shortcut ?
+                        `<kbd class="shortcut-key">${this.escapeHtml(command.shortcut)}</kbd>` :
+                        '<span class="tag-count">Not set</span>'}
+                </div>
+            `).join('');
+        } catch (error) {
+            console.error('Error loading keyboard shortcuts:', error);
+        }
+    }
+    
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
@@ -0,0 +1,554 @@
+/**
+ * Browser History Organizer - Storage
+ *
+ * chrome.storage.local holds the full favorites and visit statistics. Only a
+ * compact, opt-in copy of the favorites is mirrored to chrome.storage.sync,
+ * split into chunks that respect the per-item sync quota. Group definitions
+ * and small preferences keep living in sync as before.
+ */
+
+// Sync allows 8 KB per item; leave headroom for the key and JSON overhead
+const SYNC_CHUNK_BYTES = 7000;
+
+// Pages kept in the time-on-site record; the least recently active are dropped first
+const TIME_ON_SITE_MAX_URLS = 5000;
+
+class OrganizerStorage {
+    constructor() {
+        const config = globalThis.BrowserHistoryOrganizerConfig;
+        this.STORAGE_KEYS = config.storageKeys;
+        this.defaultSyncSettings = config.syncSettings;
+        this.defaultPrivacySettings = config.privacySettings;
+        this.defaultTimeTrackingSettings = config.timeTrackingSettings;
+        this.defaultGroups = config.groups;
+        this.encoder = new TextEncoder();
+    }
+
+    isAvailable() {
+        return typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local && chrome.storage.sync;
+    }
+
+    // =========================================================================
+    // ⚙️ SYNC PREFERENCES
+    // =========================================================================
+
+    async getSyncSettings() {
+        const result = await chrome.storage.sync.get([this.STORAGE_KEYS.syncSettings]);
+        return { ...this.defaultSyncSettings, ...(result[this.STORAGE_KEYS.syncSettings] || {}) };
+    }
+
+    async setSyncSettings(syncSettings) {
+        const previous = await this.getSyncSettings();
+        await chrome.storage.sync.set({ [this.STORAGE_KEYS.syncSettings]: syncSettings });
+
+        // Turning favorites sync on or off starts over: nothing from this device is assumed to be in the shared copy
+        if (syncSettings.favorites !== previous.favorites) {
+            await chrome.storage.local.remove([this.STORAGE_KEYS.favoritesSyncBase]);
+        }
+
+        if (syncSettings.favorites) {
+            // Merge the local favorites in right away so other devices pick them up
+            await this.syncFavorites(await this.readLocalFavorites());
+        } else {
+            await this.removeSyncFavorites();
+        }
+    }
+
+    // =========================================================================
+    // ⭐ FAVORITES
+    // =========================================================================
+
+    // Returns { favorites: [url], favoriteNames: { url: name }, favoriteTags: { url: [tag] },
+    //           favoriteMeta: { url: { title, favIconUrl, group, addedAt, lastVisitTime } },
+    //           favoriteFolders: folder tree (see favorite-folders.js) or null, updatedAt }
+    async loadFavorites() {
+        const local = await this.readLocalFavorites();
+        const syncSettings = await this.getSyncSettings();
+        if (!syncSettings.favorites) return local;
+
+        try {
+            return await this.syncFavorites(local);
+        } catch (error) {
+            console.warn('Favorites could not be synced:', error.message);
+            return local;
+        }
+    }
+
+    // Accepts Maps (tags as Sets) or plain objects; `synced` is false when the favorites only fit locally
+    async saveFavorites({ favorites, favoriteNames = {}, favoriteTags = {}, favoriteMeta = {}, favoriteFolders = null }) {
+        const data = {
+            favorites: Array.from(favorites),
+            favoriteNames: favoriteNames instanceof Map ? Object.fromEntries(favoriteNames) : { ...favoriteNames },
+            favoriteTags: this.serializeTags(favoriteTags),
+            favoriteMeta: favoriteMeta instanceof Map ? Object.fromEntries(favoriteMeta) : { ...favoriteMeta },
+            favoriteFolders,
+            updatedAt: Date.now()
+        };
+
+        await this.writeLocalFavorites(data);
+
+        const syncSettings = await this.getSyncSettings();
+        if (!syncSettings.favorites) return { synced: true, updatedAt: data.updatedAt };
+
+        try {
+            await this.syncFavorites(data);
+            return { synced: true, updatedAt: data.updatedAt };
+        } catch (error) {
+            console.warn('Favorites saved locally but could not be synced:', error.message);
+            return { synced: false, updatedAt: data.updatedAt };
+        }
+    }
+
+    // Star a single URL from outside the popup (context menu, quick tag page), keeping existing names and tags
+    async addFavorite(url, { title = '', favIconUrl = '', group = null, tags = [] } = {}) {
+        const data = await this.loadFavorites();
+        const favorites = new Set(data.favorites);
+        const previous = data.favoriteMeta[url] || {};
+        const mergedTags = new Set([...(data.favoriteTags[url] || []), ...tags.map(tag => this.normalizeTag(tag)).filter(Boolean)]);
+
+        favorites.add(url);
+        const favoriteTags = { ...data.favoriteTags, [url]: Array.from(mergedTags) };
+        const favoriteMeta = {
+            ...data.favoriteMeta,
+            [url]: {
+                title: title || previous.title || '',
+                favIconUrl: favIconUrl || previous.favIconUrl || '',
+                group: group || previous.group || null,
+                addedAt: previous.addedAt || Date.now(),
+                lastVisitTime: previous.lastVisitTime || Date.now()
+            }
+        };
+
+        return this.saveFavorites({ ...data, favorites, favoriteTags, favoriteMeta });
+    }
+
+    serializeTags(favoriteTags) {
+        const entries = favoriteTags instanceof Map ? Array.from(favoriteTags.entries()) : Object.entries(favoriteTags);
+        return Object.fromEntries(entries
+            .map(([url, tags]) => [url, Array.from(tags)])
+            .filter(([, tags]) => tags.length > 0));
+    }
+
+    // Lower-case, trimmed, inner whitespace collapsed to dashes: "Q4 Launch" -> "q4-launch"
+    normalizeTag(tag) {
+        return String(tag || '').trim().toLowerCase().replace(/\s+/g, '-');
+    }
+
+    async readLocalFavorites() {
+        const keys = [
+            this.STORAGE_KEYS.favorites,
+            this.STORAGE_KEYS.favoriteNames,
+            this.STORAGE_KEYS.favoriteTags,
+            this.STORAGE_KEYS.favoriteMeta,
+            this.STORAGE_KEYS.favoriteFolders,
+            this.STORAGE_KEYS.favoritesUpdatedAt
+        ];
+        const result = await chrome.storage.local.get(keys);
+
+        let favoriteNames = result[this.STORAGE_KEYS.favoriteNames];
+        let favoriteTags = result[this.STORAGE_KEYS.favoriteTags] || {};
+
+        // Before tags existed, favoriteTags held a single custom name per URL
+        if (!favoriteNames) {
+            favoriteNames = {};
+            Object.entries(favoriteTags).forEach(([url, value]) => {
+                if (typeof value === 'string') favoriteNames[url] = value;
+            });
+            favoriteTags = Object.fromEntries(Object.entries(favoriteTags).filter(([, value]) => Array.isArray(value)));
+        }
+
+        return {
+            favorites: Array.isArray(result[this.STORAGE_KEYS.favorites]) ? result[this.STORAGE_KEYS.favorites] : [],
+            favoriteNames,
+            favoriteTags,
+            favoriteMeta: result[this.STORAGE_KEYS.favoriteMeta] || {},
+            favoriteFolders: result[this.STORAGE_KEYS.favoriteFolders] || null,
+            updatedAt: result[this.STORAGE_KEYS.favoritesUpdatedAt] || 0
+        };
+    }
+
+    writeLocalFavorites({ favorites, favoriteNames, favoriteTags, favoriteMeta, favoriteFolders, updatedAt }) {
+        return chrome.storage.local.set({
+            [this.STORAGE_KEYS.favorites]: favorites,
+            [this.STORAGE_KEYS.favoriteNames]: favoriteNames,
+            [this.STORAGE_KEYS.favoriteTags]: favoriteTags,
+            [this.STORAGE_KEYS.favoriteMeta]: favoriteMeta || {},
+            [this.STORAGE_KEYS.favoriteFolders]: favoriteFolders || null,
+            [this.STORAGE_KEYS.favoritesUpdatedAt]: updatedAt
+        });
+    }
+
+    // Three-way merge of the local favorites with the synced copy, against the entries this device
+    // last had in common with it, so favorites added, removed or renamed on any device all survive.
+    // Both sides are written back when the merge changed them; resolves to the merged local favorites.
+    async syncFavorites(local) {
+        const [remote, baseResult] = await Promise.all([
+            this.readSyncFavorites(),
+            chrome.storage.local.get([this.STORAGE_KEYS.favoritesSyncBase])
+        ]);
+        const base = baseResult[this.STORAGE_KEYS.favoritesSyncBase] || [];
+        const localEntries = this.toSyncEntries(local);
+
+        if (!remote) {
+            if (local.updatedAt > 0) {
+                await this.writeSyncFavorites(localEntries, local.updatedAt);
+                await chrome.storage.local.set({ [this.STORAGE_KEYS.favoritesSyncBase]: localEntries });
+            }
+            return local;
+        }
+
+        const merged = this.mergeSyncEntries(base, localEntries, remote.entries, remote.updatedAt > local.updatedAt);
+        const mergedKey = JSON.stringify(merged);
+        const localChanged = mergedKey !== JSON.stringify(localEntries);
+        const remoteChanged = mergedKey !== JSON.stringify(remote.entries);
+
+        // Once both sides hold the same entries they also share a timestamp
+        let updatedAt = remote.updatedAt;
+        if (remoteChanged) updatedAt = localChanged ? Math.max(Date.now(), local.updatedAt + 1, remote.updatedAt + 1) : local.updatedAt;
+
+        let result = local;
+        if (localChanged || updatedAt !== local.updatedAt) {
+            // Metadata and folders are not synced, so whatever this device has is kept
+            result = { ...local, ...this.fromSyncEntries(merged), updatedAt };
+            await this.writeLocalFavorites(result);
+        }
+        if (remoteChanged) await this.writeSyncFavorites(merged, updatedAt);
+        await chrome.storage.local.set({ [this.STORAGE_KEYS.favoritesSyncBase]: merged });
+        return result;
+    }
+
+    // Entries are [url], [url, name] or [url, name, tags] to keep the synced copy small
+    toSyncEntries({ favorites, favoriteNames, favoriteTags }) {
+        return favorites.map(url => {
+            const tags = favoriteTags[url] || [];
+            if (tags.length > 0) return [url, favoriteNames[url] || '', tags];
+            return favoriteNames[url] ? [url, favoriteNames[url]] : [url];
+        });
+    }
+
+    fromSyncEntries(entries) {
+        const favorites = [];
+        const favoriteNames = {};
+        const favoriteTags = {};
+        entries.forEach(([url, name, tags]) => {
+            favorites.push(url);
+            if (name) favoriteNames[url] = name;
+            if (tags && tags.length > 0) favoriteTags[url] = tags;
+        });
+        return { favorites, favoriteNames, favoriteTags };
+    }
+
+    // Per URL: a side that still matches the base did not touch the entry, so the other side's
+    // change (edit, addition or removal) wins. When both changed it, `preferRemote` decides.
+    mergeSyncEntries(base, localEntries, remoteEntries, preferRemote) {
+        const baseByUrl = new Map(base.map(entry => [entry[0], JSON.stringify(entry)]));
+        const localByUrl = new Map(localEntries.map(entry => [entry[0], entry]));
+        const remoteByUrl = new Map(remoteEntries.map(entry => [entry[0], entry]));
+        const urls = new Set([...localByUrl.keys(), ...remoteByUrl.keys()]);
+
+        const merged = [];
+        urls.forEach(url => {
+            const localEntry = localByUrl.get(url);
+            const remoteEntry = remoteByUrl.get(url);
+            const baseKey = baseByUrl.get(url);
+
+            if (localEntry && remoteEntry) {
+                const localKey = JSON.stringify(localEntry);
+                const remoteKey = JSON.stringify(remoteEntry);
+                if (localKey === remoteKey || remoteKey === baseKey) merged.push(localEntry);
+                else if (localKey === baseKey) merged.push(remoteEntry);
+                else merged.push(preferRemote ? remoteEntry : localEntry);
+                return;
+            }
+
+            // Present on one side only: an unchanged entry the other side dropped stays removed
+            const entry = localEntry || remoteEntry;
+            if (JSON.stringify(entry) !== baseKey) merged.push(entry);
+        });
+        return merged;
+    }
+
+    // Resolves to { entries, updatedAt }, or null when nothing is synced yet
+    async readSyncFavorites() {
+        const manifestKey = this.STORAGE_KEYS.favoritesSync;
+        const manifestResult = await chrome.storage.sync.get([manifestKey]);
+        const manifest = manifestResult[manifestKey];
+        if (!manifest) return null;
+
+        const chunkKeys = Array.from({ length: manifest.chunkCount }, (_, i) => `${manifestKey}_${i}`);
+        const chunks = await chrome.storage.sync.get(chunkKeys);
+
+        // Throws while another device's write has only partly arrived; the next load tries again
+        const entries = JSON.parse(chunkKeys.map(key => chunks[key] || '').join(''));
+        return { entries, updatedAt: manifest.updatedAt || 0 };
+    }
+
+    async writeSyncFavorites(entries, updatedAt) {
+        const manifestKey = this.STORAGE_KEYS.favoritesSync;
+
+        // The entries are stored as JSON text cut into pieces that each stay under the per-item
+        // quota, so even a favorite with a very long URL or many tags is spread over several items
+        const chunks = [];
+        let current = '';
+        let currentBytes = 2;
+        for (const char of JSON.stringify(entries)) {
+            const charBytes = this.byteLength(char) - 2;
+            if (current && currentBytes + charBytes > SYNC_CHUNK_BYTES) {
+                chunks.push(current);
+                current = '';
+                currentBytes = 2;
+            }
+            current += char;
+            currentBytes += charBytes;
+        }
+        if (current) chunks.push(current);
+
+        const previous = (await chrome.storage.sync.get([manifestKey]))[manifestKey];
+
+        const items = { [manifestKey]: { chunkCount: chunks.length, updatedAt } };
+        chunks.forEach((chunk, i) => {
+            items[`${manifestKey}_${i}`] = chunk;
+        });
+        await chrome.storage.sync.set(items);
+
+        // Drop chunks left over from a previously larger list
+        if (previous && previous.chunkCount > chunks.length) {
+            const staleKeys = [];
+            for (let i = chunks.length; i < previous.chunkCount; i++) {
+                staleKeys.push(`${manifestKey}_${i}`);
+            }
+            await chrome.storage.sync.remove(staleKeys);
+        }
+    }
+
+    async removeSyncFavorites() {
+        const manifestKey = this.STORAGE_KEYS.favoritesSync;
+        const manifest = (await chrome.storage.sync.get([manifestKey]))[manifestKey];
+        if (!manifest) return;
+
+        const keys = [manifestKey];
+        for (let i = 0; i < manifest.chunkCount; i++) {
+            keys.push(`${manifestKey}_${i}`);
+        }
+        await chrome.storage.sync.remove(keys);
+    }
+
+    // =========================================================================
+    // 🙈 PRIVACY
+    // =========================================================================
+
+    // URL rule patterns (see url-rules.js) whose visits are never shown, counted or stored
+    async getHiddenSites() {
+        const result = await chrome.storage.sync.get([this.STORAGE_KEYS.hiddenSites]);
+        return Array.isArray(result[this.STORAGE_KEYS.hiddenSites]) ? result[this.STORAGE_KEYS.hiddenSites] : [];
+    }
+
+    setHiddenSites(hiddenSites) {
+        return chrome.storage.sync.set({ [this.STORAGE_KEYS.hiddenSites]: Array.from(new Set(hiddenSites)) });
+    }
+
+    async addHiddenSite(pattern) {
+        const hiddenSites = await this.getHiddenSites();
+        if (hiddenSites.includes(pattern)) return false;
+        await this.setHiddenSites([...hiddenSites, pattern]);
+        return true;
+    }
+
+    async getPrivacySettings() {
+        const result = await chrome.storage.sync.get([this.STORAGE_KEYS.privacySettings]);
+        return { ...this.defaultPrivacySettings, ...(result[this.STORAGE_KEYS.privacySettings] || {}) };
+    }
+
+    setPrivacySettings(privacySettings) {
+        return chrome.storage.sync.set({ [this.STORAGE_KEYS.privacySettings]: privacySettings });
+    }
+
+    // Everything the privacy settings leave out, with excluded groups resolved from ids to the names pages are categorised under:
+    // { hiddenSites: [pattern], excludedGroups: [name], blurTitles }
+    async loadPrivacyExclusions() {
+        const result = await chrome.storage.sync.get([
+            this.STORAGE_KEYS.websiteGroups,
+            this.STORAGE_KEYS.hiddenSites,
+            this.STORAGE_KEYS.privacySettings
+        ]);
+        const groups = result[this.STORAGE_KEYS.websiteGroups] || this.defaultGroups;
+        const privacySettings = { ...this.defaultPrivacySettings, ...(result[this.STORAGE_KEYS.privacySettings] || {}) };
+        const hiddenSites = result[this.STORAGE_KEYS.hiddenSites];
+
+        return {
+            hiddenSites: Array.isArray(hiddenSites) ? hiddenSites : [],
+            excludedGroups: groups
+                .filter(group => privacySettings.excludedGroups.includes(group.id))
+                .map(group => group.name),
+            blurTitles: privacySettings.blurTitles
+        };
+    }
+
+    // =========================================================================
+    // 🗂️ SESSIONS
+    // =========================================================================
+
+    // Saved windows, newest first: [{ id, name, createdAt, tabs: [{ url, title, group }] }]
+    async loadSessions() {
+        const result = await chrome.storage.local.get([this.STORAGE_KEYS.sessions]);
+        return Array.isArray(result[this.STORAGE_KEYS.sessions]) ? result[this.STORAGE_KEYS.sessions] : [];
+    }
+
+    saveSessions(sessions) {
+        return chrome.storage.local.set({ [this.STORAGE_KEYS.sessions]: sessions });
+    }
+
+    // =========================================================================
+    // 🔥 VISIT FREQUENCY
+    // =========================================================================
+
+    async loadVisitFrequency() {
+        const result = await chrome.storage.local.get([this.STORAGE_KEYS.visitFrequency, this.STORAGE_KEYS.topVisitedUrls]);
+
+        return {
+            visitFrequency: result[this.STORAGE_KEYS.visitFrequency] || {},
+            topVisitedUrls: Array.isArray(result[this.STORAGE_KEYS.topVisitedUrls]) ? result[this.STORAGE_KEYS.topVisitedUrls] : []
+        };
+    }
+
+    saveVisitFrequency(visitFrequency, topVisitedUrls) {
+        return chrome.storage.local.set({
+            [this.STORAGE_KEYS.visitFrequency]: Object.fromEntries(visitFrequency),
+            [this.STORAGE_KEYS.topVisitedUrls]: Array.from(topVisitedUrls)
+        });
+    }
+
+    // =========================================================================
+    // ⏱️ TIME ON SITE
+    // =========================================================================
+
+    async getTimeTrackingSettings() {
+        const result = await chrome.storage.sync.get([this.STORAGE_KEYS.timeTrackingSettings]);
+        return { ...this.defaultTimeTrackingSettings, ...(result[this.STORAGE_KEYS.timeTrackingSettings] || {}) };
+    }
+
+    setTimeTrackingSettings(timeTrackingSettings) {
+        return chrome.storage.sync.set({ [this.STORAGE_KEYS.timeTrackingSettings]: timeTrackingSettings });
+    }
+
+    // Active milliseconds per page and per website group (by group id, so renaming a group keeps its total):
+    // { urls: { [url]: { ms, lastActive } }, groups: { [groupId]: ms } }
+    async loadTimeOnSite() {
+        const result = await chrome.storage.local.get([this.STORAGE_KEYS.timeOnSite]);
+        const timeOnSite = result[this.STORAGE_KEYS.timeOnSite] || {};
+        return { urls: timeOnSite.urls || {}, groups: timeOnSite.groups || {} };
+    }
+
+    async addTimeOnSite(url, groupId, ms, activeAt = Date.now()) {
+        const timeOnSite = await this.loadTimeOnSite();
+        const entry = timeOnSite.urls[url] || { ms: 0, lastActive: 0 };
+        timeOnSite.urls[url] = { ms: entry.ms + ms, lastActive: activeAt };
+        timeOnSite.groups[groupId] = (timeOnSite.groups[groupId] || 0) + ms;
+
+        const urls = Object.entries(timeOnSite.urls);
+        if (urls.length > TIME_ON_SITE_MAX_URLS) {
+            timeOnSite.urls = Object.fromEntries(urls
+                .sort(([, a], [, b]) => b.lastActive - a.lastActive)
+                .slice(0, TIME_ON_SITE_MAX_URLS));
+        }
+
+        return chrome.storage.local.set({ [this.STORAGE_KEYS.timeOnSite]: timeOnSite });
+    }
+
+    // Other group totals are kept; they say nothing about which pages were visited
+    async removeTimeOnSite(urls, groupIds = []) {
+        const timeOnSite = await this.loadTimeOnSite();
+        const removed = urls.filter(url => timeOnSite.urls[url]);
+        const removedGroups = groupIds.filter(groupId => timeOnSite.groups[groupId] !== undefined);
+        if (removed.length === 0 && removedGroups.length === 0) return;
+
+        removed.forEach(url => delete timeOnSite.urls[url]);
+        removedGroups.forEach(groupId => delete timeOnSite.groups[groupId]);
+        return chrome.storage.local.set({ [this.STORAGE_KEYS.timeOnSite]: timeOnSite });
+    }
+
+    clearTimeOnSite() {
+        return chrome.storage.local.remove(this.STORAGE_KEYS.timeOnSite);
+    }
+
+    // =========================================================================
+    // 🚚 MIGRATION
+    // =========================================================================
+
+    // Earlier versions kept everything in chrome.storage.sync; move it to local once
+    async migrateLegacySyncData() {
+        const legacyKeys = [
+            this.STORAGE_KEYS.favorites,
+            this.STORAGE_KEYS.favoriteTags,
+            this.STORAGE_KEYS.visitFrequency,
+            this.STORAGE_KEYS.topVisitedUrls,
+            'browserHistoryOrganizer_recentVisitDates', // Now only kept in memory by the popup
+            'lastCleanupTime'
+        ];
+        const legacy = await chrome.storage.sync.get(legacyKeys);
+        if (Object.keys(legacy).length === 0) return;
+
+        // The synced copy is shared by every device, so it is merged into what this device already has
+        // rather than skipped: the first device to migrate removes it for all of them
+        const legacyFavorites = legacy[this.STORAGE_KEYS.favorites];
+        if (Array.isArray(legacyFavorites)) {
+            const local = await this.readLocalFavorites();
+            const legacyNames = Object.fromEntries(Object.entries(legacy[this.STORAGE_KEYS.favoriteTags] || {})
+                .filter(([, value]) => typeof value === 'string')); // Legacy tags were custom names
+            const known = new Set(local.favorites);
+
+            await this.saveFavorites({
+                favorites: [...local.favorites, ...legacyFavorites.filter(url => !known.has(url))],
+                favoriteNames: { ...legacyNames, ...local.favoriteNames },
+                favoriteTags: local.favoriteTags,
+                favoriteMeta: local.favoriteMeta,
+                favoriteFolders: local.favoriteFolders
+            });
+        }
+
+        const legacyFrequency = legacy[this.STORAGE_KEYS.visitFrequency];
+        if (legacyFrequency) {
+            const local = await chrome.storage.local.get([this.STORAGE_KEYS.visitFrequency, this.STORAGE_KEYS.topVisitedUrls]);
+            const visitFrequency = { ...(local[this.STORAGE_KEYS.visitFrequency] || {}) };
+            Object.entries(legacyFrequency).forEach(([url, count]) => {
+                visitFrequency[url] = Math.max(visitFrequency[url] || 0, count);
+            });
+            const topVisitedUrls = new Set([
+                ...(local[this.STORAGE_KEYS.topVisitedUrls] || []),
+                ...(legacy[this.STORAGE_KEYS.topVisitedUrls] || [])
+            ]);
+
+            await chrome.storage.local.set({
+                [this.STORAGE_KEYS.visitFrequency]: visitFrequency,
+                [this.STORAGE_KEYS.topVisitedUrls]: Array.from(topVisitedUrls)
+            });
+        }
+
+        await chrome.storage.sync.remove(legacyKeys);
+        console.log('Moved favorites and visit frequency from sync to local storage');
+    }
+
+    // =========================================================================
+    // 📏 USAGE
+    // =========================================================================
+
+    async getUsage() {
+        const [syncBytes, localBytes, estimate] = await Promise.all([
+            chrome.storage.sync.getBytesInUse(null),
+            chrome.storage.local.getBytesInUse(null),
+            navigator.storage && navigator.storage.estimate ? navigator.storage.estimate() : Promise.resolve({})
+        ]);
+
+        return {
+            sync: { bytes: syncBytes, quota: chrome.storage.sync.QUOTA_BYTES },
+            local: { bytes: localBytes },
+            index: { bytes: estimate.usage || 0 }
+        };
+    }
+
+    byteLength(value) {
+        return this.encoder.encode(JSON.stringify(value)).length;
+    }
+}
+
+globalThis.BrowserHistoryOrganizerStorage = new OrganizerStorage();
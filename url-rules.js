@@ -0,0 +1,253 @@
+/**
+ * Browser History Organizer - URL Rule Engine
+ *
+ * Parses the website patterns of a group into rules and matches URLs against them.
+ *
+ * Supported rule syntax (one rule per pattern):
+ *   github.com                 Host rule - matches the domain and all of its subdomains
+ *   youtube.com/watch          Path rule - host plus a path prefix
+ *   *.atlassian.net/wiki/*     Wildcard rule - `*` matches any run of characters
+ *   /^https:\/\/mail\./i       Regex rule - tested against the full URL
+ *   google.com/search?tbm=isch Query conditions - `key` (present) or `key=value` joined by `&`
+ *   !gist.github.com           Exclude rule - any of the above prefixed with `!`
+ */
+
+// =============================================================================
+// 🧩 RULE PARSING
+// =============================================================================
+
+const RULE_KINDS = {
+    host: 'host',
+    path: 'path',
+    wildcard: 'wildcard',
+    regex: 'regex'
+};
+
+const RULE_KIND_LABELS = {
+    host: 'Host',
+    path: 'Host + path',
+    wildcard: 'Wildcard',
+    regex: 'Regex'
+};
+
+// Pages no group matches land here; its own patterns are never matched
+const FALLBACK_CATEGORY = 'Others';
+
+function invalidRule(pattern, error) {
+    return { pattern, valid: false, error };
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function globToRegExp(glob) {
+    const source = glob.split('*').map(escapeRegExp).join('.*');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+function parseQueryConditions(query) {
+    return query.split('&')
+        .filter(part => part.length > 0)
+        .map(part => {
+            const separatorIndex = part.indexOf('=');
+            if (separatorIndex === -1) {
+                return { key: part, value: null };
+            }
+            const value = part.slice(separatorIndex + 1);
+            return {
+                key: part.slice(0, separatorIndex),
+                value: value.includes('*') ? globToRegExp(value) : value
+            };
+        });
+}
+
+function matchesQueryConditions(url, conditions) {
+    return conditions.every(({ key, value }) => {
+        if (value === null) return url.searchParams.has(key);
+        return url.searchParams.getAll(key).some(actual =>
+            value instanceof RegExp ? value.test(actual) : actual === value
+        );
+    });
+}
+
+function parseRule(rawPattern) {
+    const pattern = String(rawPattern || '').trim();
+    let body = pattern;
+    let exclude = false;
+
+    if (body.startsWith('!')) {
+        exclude = true;
+        body = body.slice(1).trim();
+    }
+
+    if (!body) {
+        return invalidRule(pattern, 'Rule is empty');
+    }
+
+    // Regex rules: /source/flags, tested against the full URL
+    const regexParts = body.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexParts) {
+        let regex;
+        try {
+            // g and y make test() remember lastIndex between URLs, so they are dropped
+            regex = new RegExp(regexParts[1], regexParts[2].replace(/[gy]/g, ''));
+        } catch (error) {
+            return invalidRule(pattern, error.message);
+        }
+        return {
+            pattern,
+            valid: true,
+            kind: RULE_KINDS.regex,
+            exclude,
+            hasQuery: false,
+            test: url => regex.test(url.href)
+        };
+    }
+
+    // Pasted URLs are accepted; the scheme is not part of the match
+    body = body.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+
+    if (/\s/.test(body)) {
+        return invalidRule(pattern, 'Rule must not contain spaces');
+    }
+
+    const queryIndex = body.indexOf('?');
+    const location = queryIndex === -1 ? body : body.slice(0, queryIndex);
+    const queryConditions = queryIndex === -1 ? [] : parseQueryConditions(body.slice(queryIndex + 1));
+
+    if (queryIndex !== -1 && queryConditions.length === 0) {
+        return invalidRule(pattern, 'Query condition is empty');
+    }
+
+    const slashIndex = location.indexOf('/');
+    const host = (slashIndex === -1 ? location : location.slice(0, slashIndex)).toLowerCase();
+    const path = slashIndex === -1 ? '' : location.slice(slashIndex).toLowerCase();
+
+    if (!host) {
+        return invalidRule(pattern, 'Rule is missing a host');
+    }
+    if (!/^[a-z0-9.*:_-]+$/.test(host)) {
+        return invalidRule(pattern, `Invalid host "${host}"`);
+    }
+
+    const isWildcard = host.includes('*') || path.includes('*');
+
+    let testHost;
+    if (host.includes('*')) {
+        const hostRegex = globToRegExp(host);
+        testHost = url => hostRegex.test(host.includes(':') ? url.host : url.hostname);
+    } else if (host.includes(':')) {
+        testHost = url => url.host.toLowerCase() === host;
+    } else if (host.includes('.')) {
+        testHost = url => {
+            const hostname = url.hostname.toLowerCase();
+            return hostname === host || hostname.endsWith(`.${host}`);
+        };
+    } else {
+        // Bare keywords such as "localhost" or "jira" keep the original substring behaviour
+        testHost = url => url.hostname.toLowerCase().includes(host);
+    }
+
+    let testPath = () => true;
+    if (path.includes('*')) {
+        const pathRegex = globToRegExp(path);
+        testPath = url => pathRegex.test(url.pathname);
+    } else if (path) {
+        testPath = url => url.pathname.toLowerCase().startsWith(path);
+    }
+
+    return {
+        pattern,
+        valid: true,
+        kind: isWildcard ? RULE_KINDS.wildcard : (path ? RULE_KINDS.path : RULE_KINDS.host),
+        exclude,
+        hasQuery: queryConditions.length > 0,
+        test: url => testHost(url) && testPath(url) && matchesQueryConditions(url, queryConditions)
+    };
+}
+
+function describeRule(rule) {
+    if (!rule.valid) return `Invalid: ${rule.error}`;
+
+    let label = RULE_KIND_LABELS[rule.kind];
+    if (rule.hasQuery) label += ' + query';
+    if (rule.exclude) label = `Exclude (${label.toLowerCase()})`;
+    return label;
+}
+
+// =============================================================================
+// 🎯 MATCHING
+// =============================================================================
+
+function toUrl(url) {
+    if (url instanceof URL) return url;
+    try {
+        return new URL(url);
+    } catch {
+        return null;
+    }
+}
+
+function compileRules(patterns) {
+    const compiled = { include: [], exclude: [], invalid: [] };
+
+    (patterns || []).forEach(pattern => {
+        const rule = parseRule(pattern);
+        if (!rule.valid) {
+            compiled.invalid.push(rule);
+        } else if (rule.exclude) {
+            compiled.exclude.push(rule);
+        } else {
+            compiled.include.push(rule);
+        }
+    });
+
+    return compiled;
+}
+
+function matchesRules(url, compiled) {
+    const parsedUrl = toUrl(url);
+    if (!parsedUrl) return false;
+
+    return compiled.include.some(rule => rule.test(parsedUrl)) &&
+        !compiled.exclude.some(rule => rule.test(parsedUrl));
+}
+
+// Compile an ordered { name: patterns } map once, then categorise many URLs against it.
+// The fallback category is left out wherever it sits in the order.
+function compileCategories(categoryPatterns) {
+    return Object.entries(categoryPatterns)
+        .filter(([category]) => category !== FALLBACK_CATEGORY)
+        .map(([category, patterns]) => [category, compileRules(patterns)]);
+}
+
+// First matching category, FALLBACK_CATEGORY when none matches, null for an invalid URL
+function categorizeUrl(url, compiledCategories) {
+    const parsedUrl = toUrl(url);
+    if (!parsedUrl) return null;
+
+    const match = compiledCategories.find(([, compiled]) => matchesRules(parsedUrl, compiled));
+    return match ? match[0] : FALLBACK_CATEGORY;
+}
+
+// Identifies a set of category rules so stored categorisations can be checked for staleness
+function getRulesSignature(categoryPatterns) {
+    return JSON.stringify(Object.entries(categoryPatterns));
+}
+
+// =============================================================================
+// 🌟 GLOBAL EXPORT
+// =============================================================================
+
+globalThis.BrowserHistoryOrganizerRules = {
+    RULE_KINDS,
+    FALLBACK_CATEGORY,
+    parseRule,
+    describeRule,
+    compileRules,
+    matchesRules,
+    compileCategories,
+    categorizeUrl,
+    getRulesSignature
+};
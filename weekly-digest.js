@@ -0,0 +1,283 @@
+/**
+ * Browser History Organizer - Weekly Digest
+ *
+ * Summarises one Monday-to-Sunday week of history: top groups by estimated
+ * time, top sites within each group, sites visited for the first time and the
+ * favorites used most. Visits, categories, privacy exclusions and the time
+ * estimate all come from history-stats.js, so the digest agrees with the
+ * dashboard. The result can be written out as Markdown, HTML or CSV.
+ */
+
+const DIGEST_SITES_PER_GROUP = 5;
+const DIGEST_NEW_SITES_LIMIT = 20;
+const DIGEST_FAVORITES_LIMIT = 10;
+
+// =============================================================================
+// 📰 DIGEST
+// =============================================================================
+
+// Start of the week after the one starting at `weekStart` (local midnight, so DST weeks stay whole)
+function getNextWeekStart(weekStart) {
+    const date = new Date(weekStart);
+    date.setDate(date.getDate() + 7);
+    return date.getTime();
+}
+
+// {
+//   weekStart, weekEnd, totalVisits, totalTime,
+//   groups: [{ name, icon, visits, time, sites: [{ host, visits, time }] }],
+//   newSites: [{ host, group, icon, visits, firstVisit }],
+//   favorites: [{ url, title, group, icon, visits }]
+// }
+async function buildDigest(weekStart, { maxUrls }) {
+    const stats = globalThis.BrowserHistoryOrganizerStats;
+    const storage = globalThis.BrowserHistoryOrganizerStorage;
+
+    const weekEnd = Math.min(getNextWeekStart(weekStart) - 1, Date.now());
+    const categorizer = await stats.loadCategorizer();
+    const [{ visits, firstVisits }, favoriteData] = await Promise.all([
+        stats.collectVisits({ startTime: weekStart, endTime: weekEnd, maxUrls }, categorizer),
+        storage.loadFavorites()
+    ]);
+    const durations = stats.estimateDurations(visits);
+
+    const groups = new Map();
+    const visitsByUrl = new Map();
+    const titles = new Map(); // URL -> title, for favorites without a custom name
+    const hostGroups = new Map(); // Host -> group it was first seen in
+    visits.forEach((visit, index) => {
+        if (!groups.has(visit.group)) {
+            groups.set(visit.group, { name: visit.group, icon: categorizer.icons[visit.group] || '🔗', visits: 0, time: 0, sites: new Map() });
+        }
+        const group = groups.get(visit.group);
+        group.visits++;
+        group.time += durations[index];
+
+        if (visit.host) {
+            if (!group.sites.has(visit.host)) group.sites.set(visit.host, { host: visit.host, visits: 0, time: 0 });
+            const site = group.sites.get(visit.host);
+            site.visits++;
+            site.time += durations[index];
+            if (!hostGroups.has(visit.host)) hostGroups.set(visit.host, visit.group);
+        }
+
+        visitsByUrl.set(visit.url, (visitsByUrl.get(visit.url) || 0) + 1);
+        if (visit.title) titles.set(visit.url, visit.title);
+    });
+
+    const byTimeThenVisits = (a, b) => (b.time - a.time) || (b.visits - a.visits);
+
+    // getNewVsReturning() lists whole weeks; the digest covers exactly one
+    const [thisWeek] = stats.getNewVsReturning(visits, firstVisits, weekStart, weekEnd);
+    const hostVisits = new Map();
+    visits.forEach(visit => hostVisits.set(visit.host, (hostVisits.get(visit.host) || 0) + 1));
+    const firstVisitByHost = new Map();
+    firstVisits.forEach((time, url) => {
+        const host = stats.getHost(url);
+        if (!firstVisitByHost.has(host) || time < firstVisitByHost.get(host)) firstVisitByHost.set(host, time);
+    });
+
+    const newSites = (thisWeek ? thisWeek.newSites : [])
+        .map(host => ({
+            host,
+            group: hostGroups.get(host),
+            icon: categorizer.icons[hostGroups.get(host)] || '🔗',
+            visits: hostVisits.get(host) || 0,
+            firstVisit: firstVisitByHost.get(host)
+        }))
+        .sort((a, b) => b.visits - a.visits || a.firstVisit - b.firstVisit)
+        .slice(0, DIGEST_NEW_SITES_LIMIT);
+
+    const favorites = favoriteData.favorites
+        .filter(url => visitsByUrl.has(url))
+        .map(url => {
+            const group = categorizer.categorize(url);
+            const meta = favoriteData.favoriteMeta[url] || {};
+            return {
+                url,
+                title: favoriteData.favoriteNames[url] || titles.get(url) || meta.title || url,
+                group,
+                icon: categorizer.icons[group] || '🔗',
+                visits: visitsByUrl.get(url)
+            };
+        })
+        .sort((a, b) => b.visits - a.visits)
+        .slice(0, DIGEST_FAVORITES_LIMIT);
+
+    return {
+        weekStart,
+        weekEnd,
+        totalVisits: visits.length,
+        totalTime: durations.reduce((sum, duration) => sum + duration, 0),
+        groups: Array.from(groups.values())
+            .sort(byTimeThenVisits)
+            .map(group => ({
+                ...group,
+                sites: Array.from(group.sites.values()).sort(byTimeThenVisits).slice(0, DIGEST_SITES_PER_GROUP)
+            })),
+        newSites,
+        favorites
+    };
+}
+
+// =============================================================================
+// 🔤 FORMATTING
+// =============================================================================
+
+// "13 Oct – 19 Oct 2026"
+function formatDigestWeek({ weekStart, weekEnd }) {
+    const start = new Date(weekStart).toLocaleDateString([], { day: 'numeric', month: 'short' });
+    const end = new Date(weekEnd).toLocaleDateString([], { day: 'numeric', month: 'short', year: 'numeric' });
+    return `${start} – ${end}`;
+}
+
+function formatDigestCount(count, word) {
+    return `${count.toLocaleString()} ${word}${count !== 1 ? 's' : ''}`;
+}
+
+function escapeDigestMarkdown(text) {
+    return String(text).replace(/([\\`*_[\]()|<>#])/g, '\\$1');
+}
+
+function formatDigestMarkdown(digest) {
+    const stats = globalThis.BrowserHistoryOrganizerStats;
+    const lines = [
+        `# Weekly digest: ${formatDigestWeek(digest)}`,
+        '',
+        `${formatDigestCount(digest.totalVisits, 'visit')}, about ${stats.formatDuration(digest.totalTime)} of browsing (estimated from the gaps between visits).`,
+        ''
+    ];
+
+    if (digest.totalVisits === 0) {
+        lines.push('No visits this week.');
+        return lines.join('\n') + '\n';
+    }
+
+    lines.push('## Top groups', '', '| Group | Time | Visits |', '| --- | ---: | ---: |');
+    digest.groups.forEach(group => {
+        lines.push(`| ${group.icon} ${escapeDigestMarkdown(group.name)} | ${stats.formatDuration(group.time)} | ${group.visits} |`);
+    });
+
+    lines.push('', '## Top sites per group');
+    digest.groups.forEach(group => {
+        lines.push('', `### ${group.icon} ${escapeDigestMarkdown(group.name)}`, '');
+        group.sites.forEach(site => {
+            lines.push(`- ${escapeDigestMarkdown(site.host)} - ${stats.formatDuration(site.time)}, ${formatDigestCount(site.visits, 'visit')}`);
+        });
+    });
+
+    lines.push('', '## Newly discovered sites', '');
+    if (digest.newSites.length === 0) lines.push('None this week.');
+    digest.newSites.forEach(site => {
+        lines.push(`- ${escapeDigestMarkdown(site.host)} (${site.icon} ${escapeDigestMarkdown(site.group)}) - ${formatDigestCount(site.visits, 'visit')}`);
+    });
+
+    lines.push('', '## Most-used favorites', '');
+    if (digest.favorites.length === 0) lines.push('No favorites visited this week.');
+    digest.favorites.forEach(favorite => {
+        lines.push(`- [${escapeDigestMarkdown(favorite.title)}](${favorite.url.replace(/[()]/g, encodeURIComponent)}) (${favorite.icon} ${escapeDigestMarkdown(favorite.group)}) - ${formatDigestCount(favorite.visits, 'visit')}`);
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+// A standalone page with its own styles, so the file can be mailed or opened as is
+function formatDigestHtml(digest) {
+    const stats = globalThis.BrowserHistoryOrganizerStats;
+    const title = `Weekly digest: ${formatDigestWeek(digest)}`;
+    const table = (headers, rows) => `
+        <table>
+            <thead><tr>${headers.map(header => `<th>${header}</th>`).join('')}</tr></thead>
+            <tbody>${rows.map(cells => `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody>
+        </table>`;
+    const groupLabel = (icon, name) => stats.escapeHtml(`${icon} ${name}`);
+
+    let body;
+    if (digest.totalVisits === 0) {
+        body = '<p>No visits this week.</p>';
+    } else {
+        body = `
+        <h2>Top groups</h2>
+        ${table(['Group', 'Time', 'Visits'], digest.groups.map(group => [
+            groupLabel(group.icon, group.name), stats.formatDuration(group.time), group.visits
+        ]))}
+
+        <h2>Top sites per group</h2>
+        ${digest.groups.map(group => `
+        <h3>${groupLabel(group.icon, group.name)}</h3>
+        ${table(['Site', 'Time', 'Visits'], group.sites.map(site => [
+            stats.escapeHtml(site.host), stats.formatDuration(site.time), site.visits
+        ]))}`).join('')}
+
+        <h2>Newly discovered sites</h2>
+        ${digest.newSites.length === 0 ? '<p>None this week.</p>' : table(['Site', 'Group', 'Visits'], digest.newSites.map(site => [
+            stats.escapeHtml(site.host), groupLabel(site.icon, site.group), site.visits
+        ]))}
+
+        <h2>Most-used favorites</h2>
+        ${digest.favorites.length === 0 ? '<p>No favorites visited this week.</p>' : table(['Favorite', 'Group', 'Visits'], digest.favorites.map(favorite => [
+            `<a href="${stats.escapeHtml(favorite.url)}">${stats.escapeHtml(favorite.title)}</a>`, groupLabel(favorite.icon, favorite.group), favorite.visits
+        ]))}`;
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${stats.escapeHtml(title)}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #2d3748; max-width: 760px; margin: 32px auto; padding: 0 16px; line-height: 1.5; }
+        h1 { color: #667eea; }
+        h2 { margin-top: 32px; border-bottom: 2px solid #e2e8f0; padding-bottom: 4px; }
+        table { border-collapse: collapse; width: 100%; margin: 8px 0; }
+        th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid #e2e8f0; }
+        th:not(:first-child), td:not(:first-child) { text-align: right; }
+        a { color: #667eea; }
+    </style>
+</head>
+<body>
+    <h1>📰 ${stats.escapeHtml(title)}</h1>
+    <p>${formatDigestCount(digest.totalVisits, 'visit')}, about ${stats.formatDuration(digest.totalTime)} of browsing (estimated from the gaps between visits).</p>
+    ${body}
+</body>
+</html>
+`;
+}
+
+// One row per entry of every section, so the file opens as a single sheet
+function formatDigestCsv(digest) {
+    const stats = globalThis.BrowserHistoryOrganizerStats;
+    const week = stats.getDayKey(digest.weekStart);
+    const minutes = ms => Math.round(ms / 60000);
+    const rows = [['Week', 'Section', 'Group', 'Name', 'URL', 'Visits', 'Minutes']];
+
+    digest.groups.forEach(group => {
+        rows.push([week, 'Top group', `${group.icon} ${group.name}`, group.name, '', group.visits, minutes(group.time)]);
+    });
+    digest.groups.forEach(group => {
+        group.sites.forEach(site => {
+            rows.push([week, 'Top site', `${group.icon} ${group.name}`, site.host, '', site.visits, minutes(site.time)]);
+        });
+    });
+    digest.newSites.forEach(site => {
+        rows.push([week, 'New site', `${site.icon} ${site.group}`, site.host, '', site.visits, '']);
+    });
+    digest.favorites.forEach(favorite => {
+        rows.push([week, 'Favorite', `${favorite.icon} ${favorite.group}`, favorite.title, favorite.url, favorite.visits, '']);
+    });
+
+    return rows.map(row => row.map(stats.toCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// =============================================================================
+// 🌟 GLOBAL EXPORT
+// =============================================================================
+
+globalThis.BrowserHistoryOrganizerDigest = {
+    getNextWeekStart,
+    buildDigest,
+    formatDigestWeek,
+    toMarkdown: formatDigestMarkdown,
+    toHtml: formatDigestHtml,
+    toCsv: formatDigestCsv
+};